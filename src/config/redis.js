@@ -1,11 +1,41 @@
-const { Queue } = require('bullmq');
+const Redis = require('ioredis');
 
-const connection = {
-  host: 'localhost',
-  port: 6379,
+const QUEUE_NAMES = {
+  BOOKING_CONFIRMATION: 'booking-confirmation',
+  EVENT_NOTIFICATION: 'event-notification',
+  BOOKING_EXPIRY: 'booking-expiry',
+  EVENT_REMINDER: 'event-reminder',
+  PAYMENT_REFUND: 'payment-refund',
+  WAITLIST_PROMOTION: 'waitlist-promotion',
+  WAITLIST_OFFER: 'waitlist-offer',
+  WAITLIST_OFFER_EXPIRY: 'waitlist-offer-expiry',
+  ACCOUNT_EMAIL: 'account-email',
+  TEAM_INVITE: 'team-invite',
+  DEAD_LETTER: 'dead-letter',
 };
 
-const bookingQueue = new Queue('booking-confirmation', { connection });
-const notificationQueue = new Queue('event-update-notification', { connection });
+// Retry policy applied to every job unless the caller overrides it
+const defaultJobOptions = {
+  attempts: Number(process.env.JOB_ATTEMPTS) || 5,
+  backoff: {
+    type: 'exponential',
+    delay: Number(process.env.JOB_BACKOFF_MS) || 5000,
+  },
+  removeOnComplete: 1000,
+  removeOnFail: false,
+};
+
+const createRedisConnection = () => {
+  return new Redis({
+    host: process.env.REDIS_HOST || 'localhost',
+    port: process.env.REDIS_PORT || 6379,
+    maxRetriesPerRequest: null,
+    enableReadyCheck: false,
+  });
+};
 
-module.exports = { bookingQueue, notificationQueue };
+module.exports = {
+  QUEUE_NAMES,
+  defaultJobOptions,
+  createRedisConnection,
+};
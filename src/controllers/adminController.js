@@ -0,0 +1,412 @@
+const Joi = require('joi');
+const Booking = require('../models/Booking');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { recordAdminAction, getAuditLog: findAuditLog } = require('../services/auditService');
+const {
+  setAccountStatus,
+  reviewOrganizer,
+  unpublishEvent: unpublishAnyEvent,
+  reinstateEvent: reinstateAnyEvent,
+} = require('../services/moderationService');
+const { cancelEvent: cancelEventWithBookings } = require('../services/eventCancellationService');
+
+const objectId = Joi.string().hex().length(24);
+
+const pagination = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+};
+
+const listUsersSchema = Joi.object({
+  q: Joi.string().trim().max(100),
+  role: Joi.string().valid('customer', 'organizer', 'admin'),
+  status: Joi.string().valid('active', 'suspended', 'banned'),
+  organizerStatus: Joi.string().valid('pending', 'approved', 'rejected'),
+  ...pagination,
+});
+
+const listApplicationsSchema = Joi.object(pagination);
+
+const reasonSchema = Joi.object({
+  reason: Joi.string().trim().max(500).required(),
+});
+
+const optionalReasonSchema = Joi.object({
+  reason: Joi.string().trim().max(500),
+});
+
+// Without `until` the suspension lasts until the account is reinstated
+const suspendSchema = Joi.object({
+  reason: Joi.string().trim().max(500).required(),
+  until: Joi.date().iso().greater('now'),
+});
+
+const auditLogSchema = Joi.object({
+  actor: objectId,
+  action: Joi.string(),
+  targetType: Joi.string().valid('User', 'Event', 'Booking'),
+  target: objectId,
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  ...pagination,
+});
+
+const USER_FIELDS = 'name email role organizerStatus status suspendedUntil emailVerifiedAt deletedAt createdAt';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const formatPagination = ({ page, limit }, total) => ({ page, limit, total, totalPages: Math.ceil(total / limit) });
+
+// Every admin action is recorded with the admin and their IP address
+const audit = (req, entry) => recordAdminAction({ actor: req.user.id, ip: req.ip, ...entry });
+
+// Search by name or email, and filter by role and account state
+const listUsers = async (req, res) => {
+  try {
+    const { error, value } = listUsersSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const filter = {};
+    if (value.q) {
+      const pattern = { $regex: escapeRegex(value.q), $options: 'i' };
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    ['role', 'status', 'organizerStatus'].forEach((field) => {
+      if (value[field]) {
+        filter[field] = value[field];
+      }
+    });
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(USER_FIELDS)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((value.page - 1) * value.limit)
+        .limit(value.limit),
+      User.countDocuments(filter),
+    ]);
+
+    res.json({ users, pagination: formatPagination(value, total) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching users', error: error.message });
+  }
+};
+
+// A user's account with how many bookings and events they have
+const getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const [bookings, events] = await Promise.all([
+      Booking.countDocuments({ customer: user._id }),
+      Event.countDocuments({ organizer: user._id }),
+    ]);
+
+    await audit(req, { action: 'user.view', targetType: 'User', target: user._id });
+
+    res.json({ user, bookings, events });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching user', error: error.message });
+  }
+};
+
+// Suspend, ban or reinstate an account and record it
+const changeAccountStatus = async (req, res, { schema, status, action, message }) => {
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const result = await setAccountStatus(req.params.id, { status, suspendedUntil: value.until });
+  if (!result.user) {
+    return res.status(result.status).json({ message: result.message });
+  }
+
+  await audit(req, {
+    action,
+    targetType: 'User',
+    target: result.user._id,
+    reason: value.reason,
+    details: { from: result.previousStatus, to: status, until: value.until },
+  });
+
+  res.json({ message, user: result.user });
+};
+
+const suspendUser = async (req, res) => {
+  try {
+    await changeAccountStatus(req, res, {
+      schema: suspendSchema,
+      status: 'suspended',
+      action: 'user.suspend',
+      message: 'User suspended',
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error suspending user', error: error.message });
+  }
+};
+
+const banUser = async (req, res) => {
+  try {
+    await changeAccountStatus(req, res, {
+      schema: reasonSchema,
+      status: 'banned',
+      action: 'user.ban',
+      message: 'User banned',
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error banning user', error: error.message });
+  }
+};
+
+const reinstateUser = async (req, res) => {
+  try {
+    await changeAccountStatus(req, res, {
+      schema: optionalReasonSchema,
+      status: 'active',
+      action: 'user.reinstate',
+      message: 'User reinstated',
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error reinstating user', error: error.message });
+  }
+};
+
+// Organizers waiting for approval, oldest application first
+const getOrganizerApplications = async (req, res) => {
+  try {
+    const { error, value } = listApplicationsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const filter = { role: 'organizer', organizerStatus: 'pending', deletedAt: { $exists: false } };
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(USER_FIELDS)
+        .sort({ createdAt: 1, _id: 1 })
+        .skip((value.page - 1) * value.limit)
+        .limit(value.limit),
+      User.countDocuments(filter),
+    ]);
+
+    res.json({ applications: users, pagination: formatPagination(value, total) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching organizer applications', error: error.message });
+  }
+};
+
+const reviewOrganizerApplication = async (req, res, { schema, organizerStatus, action, message }) => {
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const result = await reviewOrganizer(req.params.id, organizerStatus);
+  if (!result.user) {
+    return res.status(result.status).json({ message: result.message });
+  }
+
+  await audit(req, {
+    action,
+    targetType: 'User',
+    target: result.user._id,
+    reason: value.reason,
+    details: { from: result.previousStatus, to: organizerStatus },
+  });
+
+  res.json({ message, user: result.user });
+};
+
+const approveOrganizer = async (req, res) => {
+  try {
+    await reviewOrganizerApplication(req, res, {
+      schema: optionalReasonSchema,
+      organizerStatus: 'approved',
+      action: 'organizer.approve',
+      message: 'Organizer approved',
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error approving organizer', error: error.message });
+  }
+};
+
+const rejectOrganizer = async (req, res) => {
+  try {
+    await reviewOrganizerApplication(req, res, {
+      schema: reasonSchema,
+      organizerStatus: 'rejected',
+      action: 'organizer.reject',
+      message: 'Organizer rejected',
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error rejecting organizer', error: error.message });
+  }
+};
+
+const unpublishEvent = async (req, res) => {
+  try {
+    const { error, value } = reasonSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const result = await unpublishAnyEvent(req.params.id, value.reason);
+    if (!result.event) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    await audit(req, {
+      action: 'event.unpublish',
+      targetType: 'Event',
+      target: result.event._id,
+      reason: value.reason,
+      details: { from: 'published', to: 'draft' },
+    });
+
+    res.json({ message: 'Event unpublished', event: result.event });
+  } catch (error) {
+    res.status(500).json({ message: 'Error unpublishing event', error: error.message });
+  }
+};
+
+// Allow the organizer to publish an event unpublished by an admin again
+const reinstateEvent = async (req, res) => {
+  try {
+    const { error, value } = optionalReasonSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const result = await reinstateAnyEvent(req.params.id);
+    if (!result.event) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    await audit(req, {
+      action: 'event.reinstate',
+      targetType: 'Event',
+      target: result.event._id,
+      reason: value.reason,
+    });
+
+    res.json({ message: 'Event reinstated. Its organizer can publish it again', event: result.event });
+  } catch (error) {
+    res.status(500).json({ message: 'Error reinstating event', error: error.message });
+  }
+};
+
+// Cancel any event, with the same cascade as an organizer cancellation:
+// bookings are cancelled and refunded, and customers notified
+const cancelEvent = async (req, res) => {
+  try {
+    const { error, value } = reasonSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const event = await Event.findById(req.params.id).select('status');
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const result = await cancelEventWithBookings(event._id, { reason: value.reason, cancelledBy: req.user.id });
+    if (!result) {
+      return res.status(400).json({ message: 'Event is already cancelled' });
+    }
+
+    await audit(req, {
+      action: 'event.cancel',
+      targetType: 'Event',
+      target: event._id,
+      reason: value.reason,
+      details: {
+        from: event.status,
+        to: 'cancelled',
+        cancelledBookings: result.cancelledBookings,
+        refundsPending: result.refundsPending,
+      },
+    });
+
+    res.json({
+      message: 'Event cancelled successfully',
+      event: result.event,
+      cancelledBookings: result.cancelledBookings,
+      refundsPending: result.refundsPending,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error cancelling event', error: error.message });
+  }
+};
+
+// Any booking, with its customer, event and payment, e.g. to handle a dispute
+const getBooking = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .populate('customer', 'name email phone status')
+      .populate('event', 'title date location status organizer')
+      .populate('payment');
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    await audit(req, { action: 'booking.view', targetType: 'Booking', target: booking._id });
+
+    res.json(booking);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching booking', error: error.message });
+  }
+};
+
+const getAuditLog = async (req, res) => {
+  try {
+    const { error, value } = auditLogSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const filter = {};
+    ['actor', 'action', 'targetType', 'target'].forEach((field) => {
+      if (value[field]) {
+        filter[field] = value[field];
+      }
+    });
+    if (value.from || value.to) {
+      filter.createdAt = {};
+      if (value.from) {
+        filter.createdAt.$gte = value.from;
+      }
+      if (value.to) {
+        filter.createdAt.$lte = value.to;
+      }
+    }
+
+    const { entries, total } = await findAuditLog(filter, value);
+
+    res.json({ entries, pagination: formatPagination(value, total) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching audit log', error: error.message });
+  }
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  suspendUser,
+  banUser,
+  reinstateUser,
+  getOrganizerApplications,
+  approveOrganizer,
+  rejectOrganizer,
+  unpublishEvent,
+  reinstateEvent,
+  cancelEvent,
+  getBooking,
+  getAuditLog,
+};
@@ -0,0 +1,166 @@
+const Event = require('../models/Event');
+const Joi = require('joi');
+const {
+  getSummary,
+  getTopEvents,
+  getCategoryBreakdown,
+  getSalesOverTime,
+  countBuckets,
+} = require('../services/analyticsService');
+const { can } = require('../policies/organizerPolicy');
+
+// Sales over time default to the last 30 days
+const DEFAULT_SALES_RANGE_DAYS = 30;
+
+const MAX_SALES_BUCKETS = 366;
+
+// Team members give the organizer account to report on
+const rangeFields = {
+  organizer: Joi.string().hex().length(24),
+  from: Joi.date().iso(),
+  to: Joi.date()
+    .iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+};
+
+const rangeSchema = Joi.object(rangeFields);
+
+const topEventsSchema = Joi.object({
+  ...rangeFields,
+  sort: Joi.string().valid('revenue', 'ticketsSold', 'sellThrough').default('revenue'),
+  limit: Joi.number().integer().min(1).max(50).default(10),
+});
+
+const salesSchema = Joi.object({
+  ...rangeFields,
+  interval: Joi.string().valid('day', 'week').default('day'),
+  eventId: Joi.string().hex().length(24),
+});
+
+const formatRange = ({ from, to }) => ({ from: from || null, to: to || null });
+
+// The organizer account to report on: the user's own unless another is given.
+// Null if the user may not see its analytics.
+const resolveOrganizer = async (user, organizerId = user.id) => {
+  return (await can(user, organizerId, 'analytics:view')) ? organizerId : null;
+};
+
+const sendForbidden = (res) => res.status(403).json({ message: 'Not authorized to view analytics for this organizer' });
+
+// Totals across the organizer's events taking place in the range
+const getAnalyticsSummary = async (req, res) => {
+  try {
+    const { error, value } = rangeSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const organizerId = await resolveOrganizer(req.user, value.organizer);
+    if (!organizerId) {
+      return sendForbidden(res);
+    }
+
+    const summary = await getSummary(organizerId, value);
+
+    res.json({ range: formatRange(value), ...summary });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching analytics', error: error.message });
+  }
+};
+
+const getTopEventsAnalytics = async (req, res) => {
+  try {
+    const { error, value } = topEventsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const organizerId = await resolveOrganizer(req.user, value.organizer);
+    if (!organizerId) {
+      return sendForbidden(res);
+    }
+
+    const events = await getTopEvents(organizerId, value, { sort: value.sort, limit: value.limit });
+
+    res.json({ range: formatRange(value), sort: value.sort, events });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching analytics', error: error.message });
+  }
+};
+
+const getCategoryAnalytics = async (req, res) => {
+  try {
+    const { error, value } = rangeSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const organizerId = await resolveOrganizer(req.user, value.organizer);
+    if (!organizerId) {
+      return sendForbidden(res);
+    }
+
+    const categories = await getCategoryBreakdown(organizerId, value);
+
+    res.json({ range: formatRange(value), categories });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching analytics', error: error.message });
+  }
+};
+
+// Sales per day or week across the organizer's events, or for one of them
+const getSalesAnalytics = async (req, res) => {
+  try {
+    const { error, value } = salesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const to = value.to || new Date();
+    const from = value.from || new Date(to.getTime() - DEFAULT_SALES_RANGE_DAYS * 24 * 60 * 60 * 1000);
+    if (from > to) {
+      return res.status(400).json({ message: '"from" must be before "to"' });
+    }
+    if (countBuckets({ from, to, interval: value.interval }) > MAX_SALES_BUCKETS) {
+      return res.status(400).json({
+        message: `The range covers more than ${MAX_SALES_BUCKETS} ${value.interval}s. Use a shorter range or a longer interval`,
+      });
+    }
+
+    let eventIds;
+    if (value.eventId) {
+      const event = await Event.findById(value.eventId).select('organizer');
+      if (!event) {
+        return res.status(404).json({ message: 'Event not found' });
+      }
+      if (!(await can(req.user, event.organizer, 'analytics:view'))) {
+        return res.status(403).json({ message: 'Not authorized to view analytics for this event' });
+      }
+      eventIds = [event._id];
+    } else {
+      const organizerId = await resolveOrganizer(req.user, value.organizer);
+      if (!organizerId) {
+        return sendForbidden(res);
+      }
+      eventIds = await Event.distinct('_id', { organizer: organizerId });
+    }
+
+    const buckets = await getSalesOverTime(eventIds, { from, to, interval: value.interval });
+
+    res.json({
+      range: { from, to },
+      interval: value.interval,
+      eventId: value.eventId,
+      buckets,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching analytics', error: error.message });
+  }
+};
+
+module.exports = {
+  getAnalyticsSummary,
+  getTopEventsAnalytics,
+  getCategoryAnalytics,
+  getSalesAnalytics,
+};
@@ -1,7 +1,23 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const Joi = require('joi');
+const {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeRefreshToken,
+  revokeUserSessions,
+  getActiveSessions,
+  getAccountRestriction,
+} = require('../services/sessionService');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  verifyEmail: verifyEmailToken,
+  setPassword,
+  resetPassword: resetPasswordWithToken,
+} = require('../services/accountService');
+const { createOrganization } = require('../services/organizationService');
 
 const signupSchema = Joi.object({
   name: Joi.string().required(),
@@ -17,6 +33,35 @@ const loginSchema = Joi.object({
   password: Joi.string().required(),
 });
 
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().max(2000).required(),
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().hex().max(128).required(),
+  password: Joi.string().min(6).required(),
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string()
+    .min(6)
+    .invalid(Joi.ref('currentPassword'))
+    .required()
+    .messages({ 'any.invalid': 'New password must be different from the current password' }),
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().hex().max(128).required(),
+});
+
+// The device a session was started or last refreshed from
+const getClientDetails = (req) => ({ userAgent: req.get('user-agent'), ip: req.ip });
+
 const signup = async (req, res) => {
   try {
     const { error, value } = signupSchema.validate(req.body);
@@ -33,24 +78,28 @@ const signup = async (req, res) => {
     const user = new User({
       ...value,
       password: hashedPassword,
+      organizerStatus: value.role === 'organizer' ? 'pending' : undefined,
     });
 
     await user.save();
+    if (user.role === 'organizer') {
+      await createOrganization(user);
+    }
+    await sendVerificationEmail(user);
 
-    const token = jwt.sign(
-      { id: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRY }
-    );
+    const { token, refreshToken } = await createSession(user, getClientDetails(req));
 
     res.status(201).json({
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your address',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        organizerStatus: user.organizerStatus,
+        emailVerified: false,
       },
     });
   } catch (error) {
@@ -75,20 +124,24 @@ const login = async (req, res) => {
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
-    const token = jwt.sign(
-      { id: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRY }
-    );
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      return res.status(403).json({ message: restriction });
+    }
+
+    const { token, refreshToken } = await createSession(user, getClientDetails(req));
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        organizerStatus: user.organizerStatus,
+        emailVerified: Boolean(user.emailVerifiedAt),
       },
     });
   } catch (error) {
@@ -96,7 +149,200 @@ const login = async (req, res) => {
   }
 };
 
+// Swap a refresh token for a new access token and refresh token
+const refresh = async (req, res) => {
+  try {
+    const { error, value } = refreshTokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const result = await refreshSession(value.refreshToken, getClientDetails(req));
+    if (!result.tokens) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json({
+      message: 'Token refreshed',
+      token: result.tokens.token,
+      refreshToken: result.tokens.refreshToken,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error refreshing token', error: error.message });
+  }
+};
+
+// Ends the session the refresh token belongs to. Takes the refresh token
+// rather than the access token, which may already have expired.
+const logout = async (req, res) => {
+  try {
+    const { error, value } = refreshTokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const loggedOut = await revokeRefreshToken(value.refreshToken);
+    if (!loggedOut) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error logging out', error: error.message });
+  }
+};
+
+const logoutAll = async (req, res) => {
+  try {
+    const revokedSessions = await revokeUserSessions(req.user.id, { reason: 'logout-all' });
+
+    res.json({ message: 'Logged out of all devices', revokedSessions });
+  } catch (error) {
+    res.status(500).json({ message: 'Error logging out', error: error.message });
+  }
+};
+
+// The user's signed-in devices, marking the one making the request
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user.id);
+
+    res.json(
+      sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.user.sid,
+      }))
+    );
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching sessions', error: error.message });
+  }
+};
+
+// Log one of the user's devices out, e.g. one that was lost
+const deleteSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, { reason: 'revoked', userId: req.user.id });
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error revoking session', error: error.message });
+  }
+};
+
+// Email a password reset link. Answers the same whether or not the email
+// belongs to an account.
+const forgotPassword = async (req, res) => {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    await sendPasswordResetEmail(value.email);
+
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent to it' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error requesting password reset', error: error.message });
+  }
+};
+
+// Set a new password with the token from a reset link. Every device is logged out.
+const resetPassword = async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const result = await resetPasswordWithToken(value.token, value.password);
+    if (!result.user) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json({ message: 'Password has been reset. Please log in with your new password' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error resetting password', error: error.message });
+  }
+};
+
+// Change the password of the signed-in user. Every session is ended, and the
+// device making the request gets a new one.
+const changePassword = async (req, res) => {
+  try {
+    const { error, value } = changePasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const passwordMatch = await bcrypt.compare(value.currentPassword, user.password);
+    if (!passwordMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    await setPassword(user, value.newPassword);
+    const { token, refreshToken } = await createSession(user, getClientDetails(req));
+
+    res.json({ message: 'Password changed. Other devices have been logged out', token, refreshToken });
+  } catch (error) {
+    res.status(500).json({ message: 'Error changing password', error: error.message });
+  }
+};
+
+const verifyEmail = async (req, res) => {
+  try {
+    const { error, value } = verifyEmailSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const result = await verifyEmailToken(value.token);
+    if (!result.user) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json({ message: 'Email address verified', email: result.user.email });
+  } catch (error) {
+    res.status(500).json({ message: 'Error verifying email', error: error.message });
+  }
+};
+
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const rejection = await sendVerificationEmail(user);
+    if (rejection) {
+      return res.status(rejection.status).json({ message: rejection.message });
+    }
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error sending verification email', error: error.message });
+  }
+};
+
 module.exports = {
   signup,
   login,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification,
 };
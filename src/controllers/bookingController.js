@@ -1,15 +1,136 @@
+const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
 const Event = require('../models/Event');
+const EventSeat = require('../models/EventSeat');
+const Payment = require('../models/Payment');
 const Joi = require('joi');
 const { jobQueue } = require('../services/jobQueueService');
+const { getBookingLines, reserveTickets, releaseTickets } = require('../services/inventoryService');
+const { ensureTicketTypes, resolveBookingLines } = require('../services/ticketTypeService');
+const { releasePromoRedemption } = require('../services/promoCodeService');
+const { queueWaitlistPromotion } = require('../services/waitlistService');
+const { confirmHold, expireHold } = require('../services/bookingHoldService');
+const { capturePayment } = require('../services/paymentService');
+const { createBookingHold, formatBookingHold } = require('../services/bookingCheckoutService');
+const { holdSeats, releaseSeats } = require('../services/seatService');
+const { renderTicketDocument, renderInvoiceDocument } = require('../services/bookingDocumentService');
+const { renderBookingCalendar } = require('../services/calendarService');
+const {
+  DEFAULT_EVENT_EXPORT_COLUMNS,
+  DEFAULT_ORGANIZER_EXPORT_COLUMNS,
+  resolveColumns,
+  exportEventBookings,
+  exportOrganizerBookings,
+} = require('../services/bookingExportService');
+const { getRefundAmount } = require('../payments/refundPolicy');
+const { can } = require('../policies/organizerPolicy');
 
+const MAX_SEATS_PER_BOOKING = 50;
+
+const bookingItemSchema = Joi.object({
+  ticketTypeId: Joi.string().required(),
+  quantity: Joi.number().integer().min(1).required(),
+});
+
+// Either `items` (one line per ticket type) or a single `quantity`, optionally
+// with a `ticketTypeId`; without one the event must have a single ticket type.
+// Assigned-seating events are booked with `seats` instead.
 const bookingSchema = Joi.object({
   eventId: Joi.string().required(),
-  quantity: Joi.number().integer().min(1).required(),
+  quantity: Joi.number().integer().min(1),
+  ticketTypeId: Joi.string(),
+  items: Joi.array().items(bookingItemSchema).min(1),
+  seats: Joi.array().items(Joi.string()).min(1).max(MAX_SEATS_PER_BOOKING).unique(),
+  promoCode: Joi.string().trim().max(32),
+})
+  .xor('quantity', 'items', 'seats')
+  .oxor('ticketTypeId', 'items', 'seats');
+
+const bookingStatusSchema = Joi.string().valid('pending', 'confirmed', 'cancelled', 'expired', 'failed');
+
+// columns is a comma-separated list, e.g. name,email,reference,quantity
+const eventBookingsSchema = Joi.object({
+  format: Joi.string().valid('json', 'csv', 'xlsx').default('json'),
+  columns: Joi.string().when('format', { is: 'json', then: Joi.forbidden() }),
+  status: bookingStatusSchema,
+});
+
+// from/to bound the booking date, eventFrom/eventTo the event date. Team
+// members give the organizer account to export for.
+const organizerExportSchema = Joi.object({
+  organizer: Joi.string().hex().length(24),
+  format: Joi.string().valid('csv', 'xlsx').default('csv'),
+  columns: Joi.string(),
+  status: bookingStatusSchema,
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  eventFrom: Joi.date().iso(),
+  eventTo: Joi.date().iso(),
 });
 
-const generateBookingReference = () => {
-  return 'BK' + Date.now() + Math.random().toString(36).substr(2, 9).toUpperCase();
+const sendHold = (res, hold) => {
+  if (!hold.booking) {
+    return res.status(hold.status).json({ message: hold.message, error: hold.error });
+  }
+
+  res.status(201).json({
+    message: 'Tickets held successfully. Confirm the booking before the hold expires',
+    booking: formatBookingHold(hold.booking),
+    payment: hold.payment,
+  });
+};
+
+// Assigned seating: the chosen seats decide the ticket types, and are locked
+// for the booking before the ticket counts are taken
+const bookSeats = async (req, res, event, value) => {
+  const seats = await EventSeat.find({ event: event._id, seatId: { $in: value.seats } });
+  if (seats.length !== value.seats.length) {
+    const unknown = value.seats.filter((seatId) => !seats.some((seat) => seat.seatId === seatId));
+    return res.status(400).json({ message: `Unknown seats: ${unknown.join(', ')}` });
+  }
+
+  const seatsByType = new Map();
+  seats.forEach((seat) => {
+    const ticketTypeId = seat.ticketType.toString();
+    seatsByType.set(ticketTypeId, [...(seatsByType.get(ticketTypeId) || []), seat.seatId]);
+  });
+
+  const { lines, error: lineError } = resolveBookingLines(
+    event,
+    [...seatsByType].map(([ticketTypeId, seatIds]) => ({ ticketTypeId, quantity: seatIds.length }))
+  );
+  if (lineError) {
+    return res.status(400).json({ message: lineError });
+  }
+  lines.forEach((line) => {
+    line.seats = seatsByType.get(line.ticketType.toString());
+  });
+
+  const bookingId = new mongoose.Types.ObjectId();
+  const held = await holdSeats(event._id, value.seats, bookingId);
+  if (!held.held) {
+    return res.status(409).json({
+      message: 'Some of the seats are no longer available',
+      unavailableSeats: held.unavailable,
+    });
+  }
+
+  // Ticket counts mirror the seats, so this only fails if the event was
+  // unpublished in the meantime
+  const reservedEvent = await reserveTickets(event._id, lines);
+  if (!reservedEvent) {
+    await releaseSeats(event._id, value.seats);
+    return res.status(400).json({ message: 'Event is not published' });
+  }
+
+  const hold = await createBookingHold({
+    bookingId,
+    customerId: req.user.id,
+    event,
+    lines,
+    promoCode: value.promoCode,
+  });
+  return sendHold(res, hold);
 };
 
 const bookTickets = async (req, res) => {
@@ -19,60 +140,126 @@ const bookTickets = async (req, res) => {
       return res.status(400).json({ message: error.details[0].message });
     }
 
-    const event = await Event.findById(value.eventId);
-    if (!event) {
+    const storedEvent = await Event.findById(value.eventId);
+    if (!storedEvent) {
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    if (event.status !== 'published') {
+    if (storedEvent.status !== 'published') {
       return res.status(400).json({ message: 'Event is not published' });
     }
 
-    if (event.availableTickets < value.quantity) {
+    const event = await ensureTicketTypes(storedEvent);
+
+    if (event.seatingVenue) {
+      if (!value.seats) {
+        return res.status(400).json({ message: 'This event has assigned seating. Choose seats to book' });
+      }
+      return await bookSeats(req, res, event, value);
+    }
+    if (value.seats) {
+      return res.status(400).json({ message: 'This event does not have assigned seating' });
+    }
+
+    let requested = value.items;
+    if (!requested) {
+      if (!value.ticketTypeId && event.ticketTypes.length > 1) {
+        return res.status(400).json({ message: 'This event has several ticket types. Specify ticketTypeId or items' });
+      }
+      requested = [{ ticketTypeId: value.ticketTypeId || event.ticketTypes[0]._id.toString(), quantity: value.quantity }];
+    }
+
+    const { lines, error: lineError } = resolveBookingLines(event, requested);
+    if (lineError) {
+      return res.status(400).json({ message: lineError });
+    }
+
+    // Decrement inventory atomically; a null result means a tier sold out
+    // (or the event was unpublished) between the read above and this update
+    const reservedEvent = await reserveTickets(event._id, lines);
+    if (!reservedEvent) {
+      const current = await Event.findById(value.eventId);
+      if (!current || current.status !== 'published') {
+        return res.status(400).json({ message: 'Event is not published' });
+      }
+      const soldOut = lines
+        .map((line) => ({ line, tier: current.ticketTypes.id(line.ticketType) }))
+        .find(({ line, tier }) => tier.availableTickets < line.quantity);
+      const remaining = soldOut ? soldOut.tier.availableTickets : current.availableTickets;
       return res.status(400).json({
-        message: `Not enough tickets available. Only ${event.availableTickets} remaining`,
+        message: `Not enough ${soldOut ? soldOut.tier.name + ' ' : ''}tickets available. Only ${remaining} remaining`,
       });
     }
 
-    const bookingReference = generateBookingReference();
-    const totalPrice = event.ticketPrice * value.quantity;
-
-    const booking = new Booking({
-      customer: req.user.id,
-      event: value.eventId,
-      quantity: value.quantity,
-      totalPrice,
-      bookingReference,
-      status: 'confirmed',
+    const hold = await createBookingHold({
+      customerId: req.user.id,
+      event,
+      lines,
+      promoCode: value.promoCode,
     });
+    sendHold(res, hold);
+  } catch (error) {
+    res.status(500).json({ message: 'Error booking tickets', error: error.message });
+  }
+};
 
-    await booking.save();
+const confirmBooking = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (booking.customer.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to confirm this booking' });
+    }
 
-    // Update available tickets
-    event.availableTickets -= value.quantity;
-    await event.save();
+    if (booking.status !== 'pending') {
+      return res.status(400).json({ message: `Booking is ${booking.status} and cannot be confirmed` });
+    }
 
-    // Add job to queue for booking confirmation email
-    await jobQueue.addJob('booking-confirmation', {
-      bookingId: booking._id,
-      customerId: req.user.id,
-      eventId: value.eventId,
-      quantity: value.quantity,
-      bookingReference,
-    });
+    // Paid bookings are confirmed by capturing their payment; the hold is
+    // confirmed only if it is still pending and within its TTL
+    let confirmedBooking;
+    if (booking.payment) {
+      if (booking.expiresAt <= new Date()) {
+        await expireHold(booking._id);
+        return res.status(410).json({ message: 'Booking hold has expired' });
+      }
 
-    res.status(201).json({
-      message: 'Booking created successfully',
+      const payment = await Payment.findById(booking.payment);
+      const result = await capturePayment(payment);
+      if (result.status === 'failed') {
+        return res.status(402).json({ message: 'Payment failed', reason: result.failureReason });
+      }
+      confirmedBooking = result.booking;
+    } else {
+      confirmedBooking = await confirmHold(booking._id);
+    }
+
+    if (!confirmedBooking) {
+      // Either the hold ran out before the expiry job got to it, or the
+      // booking changed state since it was read
+      const expiredBooking = await expireHold(booking._id);
+      const latest = expiredBooking || (await Booking.findById(booking._id));
+      if (latest.status === 'expired') {
+        return res.status(410).json({ message: 'Booking hold has expired' });
+      }
+      return res.status(400).json({ message: `Booking is ${latest.status} and cannot be confirmed` });
+    }
+
+    res.json({
+      message: 'Booking confirmed successfully',
       booking: {
-        id: booking._id,
-        bookingReference: booking.bookingReference,
-        quantity: booking.quantity,
-        totalPrice: booking.totalPrice,
-        status: booking.status,
+        id: confirmedBooking._id,
+        bookingReference: confirmedBooking.bookingReference,
+        quantity: confirmedBooking.quantity,
+        totalPrice: confirmedBooking.totalPrice,
+        status: confirmedBooking.status,
       },
     });
   } catch (error) {
-    res.status(500).json({ message: 'Error booking tickets', error: error.message });
+    res.status(500).json({ message: 'Error confirming booking', error: error.message });
   }
 };
 
@@ -88,27 +275,105 @@ const getMyBookings = async (req, res) => {
   }
 };
 
+// The booking, if the user is its customer or sees bookings for the event's organizer
+const findViewableBooking = async (id, user) => {
+  const booking = await Booking.findById(id)
+    .populate('event')
+    .populate('customer', 'name email');
+
+  if (!booking) {
+    return { status: 404, message: 'Booking not found' };
+  }
+
+  if (booking.customer._id.toString() !== user.id && !(await can(user, booking.event.organizer, 'bookings:view'))) {
+    return { status: 403, message: 'Not authorized to view this booking' };
+  }
+
+  return { booking };
+};
+
 const getBookingById = async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id)
-      .populate('event')
-      .populate('customer', 'name email');
+    const { booking, status, message } = await findViewableBooking(req.params.id, req.user);
+    if (!booking) {
+      return res.status(status).json({ message });
+    }
+
+    res.json(booking);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching booking', error: error.message });
+  }
+};
+
+const sendPdf = (res, filename, pdf) => {
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.set('Cache-Control', 'private, no-store');
+  res.send(pdf);
+};
 
+// Printable tickets, one page per ticket with its QR code. The QR codes admit
+// their holder, so only the customer can download them.
+const getTicketPdf = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    // Check if user is customer or the event organizer
-    if (booking.customer._id.toString() !== req.user.id) {
-      const event = await Event.findById(booking.event._id);
-      if (event.organizer.toString() !== req.user.id) {
-        return res.status(403).json({ message: 'Not authorized to view this booking' });
-      }
+    if (booking.customer.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to view these tickets' });
     }
 
-    res.json(booking);
+    // The documents load their own copies of the event and customer
+    const pdf = await renderTicketDocument(booking);
+    if (!pdf) {
+      return res.status(400).json({ message: 'Tickets are issued once the booking is confirmed' });
+    }
+
+    sendPdf(res, `tickets-${booking.bookingReference}.pdf`, pdf);
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching booking', error: error.message });
+    res.status(500).json({ message: 'Error generating tickets', error: error.message });
+  }
+};
+
+const getInvoicePdf = async (req, res) => {
+  try {
+    const { booking, status, message } = await findViewableBooking(req.params.id, req.user);
+    if (!booking) {
+      return res.status(status).json({ message });
+    }
+
+    const pdf = await renderInvoiceDocument(booking.depopulate());
+    if (!pdf) {
+      return res.status(400).json({ message: 'An invoice is available once the booking is confirmed' });
+    }
+
+    sendPdf(res, `invoice-${booking.bookingReference}.pdf`, pdf);
+  } catch (error) {
+    res.status(500).json({ message: 'Error generating invoice', error: error.message });
+  }
+};
+
+// The booked event as an .ics file to add to a calendar
+const getBookingCalendar = async (req, res) => {
+  try {
+    const { booking, status, message } = await findViewableBooking(req.params.id, req.user);
+    if (!booking) {
+      return res.status(status).json({ message });
+    }
+
+    const calendar = await renderBookingCalendar(booking.depopulate());
+    if (!calendar) {
+      return res.status(400).json({ message: 'The event can be added to a calendar once the booking is confirmed' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="event-${booking.bookingReference}.ics"`);
+    res.set('Cache-Control', 'private, no-store');
+    res.send(calendar);
+  } catch (error) {
+    res.status(500).json({ message: 'Error generating calendar', error: error.message });
   }
 };
 
@@ -127,48 +392,138 @@ const cancelBooking = async (req, res) => {
       return res.status(400).json({ message: 'Booking is already cancelled' });
     }
 
-    booking.status = 'cancelled';
-    await booking.save();
+    if (booking.status !== 'pending' && booking.status !== 'confirmed') {
+      return res.status(400).json({ message: `Booking is ${booking.status} and cannot be cancelled` });
+    }
 
-    // Restore available tickets
+    // Confirmed, paid bookings are refunded according to the refund policy
+    const cancelledAt = new Date();
     const event = await Event.findById(booking.event);
-    event.availableTickets += booking.quantity;
-    await event.save();
+    const refundAmount =
+      booking.status === 'confirmed' && booking.payment
+        ? getRefundAmount(booking.totalPrice, event.date, cancelledAt)
+        : 0;
+
+    // Only the request that flips the status gets to restore the tickets; the
+    // status filter also keeps the refund decision above in step with the update
+    const cancelledBooking = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: booking.status },
+      {
+        status: 'cancelled',
+        cancelledAt,
+        refundStatus: refundAmount > 0 ? 'pending' : 'none',
+        refundAmount,
+        $unset: { expiresAt: 1 },
+      },
+      { new: true }
+    );
+    if (!cancelledBooking) {
+      return res.status(400).json({ message: 'Booking can no longer be cancelled' });
+    }
+
+    await releaseTickets(booking.event, getBookingLines(booking));
+    await releasePromoRedemption(booking);
+
+    // Offer the freed tickets to the event's waitlist
+    await queueWaitlistPromotion(booking.event);
+
+    // Refund the captured payment, or void one that was only authorized
+    if (cancelledBooking.payment) {
+      await jobQueue.addJob(
+        'payment-refund',
+        { bookingId: cancelledBooking._id, amount: refundAmount },
+        { jobId: `refund-${cancelledBooking._id}` }
+      );
+    }
 
     res.json({
       message: 'Booking cancelled successfully',
-      booking,
+      booking: cancelledBooking,
     });
   } catch (error) {
     res.status(500).json({ message: 'Error cancelling booking', error: error.message });
   }
 };
 
+// The event's bookings as JSON, or streamed as a CSV or XLSX attendee list
 const getEventBookings = async (req, res) => {
   try {
+    const { error, value } = eventBookingsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
     const event = await Event.findById(req.params.eventId);
     if (!event) {
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    if (event.organizer.toString() !== req.user.id) {
+    if (!(await can(req.user, event.organizer, 'bookings:view'))) {
       return res.status(403).json({ message: 'Not authorized to view bookings for this event' });
     }
 
-    const bookings = await Booking.find({ event: req.params.eventId })
+    if (value.format !== 'json') {
+      const { columns, error: columnsError } = resolveColumns(value.columns, DEFAULT_EVENT_EXPORT_COLUMNS);
+      if (columnsError) {
+        return res.status(400).json({ message: columnsError });
+      }
+      return await exportEventBookings(res, event, { format: value.format, columns, status: value.status });
+    }
+
+    const filter = { event: event._id };
+    if (value.status) {
+      filter.status = value.status;
+    }
+    const bookings = await Booking.find(filter)
       .populate('customer', 'name email phone')
       .sort('-createdAt');
 
     res.json(bookings);
   } catch (error) {
+    // Once an export has started streaming it can only be cut short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     res.status(500).json({ message: 'Error fetching bookings', error: error.message });
   }
 };
 
+// Bookings across all of the organizer's events, streamed as CSV or XLSX
+const exportBookings = async (req, res) => {
+  try {
+    const { error, value } = organizerExportSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const organizerId = value.organizer || req.user.id;
+    if (!(await can(req.user, organizerId, 'bookings:view'))) {
+      return res.status(403).json({ message: 'Not authorized to export bookings for this organizer' });
+    }
+
+    const { columns, error: columnsError } = resolveColumns(value.columns, DEFAULT_ORGANIZER_EXPORT_COLUMNS);
+    if (columnsError) {
+      return res.status(400).json({ message: columnsError });
+    }
+
+    await exportOrganizerBookings(res, organizerId, { ...value, columns });
+  } catch (error) {
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: 'Error exporting bookings', error: error.message });
+  }
+};
+
 module.exports = {
   bookTickets,
+  confirmBooking,
   getMyBookings,
   getBookingById,
+  getTicketPdf,
+  getInvoicePdf,
+  getBookingCalendar,
   cancelBooking,
   getEventBookings,
+  exportBookings,
 };
@@ -0,0 +1,60 @@
+const {
+  createFeedToken: createUserFeedToken,
+  revokeFeedToken: revokeUserFeedToken,
+  renderFeed,
+} = require('../services/calendarService');
+
+// Calendar clients cannot send an Authorization header, so feeds are
+// authenticated by the token in their URL
+const getFeedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/feeds/${token}.ics`;
+
+// Issue a feed URL, revoking any earlier one: customers get their bookings,
+// organizers their events
+const createFeedToken = async (req, res) => {
+  try {
+    const token = await createUserFeedToken(req.user.id);
+    const url = getFeedUrl(req, token);
+
+    res.status(201).json({
+      message: 'Calendar feed created. Keep the URL private; anyone with it can read the feed',
+      url,
+      webcalUrl: url.replace(/^https?:/, 'webcal:'),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating calendar feed', error: error.message });
+  }
+};
+
+const revokeFeedToken = async (req, res) => {
+  try {
+    const revoked = await revokeUserFeedToken(req.user.id);
+    if (!revoked) {
+      return res.status(404).json({ message: 'No calendar feed to revoke' });
+    }
+
+    res.json({ message: 'Calendar feed revoked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error revoking calendar feed', error: error.message });
+  }
+};
+
+const getFeed = async (req, res) => {
+  try {
+    const calendar = await renderFeed(req.params.token);
+    if (!calendar) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, no-cache');
+    res.send(calendar);
+  } catch (error) {
+    res.status(500).json({ message: 'Error generating calendar feed', error: error.message });
+  }
+};
+
+module.exports = {
+  createFeedToken,
+  revokeFeedToken,
+  getFeed,
+};
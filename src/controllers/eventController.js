@@ -1,26 +1,149 @@
 const Event = require('../models/Event');
 const Booking = require('../models/Booking');
+const EventSeat = require('../models/EventSeat');
+const EventSeries = require('../models/EventSeries');
+const Venue = require('../models/Venue');
+const mongoose = require('mongoose');
 const Joi = require('joi');
+const { cancelEvent: cancelEventWithBookings } = require('../services/eventCancellationService');
+const { createEventFromDetails } = require('../services/eventCreationService');
+const { getEventChanges, notifyEventChanges, applyEventUpdate } = require('../services/eventUpdateService');
+const { venueDetailsSchema: venueSchema } = require('../validation/venueSchemas');
+const { can, checkOrganizerApproval } = require('../policies/organizerPolicy');
 
+const salesEndSchema = Joi.date()
+  .iso()
+  .optional()
+  .when('salesStart', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('salesStart')) });
+
+const ticketTypeSchema = Joi.object({
+  name: Joi.string().required(),
+  price: Joi.number().min(0).required(),
+  totalTickets: Joi.number().integer().min(1).required(),
+  salesStart: Joi.date().iso().optional(),
+  salesEnd: salesEndSchema,
+});
+
+// Assigned-seating ticket types sell venue sections; their capacity is the
+// sections' seat count
+const seatedTicketTypeSchema = Joi.object({
+  name: Joi.string().required(),
+  price: Joi.number().min(0).required(),
+  sections: Joi.array().items(Joi.string()).min(1).unique().required(),
+  salesStart: Joi.date().iso().optional(),
+  salesEnd: salesEndSchema,
+});
+
+// Entries with an _id edit that ticket type; entries without one add a new
+// ticket type and need all of its fields
+const ticketTypeUpdateSchema = Joi.object({
+  _id: Joi.string().optional(),
+  name: Joi.string().when('_id', { not: Joi.exist(), then: Joi.required() }),
+  price: Joi.number().min(0).when('_id', { not: Joi.exist(), then: Joi.required() }),
+  totalTickets: Joi.number().integer().min(1).when('_id', { not: Joi.exist(), then: Joi.required() }),
+  salesStart: Joi.date().iso().optional(),
+  salesEnd: salesEndSchema,
+});
+
+// "lat,lng" as sent in the near query parameter
+const nearSchema = Joi.string()
+  .pattern(/^\s*-?\d+(\.\d+)?\s*,\s*-?\d+(\.\d+)?\s*$/)
+  .custom((value, helpers) => {
+    const [lat, lng] = value.split(',').map(Number);
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return helpers.error('any.invalid');
+    }
+    return { lat, lng };
+  })
+  .messages({
+    'string.pattern.base': '"near" must be "latitude,longitude"',
+    'any.invalid': '"near" is out of range',
+  });
+
+const listEventsSchema = Joi.object({
+  q: Joi.string().trim().max(200),
+  status: Joi.string().valid('draft', 'published', 'cancelled').default('published'),
+  category: Joi.string(),
+  series: Joi.string().hex().length(24),
+  location: Joi.string().trim().max(200),
+  from: Joi.date().iso(),
+  to: Joi.date()
+    .iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+  minPrice: Joi.number().min(0),
+  maxPrice: Joi.number()
+    .min(0)
+    .when('minPrice', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minPrice')) }),
+  available: Joi.boolean(),
+  near: nearSchema,
+  radius: Joi.number().positive().max(500).default(25),
+  sort: Joi.string().valid('date', '-date', 'price', '-price', 'popularity', 'relevance', 'distance'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+// Listing sort orders; _id keeps pages stable between equal values
+const EVENT_SORTS = {
+  date: { date: 1, _id: 1 },
+  '-date': { date: -1, _id: -1 },
+  price: { ticketPrice: 1, date: 1, _id: 1 },
+  '-price': { ticketPrice: -1, date: 1, _id: 1 },
+  popularity: { ticketsSold: -1, date: 1, _id: 1 },
+  relevance: { score: -1, date: 1, _id: 1 },
+  distance: { distance: 1, date: 1, _id: 1 },
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Events are created either with ticketTypes, or with a single
+// totalTickets/ticketPrice pair that becomes the default ticket type.
+// Assigned-seating events (seatingVenue) take their capacity from the venue's
+// seat map, so they never give totalTickets. Team members creating an event
+// for an organizer account give its ID as organizer.
 const createEventSchema = Joi.object({
+  organizer: Joi.string().hex().length(24),
   title: Joi.string().required(),
   description: Joi.string().required(),
   date: Joi.date().iso().required(),
-  location: Joi.string().required(),
-  totalTickets: Joi.number().integer().min(1).required(),
-  ticketPrice: Joi.number().min(0).required(),
+  location: Joi.string(),
+  venue: venueSchema,
+  seatingVenue: Joi.string().hex().length(24),
+  ticketTypes: Joi.when('seatingVenue', {
+    is: Joi.exist(),
+    then: Joi.array().items(seatedTicketTypeSchema).min(1).unique('name'),
+    otherwise: Joi.array().items(ticketTypeSchema).min(1).unique('name'),
+  }),
+  totalTickets: Joi.number()
+    .integer()
+    .min(1)
+    .when('seatingVenue', {
+      is: Joi.exist(),
+      then: Joi.forbidden(),
+      otherwise: Joi.when('ticketPrice', { is: Joi.exist(), then: Joi.required() }),
+    }),
+  ticketPrice: Joi.number().min(0),
   category: Joi.string().optional(),
-});
+})
+  .or('location', 'venue', 'seatingVenue')
+  .xor('ticketTypes', 'ticketPrice')
+  .without('ticketTypes', 'totalTickets');
 
 const updateEventSchema = Joi.object({
   title: Joi.string().optional(),
   description: Joi.string().optional(),
   date: Joi.date().iso().optional(),
   location: Joi.string().optional(),
+  venue: venueSchema.allow(null).optional(),
+  ticketTypes: Joi.array().items(ticketTypeUpdateSchema).min(1).optional(),
   totalTickets: Joi.number().integer().min(1).optional(),
   ticketPrice: Joi.number().min(0).optional(),
   status: Joi.string().valid('draft', 'published', 'cancelled').optional(),
   category: Joi.string().optional(),
+}).oxor('ticketTypes', 'totalTickets')
+  .oxor('ticketTypes', 'ticketPrice');
+
+const cancelEventSchema = Joi.object({
+  reason: Joi.string().trim().max(500).required(),
 });
 
 const createEvent = async (req, res) => {
@@ -30,13 +153,30 @@ const createEvent = async (req, res) => {
       return res.status(400).json({ message: error.details[0].message });
     }
 
-    const event = new Event({
-      ...value,
-      organizer: req.user.id,
-      availableTickets: value.totalTickets,
-    });
+    const organizerId = value.organizer || req.user.id;
+    if (!(await can(req.user, organizerId, 'events:manage'))) {
+      return res.status(403).json({ message: 'Not authorized to create events for this organizer' });
+    }
+    const rejection = await checkOrganizerApproval(req.user, organizerId);
+    if (rejection) {
+      return res.status(rejection.status).json({ message: rejection.message });
+    }
 
-    await event.save();
+    let seatingVenue = null;
+    if (value.seatingVenue) {
+      seatingVenue = await Venue.findById(value.seatingVenue);
+      if (!seatingVenue) {
+        return res.status(400).json({ message: 'Venue not found' });
+      }
+      if (seatingVenue.organizer.toString() !== organizerId) {
+        return res.status(403).json({ message: 'Not authorized to use this venue' });
+      }
+    }
+
+    const { event, error: detailsError } = await createEventFromDetails(value, { organizerId, seatingVenue });
+    if (detailsError) {
+      return res.status(400).json({ message: detailsError });
+    }
 
     res.status(201).json({
       message: 'Event created successfully',
@@ -49,14 +189,111 @@ const createEvent = async (req, res) => {
 
 const getEvents = async (req, res) => {
   try {
-    const { status = 'published', category } = req.query;
-    const filter = { status };
-    if (category) {
-      filter.category = category;
+    const { error, value } = listEventsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const filter = { status: value.status };
+    if (value.q) {
+      filter.$text = { $search: value.q };
+    }
+    if (value.category) {
+      filter.category = value.category;
+    }
+    // Aggregation filters are not cast to the schema, so IDs are converted here
+    if (value.series) {
+      filter.series = new mongoose.Types.ObjectId(value.series);
+    }
+    if (value.location) {
+      filter.location = { $regex: escapeRegex(value.location), $options: 'i' };
     }
+    if (value.from || value.to) {
+      filter.date = {};
+      if (value.from) {
+        filter.date.$gte = value.from;
+      }
+      if (value.to) {
+        filter.date.$lte = value.to;
+      }
+    }
+    // Price filters apply to the event's lowest ticket price
+    if (value.minPrice !== undefined || value.maxPrice !== undefined) {
+      filter.ticketPrice = {};
+      if (value.minPrice !== undefined) {
+        filter.ticketPrice.$gte = value.minPrice;
+      }
+      if (value.maxPrice !== undefined) {
+        filter.ticketPrice.$lte = value.maxPrice;
+      }
+    }
+    if (value.available !== undefined) {
+      filter.availableTickets = value.available ? { $gt: 0 } : 0;
+    }
+
+    if (value.near && value.q) {
+      return res.status(400).json({ message: 'Keyword search (q) cannot be combined with near' });
+    }
+
+    const sortKey = value.sort || (value.q ? 'relevance' : value.near ? 'distance' : 'date');
+    if (sortKey === 'relevance' && !value.q) {
+      return res.status(400).json({ message: 'Sorting by relevance requires a search query (q)' });
+    }
+    if (sortKey === 'distance' && !value.near) {
+      return res.status(400).json({ message: 'Sorting by distance requires near' });
+    }
+
+    // Near queries only match events with a venue, with distance in km
+    const matchStages = value.near
+      ? [
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates: [value.near.lng, value.near.lat] },
+            key: 'venue.location',
+            distanceField: 'distance',
+            distanceMultiplier: 0.001,
+            maxDistance: value.radius * 1000,
+            spherical: true,
+            query: filter,
+          },
+        },
+      ]
+      : [{ $match: filter }];
+
+    // One round trip for the page and the total count
+    const [result] = await Event.aggregate([
+      ...matchStages,
+      {
+        $addFields: {
+          ticketsSold: { $subtract: ['$totalTickets', '$availableTickets'] },
+          ...(value.q ? { score: { $meta: 'textScore' } } : {}),
+          ...(value.near ? { distance: { $round: ['$distance', 2] } } : {}),
+        },
+      },
+      {
+        $facet: {
+          events: [
+            { $sort: EVENT_SORTS[sortKey] },
+            { $skip: (value.page - 1) * value.limit },
+            { $limit: value.limit },
+          ],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ]);
 
-    const events = await Event.find(filter).populate('organizer', 'name email');
-    res.json(events);
+    const events = await Event.populate(result.events, { path: 'organizer', select: 'name email' });
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    res.json({
+      events,
+      pagination: {
+        page: value.page,
+        limit: value.limit,
+        total,
+        totalPages: Math.ceil(total / value.limit),
+      },
+    });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching events', error: error.message });
   }
@@ -82,27 +319,38 @@ const updateEvent = async (req, res) => {
       return res.status(400).json({ message: error.details[0].message });
     }
 
-    const event = await Event.findById(req.params.id);
-    if (!event) {
+    const storedEvent = await Event.findById(req.params.id);
+    if (!storedEvent) {
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    if (event.organizer.toString() !== req.user.id) {
+    if (!(await can(req.user, storedEvent.organizer, 'events:manage'))) {
       return res.status(403).json({ message: 'Not authorized to update this event' });
     }
+    if (value.status === 'published' && storedEvent.status !== 'published') {
+      const rejection = await checkOrganizerApproval(req.user, storedEvent.organizer);
+      if (rejection) {
+        return res.status(rejection.status).json({ message: rejection.message });
+      }
+    }
 
-    // Update available tickets if total tickets changed
-    if (value.totalTickets && value.totalTickets !== event.totalTickets) {
-      const difference = value.totalTickets - event.totalTickets;
-      value.availableTickets = event.availableTickets + difference;
+    const result = await applyEventUpdate(storedEvent, value, { updatedBy: req.user.id });
+    if (!result.event) {
+      return res.status(result.status).json({ message: result.message });
     }
 
-    Object.assign(event, value);
-    await event.save();
+    if (result.cancellation) {
+      return res.json({
+        message: 'Event cancelled successfully',
+        event: result.event,
+        cancelledBookings: result.cancellation.cancelledBookings,
+        refundsPending: result.cancellation.refundsPending,
+      });
+    }
 
     res.json({
       message: 'Event updated successfully',
-      event,
+      event: result.event,
     });
   } catch (error) {
     res.status(500).json({ message: 'Error updating event', error: error.message });
@@ -116,11 +364,28 @@ const deleteEvent = async (req, res) => {
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    if (event.organizer.toString() !== req.user.id) {
+    if (!(await can(req.user, event.organizer, 'events:manage'))) {
       return res.status(403).json({ message: 'Not authorized to delete this event' });
     }
 
+    // Bookings must keep pointing at a real event, so those events are cancelled instead
+    const hasBookings = await Booking.exists({ event: event._id });
+    if (hasBookings) {
+      return res.status(409).json({
+        message: 'Event has bookings and cannot be deleted. Cancel it with POST /api/events/:id/cancel instead',
+      });
+    }
+
     await Event.deleteOne({ _id: req.params.id });
+    await EventSeat.deleteMany({ event: event._id });
+
+    // A deleted occurrence stays out of its series when the schedule changes
+    if (event.series) {
+      await EventSeries.updateOne(
+        { _id: event.series },
+        { $addToSet: { 'recurrence.exceptions': event.occurrenceDate } }
+      );
+    }
     res.json({ message: 'Event deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Error deleting event', error: error.message });
@@ -134,13 +399,32 @@ const publishEvent = async (req, res) => {
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    if (event.organizer.toString() !== req.user.id) {
+    if (!(await can(req.user, event.organizer, 'events:manage'))) {
       return res.status(403).json({ message: 'Not authorized to publish this event' });
     }
+    if (event.status === 'cancelled') {
+      return res.status(409).json({ message: 'Cancelled events cannot be reopened' });
+    }
+    if (event.moderatedAt) {
+      return res.status(403).json({
+        message: 'This event was unpublished by an admin and cannot be published until it is reinstated',
+      });
+    }
+    const rejection = await checkOrganizerApproval(req.user, event.organizer);
+    if (rejection) {
+      return res.status(rejection.status).json({ message: rejection.message });
+    }
+
+    const changes = getEventChanges(event, { status: 'published' });
 
     event.status = 'published';
+    if (changes.length > 0) {
+      event.sequence += 1;
+    }
     await event.save();
 
+    await notifyEventChanges(event, changes, req.user.id);
+
     res.json({
       message: 'Event published successfully',
       event,
@@ -150,6 +434,42 @@ const publishEvent = async (req, res) => {
   }
 };
 
+const cancelEvent = async (req, res) => {
+  try {
+    const { error, value } = cancelEventSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await can(req.user, event.organizer, 'events:manage'))) {
+      return res.status(403).json({ message: 'Not authorized to cancel this event' });
+    }
+
+    const result = await cancelEventWithBookings(event._id, {
+      reason: value.reason,
+      cancelledBy: req.user.id,
+    });
+
+    if (!result) {
+      return res.status(400).json({ message: 'Event is already cancelled' });
+    }
+
+    res.json({
+      message: 'Event cancelled successfully',
+      event: result.event,
+      cancelledBookings: result.cancelledBookings,
+      refundsPending: result.refundsPending,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error cancelling event', error: error.message });
+  }
+};
+
 module.exports = {
   createEvent,
   getEvents,
@@ -157,4 +477,5 @@ module.exports = {
   updateEvent,
   deleteEvent,
   publishEvent,
+  cancelEvent,
 };
@@ -0,0 +1,402 @@
+const EventSeries = require('../models/EventSeries');
+const Event = require('../models/Event');
+const Venue = require('../models/Venue');
+const Joi = require('joi');
+const { venueDetailsSchema: venueSchema } = require('../validation/venueSchemas');
+const { MAX_SERIES_OCCURRENCES, formatRRule } = require('../services/recurrenceService');
+const {
+  createSeries: createSeriesWithOccurrences,
+  updateSeries: updateSeriesAndOccurrences,
+  publishSeries: publishSeriesOccurrences,
+  cancelSeries: cancelSeriesOccurrences,
+  deleteSeries: deleteSeriesWithOccurrences,
+} = require('../services/eventSeriesService');
+const { can, checkOrganizerApproval } = require('../policies/organizerPolicy');
+
+const recurrenceSchema = Joi.object({
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly').required(),
+  interval: Joi.number().integer().min(1).max(99).default(1),
+  byWeekday: Joi.array()
+    .items(Joi.string().valid('MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'))
+    .min(1)
+    .unique()
+    .when('frequency', { not: 'weekly', then: Joi.forbidden() }),
+  byMonthDay: Joi.array()
+    .items(Joi.number().integer().min(1).max(31))
+    .min(1)
+    .unique()
+    .when('frequency', { not: 'monthly', then: Joi.forbidden() }),
+  count: Joi.number().integer().min(1).max(MAX_SERIES_OCCURRENCES),
+  until: Joi.date().iso(),
+  exceptions: Joi.array().items(Joi.date().iso()).unique().default([]),
+}).xor('count', 'until');
+
+// Sale windows are absolute dates, so they are set per occurrence instead
+const seriesTicketTypeSchema = Joi.object({
+  name: Joi.string().required(),
+  price: Joi.number().min(0).required(),
+  totalTickets: Joi.number().integer().min(1).required(),
+});
+
+const seatedSeriesTicketTypeSchema = Joi.object({
+  name: Joi.string().required(),
+  price: Joi.number().min(0).required(),
+  sections: Joi.array().items(Joi.string()).min(1).unique().required(),
+});
+
+const seriesTicketTypeUpdateSchema = Joi.object({
+  _id: Joi.string().optional(),
+  name: Joi.string().when('_id', { not: Joi.exist(), then: Joi.required() }),
+  price: Joi.number().min(0).when('_id', { not: Joi.exist(), then: Joi.required() }),
+  totalTickets: Joi.number().integer().min(1).when('_id', { not: Joi.exist(), then: Joi.required() }),
+});
+
+// Same details as a single event, with a start date and recurrence rule in
+// place of the date
+// Team members creating a series for an organizer account give its ID as organizer
+const createSeriesSchema = Joi.object({
+  organizer: Joi.string().hex().length(24),
+  title: Joi.string().required(),
+  description: Joi.string().required(),
+  startDate: Joi.date().iso().greater('now').required(),
+  recurrence: recurrenceSchema.required(),
+  location: Joi.string(),
+  venue: venueSchema,
+  seatingVenue: Joi.string().hex().length(24),
+  ticketTypes: Joi.when('seatingVenue', {
+    is: Joi.exist(),
+    then: Joi.array().items(seatedSeriesTicketTypeSchema).min(1).unique('name'),
+    otherwise: Joi.array().items(seriesTicketTypeSchema).min(1).unique('name'),
+  }),
+  totalTickets: Joi.number()
+    .integer()
+    .min(1)
+    .when('seatingVenue', {
+      is: Joi.exist(),
+      then: Joi.forbidden(),
+      otherwise: Joi.when('ticketPrice', { is: Joi.exist(), then: Joi.required() }),
+    }),
+  ticketPrice: Joi.number().min(0),
+  category: Joi.string().optional(),
+})
+  .or('location', 'venue', 'seatingVenue')
+  .xor('ticketTypes', 'ticketPrice')
+  .without('ticketTypes', 'totalTickets');
+
+// A new startDate or recurrence replaces the schedule
+const updateSeriesSchema = Joi.object({
+  title: Joi.string().optional(),
+  description: Joi.string().optional(),
+  location: Joi.string().optional(),
+  venue: venueSchema.allow(null).optional(),
+  category: Joi.string().optional(),
+  ticketTypes: Joi.array().items(seriesTicketTypeUpdateSchema).min(1).optional(),
+  totalTickets: Joi.number().integer().min(1).optional(),
+  ticketPrice: Joi.number().min(0).optional(),
+  startDate: Joi.date().iso().greater('now').optional(),
+  recurrence: recurrenceSchema.optional(),
+})
+  .min(1)
+  .oxor('ticketTypes', 'totalTickets')
+  .oxor('ticketTypes', 'ticketPrice');
+
+const cancelSeriesSchema = Joi.object({
+  reason: Joi.string().trim().max(500).required(),
+});
+
+const mySeriesSchema = Joi.object({
+  organizer: Joi.string().hex().length(24),
+});
+
+const listSeriesSchema = Joi.object({
+  category: Joi.string(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+const findManagedSeries = async (id, user) => {
+  const series = await EventSeries.findById(id);
+  if (!series) {
+    return { status: 404, message: 'Series not found' };
+  }
+  if (!(await can(user, series.organizer, 'events:manage'))) {
+    return { status: 403, message: 'Not authorized to manage this series' };
+  }
+  return { series };
+};
+
+const formatSeries = (series) => ({ ...series.toObject(), rrule: formatRRule(series.recurrence) });
+
+const createSeries = async (req, res) => {
+  try {
+    const { error, value } = createSeriesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const organizerId = value.organizer || req.user.id;
+    if (!(await can(req.user, organizerId, 'events:manage'))) {
+      return res.status(403).json({ message: 'Not authorized to create series for this organizer' });
+    }
+    const rejection = await checkOrganizerApproval(req.user, organizerId);
+    if (rejection) {
+      return res.status(rejection.status).json({ message: rejection.message });
+    }
+
+    let seatingVenue = null;
+    if (value.seatingVenue) {
+      seatingVenue = await Venue.findById(value.seatingVenue);
+      if (!seatingVenue) {
+        return res.status(400).json({ message: 'Venue not found' });
+      }
+      if (seatingVenue.organizer.toString() !== organizerId) {
+        return res.status(403).json({ message: 'Not authorized to use this venue' });
+      }
+    }
+
+    const result = await createSeriesWithOccurrences(value, { organizerId, seatingVenue });
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    res.status(201).json({
+      message: 'Series created successfully',
+      series: formatSeries(result.series),
+      occurrences: result.occurrences.map((event) => ({ _id: event._id, date: event.date })),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating series', error: error.message });
+  }
+};
+
+// Published series with upcoming dates, soonest first
+const getSeries = async (req, res) => {
+  try {
+    const { error, value } = listSeriesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const filter = { status: 'published' };
+    if (value.category) {
+      filter.category = value.category;
+    }
+
+    const [result] = await EventSeries.aggregate([
+      { $match: filter },
+      {
+        $lookup: {
+          from: Event.collection.name,
+          let: { seriesId: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ['$series', '$$seriesId'] },
+                status: 'published',
+                date: { $gte: new Date() },
+              },
+            },
+            { $sort: { date: 1 } },
+            { $project: { date: 1, ticketPrice: 1, availableTickets: 1 } },
+          ],
+          as: 'upcoming',
+        },
+      },
+      { $match: { 'upcoming.0': { $exists: true } } },
+      {
+        $addFields: {
+          nextDate: { $arrayElemAt: ['$upcoming.date', 0] },
+          upcomingOccurrences: { $size: '$upcoming' },
+          ticketPrice: { $min: '$upcoming.ticketPrice' },
+        },
+      },
+      { $project: { upcoming: 0 } },
+      {
+        $facet: {
+          series: [
+            { $sort: { nextDate: 1, _id: 1 } },
+            { $skip: (value.page - 1) * value.limit },
+            { $limit: value.limit },
+          ],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ]);
+
+    const series = await EventSeries.populate(result.series, { path: 'organizer', select: 'name email' });
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    res.json({
+      series: series.map((item) => ({ ...item, rrule: formatRRule(item.recurrence) })),
+      pagination: {
+        page: value.page,
+        limit: value.limit,
+        total,
+        totalPages: Math.ceil(total / value.limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching series', error: error.message });
+  }
+};
+
+// A published series with its upcoming dates. Cancelled dates are listed too,
+// so customers can see which ones are not going ahead.
+const getSeriesById = async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.id).populate('organizer', 'name email');
+    if (!series || series.status === 'draft') {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    const occurrences = await Event.find({
+      series: series._id,
+      status: { $in: ['published', 'cancelled'] },
+      date: { $gte: new Date() },
+    })
+      .select('title date location status ticketPrice totalTickets availableTickets')
+      .sort('date');
+
+    res.json({
+      series: formatSeries(series),
+      occurrences,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching series', error: error.message });
+  }
+};
+
+// The organizer's own series, drafts included, or those of an organizer whose
+// events the user manages
+const getMySeries = async (req, res) => {
+  try {
+    const { error, value } = mySeriesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const organizerId = value.organizer || req.user.id;
+    if (!(await can(req.user, organizerId, 'events:manage'))) {
+      return res.status(403).json({ message: 'Not authorized to manage series for this organizer' });
+    }
+
+    const series = await EventSeries.find({ organizer: organizerId }).sort('-createdAt');
+    res.json(series.map(formatSeries));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching series', error: error.message });
+  }
+};
+
+const updateSeries = async (req, res) => {
+  try {
+    const { error, value } = updateSeriesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { series, status, message } = await findManagedSeries(req.params.id, req.user);
+    if (!series) {
+      return res.status(status).json({ message });
+    }
+
+    const result = await updateSeriesAndOccurrences(series, value, { updatedBy: req.user.id });
+    if (!result.series) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json({
+      message: 'Series updated successfully',
+      series: formatSeries(result.series),
+      occurrences: result.occurrences,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating series', error: error.message });
+  }
+};
+
+const publishSeries = async (req, res) => {
+  try {
+    const { series, status, message } = await findManagedSeries(req.params.id, req.user);
+    if (!series) {
+      return res.status(status).json({ message });
+    }
+
+    if (series.status === 'cancelled') {
+      return res.status(400).json({ message: 'Cannot publish a cancelled series' });
+    }
+
+    const rejection = await checkOrganizerApproval(req.user, series.organizer);
+    if (rejection) {
+      return res.status(rejection.status).json({ message: rejection.message });
+    }
+
+    const publishedOccurrences = await publishSeriesOccurrences(series);
+
+    res.json({
+      message: 'Series published successfully',
+      series: formatSeries(series),
+      publishedOccurrences,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error publishing series', error: error.message });
+  }
+};
+
+const cancelSeries = async (req, res) => {
+  try {
+    const { error, value } = cancelSeriesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { series, status, message } = await findManagedSeries(req.params.id, req.user);
+    if (!series) {
+      return res.status(status).json({ message });
+    }
+
+    if (series.status === 'cancelled') {
+      return res.status(400).json({ message: 'Series is already cancelled' });
+    }
+
+    const totals = await cancelSeriesOccurrences(series, { reason: value.reason, cancelledBy: req.user.id });
+
+    res.json({
+      message: 'Series cancelled successfully',
+      series: formatSeries(series),
+      ...totals,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error cancelling series', error: error.message });
+  }
+};
+
+const deleteSeries = async (req, res) => {
+  try {
+    const { series, status, message } = await findManagedSeries(req.params.id, req.user);
+    if (!series) {
+      return res.status(status).json({ message });
+    }
+
+    const deleted = await deleteSeriesWithOccurrences(series);
+    if (!deleted) {
+      return res.status(409).json({
+        message: 'Series has bookings and cannot be deleted. Cancel it with POST /api/series/:id/cancel instead',
+      });
+    }
+
+    res.json({ message: 'Series deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting series', error: error.message });
+  }
+};
+
+module.exports = {
+  createSeries,
+  getSeries,
+  getSeriesById,
+  getMySeries,
+  updateSeries,
+  publishSeries,
+  cancelSeries,
+  deleteSeries,
+};
@@ -0,0 +1,248 @@
+const Organization = require('../models/Organization');
+const Joi = require('joi');
+const { getTeamRole, hasPermission } = require('../policies/organizerPolicy');
+const {
+  getUserOrganizations,
+  getUserInvites,
+  inviteMember: inviteTeamMember,
+  revokeInvite: revokeTeamInvite,
+  acceptInvite: acceptTeamInvite,
+  declineInvite: declineTeamInvite,
+  changeMemberRole,
+  removeMember: removeTeamMember,
+} = require('../services/organizationService');
+
+// The owner role belongs to the organizer account and cannot be given out
+const memberRoleSchema = Joi.string().valid('manager', 'check-in', 'finance');
+
+const updateOrganizationSchema = Joi.object({
+  name: Joi.string().trim().max(200).required(),
+});
+
+const inviteMemberSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: memberRoleSchema.required(),
+});
+
+const updateMemberSchema = Joi.object({
+  role: memberRoleSchema.required(),
+});
+
+// The organization, if the user is on its team. With a permission, their
+// role must also grant it.
+const findOrganization = async (id, user, permission) => {
+  const organization = await Organization.findById(id);
+  if (!organization) {
+    return { status: 404, message: 'Organization not found' };
+  }
+
+  const role = await getTeamRole(user, organization.owner);
+  if (!role) {
+    return { status: 404, message: 'Organization not found' };
+  }
+  if (permission && !hasPermission(role, permission)) {
+    return { status: 403, message: 'Not authorized to manage this team' };
+  }
+  return { organization, role };
+};
+
+const getMyOrganizations = async (req, res) => {
+  try {
+    res.json(await getUserOrganizations(req.user.id));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching organizations', error: error.message });
+  }
+};
+
+// The team's members; open invites are only shown to those who manage it
+const getOrganization = async (req, res) => {
+  try {
+    const { organization, role, status, message } = await findOrganization(req.params.id, req.user);
+    if (!organization) {
+      return res.status(status).json({ message });
+    }
+
+    const paths = [
+      { path: 'owner', select: 'name email' },
+      { path: 'members.user', select: 'name email' },
+    ];
+    const canManageTeam = hasPermission(role, 'team:manage');
+    if (canManageTeam) {
+      paths.push({ path: 'invites.user', select: 'name email' }, { path: 'invites.invitedBy', select: 'name email' });
+    }
+    await organization.populate(paths);
+
+    res.json({
+      id: organization._id,
+      name: organization.name,
+      organizer: organization.owner,
+      role,
+      members: organization.members,
+      invites: canManageTeam ? organization.invites : undefined,
+      createdAt: organization.createdAt,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching organization', error: error.message });
+  }
+};
+
+const updateOrganization = async (req, res) => {
+  try {
+    const { error, value } = updateOrganizationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { organization, status, message } = await findOrganization(req.params.id, req.user, 'team:manage');
+    if (!organization) {
+      return res.status(status).json({ message });
+    }
+
+    organization.name = value.name;
+    await organization.save();
+
+    res.json({ message: 'Organization updated successfully', organization });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating organization', error: error.message });
+  }
+};
+
+// Invite an existing account by email; they are emailed and join once they accept
+const inviteMember = async (req, res) => {
+  try {
+    const { error, value } = inviteMemberSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { organization, status, message } = await findOrganization(req.params.id, req.user, 'team:manage');
+    if (!organization) {
+      return res.status(status).json({ message });
+    }
+
+    const result = await inviteTeamMember(organization, value, req.user.id);
+    if (!result.invite) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.status(201).json({ message: 'Invitation sent', invite: result.invite });
+  } catch (error) {
+    res.status(500).json({ message: 'Error inviting member', error: error.message });
+  }
+};
+
+const revokeInvite = async (req, res) => {
+  try {
+    const { organization, status, message } = await findOrganization(req.params.id, req.user, 'team:manage');
+    if (!organization) {
+      return res.status(status).json({ message });
+    }
+
+    const revoked = await revokeTeamInvite(organization, req.params.inviteId);
+    if (!revoked) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    res.json({ message: 'Invitation withdrawn' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error withdrawing invitation', error: error.message });
+  }
+};
+
+const updateMember = async (req, res) => {
+  try {
+    const { error, value } = updateMemberSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { organization, status, message } = await findOrganization(req.params.id, req.user, 'team:manage');
+    if (!organization) {
+      return res.status(status).json({ message });
+    }
+
+    const rejection = await changeMemberRole(organization, req.params.userId, value.role);
+    if (rejection) {
+      return res.status(rejection.status).json({ message: rejection.message });
+    }
+
+    res.json({ message: 'Member updated successfully', member: { user: req.params.userId, role: value.role } });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating member', error: error.message });
+  }
+};
+
+// Those who manage the team remove members; any member can remove themselves
+const removeMember = async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.id;
+    const { organization, status, message } = await findOrganization(
+      req.params.id,
+      req.user,
+      leaving ? undefined : 'team:manage'
+    );
+    if (!organization) {
+      return res.status(status).json({ message });
+    }
+
+    const rejection = await removeTeamMember(organization, req.params.userId);
+    if (rejection) {
+      return res.status(rejection.status).json({ message: rejection.message });
+    }
+
+    res.json({ message: leaving ? 'You have left the team' : 'Member removed' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error removing member', error: error.message });
+  }
+};
+
+const getMyInvites = async (req, res) => {
+  try {
+    res.json(await getUserInvites(req.user.id));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching invitations', error: error.message });
+  }
+};
+
+const acceptInvite = async (req, res) => {
+  try {
+    const organization = await acceptTeamInvite(req.params.inviteId, req.user.id);
+    if (!organization) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    const member = organization.members.find((entry) => entry.user.equals(req.user.id));
+    res.json({
+      message: `You have joined ${organization.name}`,
+      organization: { id: organization._id, name: organization.name, organizer: organization.owner, role: member.role },
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error accepting invitation', error: error.message });
+  }
+};
+
+const declineInvite = async (req, res) => {
+  try {
+    const declined = await declineTeamInvite(req.params.inviteId, req.user.id);
+    if (!declined) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error declining invitation', error: error.message });
+  }
+};
+
+module.exports = {
+  getMyOrganizations,
+  getOrganization,
+  updateOrganization,
+  inviteMember,
+  revokeInvite,
+  updateMember,
+  removeMember,
+  getMyInvites,
+  acceptInvite,
+  declineInvite,
+};
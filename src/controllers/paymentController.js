@@ -0,0 +1,23 @@
+const { getPaymentProvider } = require('../payments/providers');
+const { handleWebhookEvent } = require('../services/paymentService');
+
+const handlePaymentWebhook = async (req, res) => {
+  let event;
+  try {
+    // req.body is the raw request body; the signature is computed over it
+    event = getPaymentProvider().verifyWebhook(req.body, req.headers);
+  } catch (error) {
+    return res.status(400).json({ message: 'Invalid webhook signature', error: error.message });
+  }
+
+  try {
+    const result = await handleWebhookEvent(event);
+    res.json({ received: true, ...result });
+  } catch (error) {
+    res.status(500).json({ message: 'Error handling payment webhook', error: error.message });
+  }
+};
+
+module.exports = {
+  handlePaymentWebhook,
+};
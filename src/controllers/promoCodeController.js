@@ -0,0 +1,215 @@
+const PromoCode = require('../models/PromoCode');
+const Event = require('../models/Event');
+const Joi = require('joi');
+const { can } = require('../policies/organizerPolicy');
+
+const objectIdSchema = Joi.string().hex().length(24);
+
+const validUntilSchema = Joi.date()
+  .iso()
+  .allow(null)
+  .when('validFrom', { is: Joi.date().required(), then: Joi.date().greater(Joi.ref('validFrom')) });
+
+// Team members give the organizer account the code is for
+const createPromoCodeSchema = Joi.object({
+  organizer: objectIdSchema,
+  code: Joi.string()
+    .trim()
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .max(32)
+    .required(),
+  events: Joi.array().items(objectIdSchema).unique().default([]),
+  discountType: Joi.string().valid('percentage', 'fixed').required(),
+  discountValue: Joi.number()
+    .positive()
+    .required()
+    .when('discountType', { is: 'percentage', then: Joi.number().max(100) }),
+  maxRedemptions: Joi.number().integer().min(1).allow(null),
+  perCustomerLimit: Joi.number().integer().min(1).allow(null),
+  minQuantity: Joi.number().integer().min(1),
+  validFrom: Joi.date().iso().allow(null),
+  validUntil: validUntilSchema,
+  active: Joi.boolean(),
+});
+
+// The code itself cannot be changed once customers may have been given it
+const updatePromoCodeSchema = Joi.object({
+  events: Joi.array().items(objectIdSchema).unique(),
+  discountType: Joi.string().valid('percentage', 'fixed'),
+  discountValue: Joi.number().positive(),
+  maxRedemptions: Joi.number().integer().min(1).allow(null),
+  perCustomerLimit: Joi.number().integer().min(1).allow(null),
+  minQuantity: Joi.number().integer().min(1),
+  validFrom: Joi.date().iso().allow(null),
+  validUntil: validUntilSchema,
+  active: Joi.boolean(),
+}).min(1);
+
+const listPromoCodesSchema = Joi.object({
+  organizer: objectIdSchema,
+  eventId: objectIdSchema,
+});
+
+// Promo codes can only be scoped to the organizer's own events
+const ownsEvents = async (eventIds, organizerId) => {
+  if (eventIds.length === 0) {
+    return true;
+  }
+  const count = await Event.countDocuments({ _id: { $in: eventIds }, organizer: organizerId });
+  return count === eventIds.length;
+};
+
+// A code the user manages for its organizer
+const findManagedPromoCode = async (id, user) => {
+  const promoCode = await PromoCode.findById(id);
+  if (!promoCode) {
+    return { status: 404, message: 'Promo code not found' };
+  }
+  if (!(await can(user, promoCode.organizer, 'promo-codes:manage'))) {
+    return { status: 403, message: 'Not authorized to manage this promo code' };
+  }
+  return { promoCode };
+};
+
+const createPromoCode = async (req, res) => {
+  try {
+    const { error, value } = createPromoCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const organizerId = value.organizer || req.user.id;
+    if (!(await can(req.user, organizerId, 'promo-codes:manage'))) {
+      return res.status(403).json({ message: 'Not authorized to manage promo codes for this organizer' });
+    }
+
+    if (!(await ownsEvents(value.events, organizerId))) {
+      return res.status(400).json({ message: "Promo codes can only apply to the organizer's own events" });
+    }
+
+    const promoCode = new PromoCode({
+      ...value,
+      organizer: organizerId,
+    });
+
+    await promoCode.save();
+
+    res.status(201).json({
+      message: 'Promo code created successfully',
+      promoCode,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You already have a promo code with this code' });
+    }
+    res.status(500).json({ message: 'Error creating promo code', error: error.message });
+  }
+};
+
+const getPromoCodes = async (req, res) => {
+  try {
+    const { error, value } = listPromoCodesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const organizerId = value.organizer || req.user.id;
+    if (!(await can(req.user, organizerId, 'promo-codes:manage'))) {
+      return res.status(403).json({ message: 'Not authorized to manage promo codes for this organizer' });
+    }
+
+    const filter = { organizer: organizerId };
+    if (value.eventId) {
+      filter.$or = [{ events: { $size: 0 } }, { events: value.eventId }];
+    }
+
+    const promoCodes = await PromoCode.find(filter).sort('-createdAt');
+    res.json(promoCodes);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching promo codes', error: error.message });
+  }
+};
+
+const getPromoCodeById = async (req, res) => {
+  try {
+    const { promoCode, status, message } = await findManagedPromoCode(req.params.id, req.user);
+    if (!promoCode) {
+      return res.status(status).json({ message });
+    }
+
+    res.json(promoCode);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching promo code', error: error.message });
+  }
+};
+
+const updatePromoCode = async (req, res) => {
+  try {
+    const { error, value } = updatePromoCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { promoCode, status, message } = await findManagedPromoCode(req.params.id, req.user);
+    if (!promoCode) {
+      return res.status(status).json({ message });
+    }
+
+    if (value.events && !(await ownsEvents(value.events, promoCode.organizer))) {
+      return res.status(400).json({ message: "Promo codes can only apply to the organizer's own events" });
+    }
+
+    const discountType = value.discountType || promoCode.discountType;
+    const discountValue = value.discountValue !== undefined ? value.discountValue : promoCode.discountValue;
+    if (discountType === 'percentage' && discountValue > 100) {
+      return res.status(400).json({ message: 'A percentage discount cannot be more than 100' });
+    }
+
+    // The window is checked as a whole, since either end may be changed alone
+    const validFrom = value.validFrom !== undefined ? value.validFrom : promoCode.validFrom;
+    const validUntil = value.validUntil !== undefined ? value.validUntil : promoCode.validUntil;
+    if (validFrom && validUntil && validUntil <= validFrom) {
+      return res.status(400).json({ message: 'validUntil must be after validFrom' });
+    }
+
+    // Redemption counts are only ever changed atomically by bookings, so only
+    // the edited fields are written
+    const updated = await PromoCode.findByIdAndUpdate(promoCode._id, { $set: value }, { new: true });
+
+    res.json({
+      message: 'Promo code updated successfully',
+      promoCode: updated,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating promo code', error: error.message });
+  }
+};
+
+const deletePromoCode = async (req, res) => {
+  try {
+    const { promoCode, status, message } = await findManagedPromoCode(req.params.id, req.user);
+    if (!promoCode) {
+      return res.status(status).json({ message });
+    }
+
+    // Bookings keep a reference to the codes they used
+    const deleted = await PromoCode.findOneAndDelete({ _id: promoCode._id, redemptionCount: 0 });
+    if (!deleted) {
+      return res.status(409).json({
+        message: 'Promo code has been used and cannot be deleted. Deactivate it instead',
+      });
+    }
+
+    res.json({ message: 'Promo code deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting promo code', error: error.message });
+  }
+};
+
+module.exports = {
+  createPromoCode,
+  getPromoCodes,
+  getPromoCodeById,
+  updatePromoCode,
+  deletePromoCode,
+};
@@ -0,0 +1,169 @@
+const Booking = require('../models/Booking');
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const Joi = require('joi');
+const {
+  signTicket,
+  issueTickets,
+  renderTicketQr,
+  checkInTicket,
+  getAttendance,
+} = require('../services/ticketService');
+const { can } = require('../policies/organizerPolicy');
+
+const checkInSchema = Joi.object({
+  token: Joi.string().trim().max(2000).required(),
+});
+
+const QR_CONTENT_TYPES = {
+  png: 'image/png',
+  svg: 'image/svg+xml',
+};
+
+// What door staff see after a scan
+const formatScannedTicket = (ticket) => ({
+  code: ticket.code,
+  ticketType: ticket.ticketTypeName,
+  seatId: ticket.seatId,
+  checkedInAt: ticket.checkedInAt,
+});
+
+// The event, if it exists and the user checks tickets in for its organizer
+const findCheckInEvent = async (id, user) => {
+  const event = await Event.findById(id);
+  if (!event) {
+    return { status: 404, message: 'Event not found' };
+  }
+  if (!(await can(user, event.organizer, 'tickets:check-in'))) {
+    return { status: 403, message: 'Not authorized to manage this event' };
+  }
+  return { event };
+};
+
+// A confirmed booking's tickets, each with its signed token and QR code links
+const getBookingTickets = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (booking.customer.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to view these tickets' });
+    }
+
+    if (booking.status !== 'confirmed') {
+      return res.status(400).json({ message: 'Tickets are issued once the booking is confirmed' });
+    }
+
+    // Bookings confirmed before tickets existed get them on first request
+    const tickets = await issueTickets(booking);
+
+    res.json({
+      bookingReference: booking.bookingReference,
+      tickets: tickets.map((ticket) => ({
+        _id: ticket._id,
+        code: ticket.code,
+        ticketType: ticket.ticketTypeName,
+        seatId: ticket.seatId,
+        checkedInAt: ticket.checkedInAt,
+        token: signTicket(ticket),
+        qrCode: {
+          png: `/api/bookings/${booking._id}/tickets/${ticket._id}/qr.png`,
+          svg: `/api/bookings/${booking._id}/tickets/${ticket._id}/qr.svg`,
+        },
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching tickets', error: error.message });
+  }
+};
+
+const getTicketQr = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (booking.customer.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to view this ticket' });
+    }
+
+    if (booking.status !== 'confirmed') {
+      return res.status(400).json({ message: 'Tickets are issued once the booking is confirmed' });
+    }
+
+    const ticket = await Ticket.findOne({ _id: req.params.ticketId, booking: booking._id });
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    const image = await renderTicketQr(signTicket(ticket), req.params.format);
+
+    res.set('Content-Type', QR_CONTENT_TYPES[req.params.format]);
+    res.set('Cache-Control', 'private, no-store');
+    res.send(image);
+  } catch (error) {
+    res.status(500).json({ message: 'Error rendering ticket', error: error.message });
+  }
+};
+
+// Scan a ticket at the door. Every outcome reports the live attendance count.
+const checkIn = async (req, res) => {
+  try {
+    const { error, value } = checkInSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { event, status, message } = await findCheckInEvent(req.params.id, req.user);
+    if (!event) {
+      return res.status(status).json({ message });
+    }
+
+    if (event.status === 'cancelled') {
+      return res.status(409).json({ message: 'Event is cancelled' });
+    }
+
+    const result = await checkInTicket(event, value.token, req.user.id);
+    const attendance = await getAttendance(event);
+    const counts = { checkedIn: attendance.checkedIn, ticketsSold: attendance.ticketsSold };
+
+    if (result.status) {
+      return res.status(result.status).json({
+        message: result.message,
+        ticket: result.ticket ? formatScannedTicket(result.ticket) : undefined,
+        attendance: counts,
+      });
+    }
+
+    res.json({
+      message: 'Checked in',
+      ticket: formatScannedTicket(result.ticket),
+      attendance: counts,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error checking in ticket', error: error.message });
+  }
+};
+
+const getEventAttendance = async (req, res) => {
+  try {
+    const { event, status, message } = await findCheckInEvent(req.params.id, req.user);
+    if (!event) {
+      return res.status(status).json({ message });
+    }
+
+    res.json(await getAttendance(event));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching attendance', error: error.message });
+  }
+};
+
+module.exports = {
+  getBookingTickets,
+  getTicketQr,
+  checkIn,
+  getEventAttendance,
+};
@@ -0,0 +1,155 @@
+const User = require('../models/User');
+const bcrypt = require('bcryptjs');
+const Joi = require('joi');
+const { requestEmailChange } = require('../services/accountService');
+const { exportUserData, deleteUserAccount } = require('../services/userDataService');
+
+// Phone and address are cleared with an empty string. Changing the email
+// needs the current password.
+const updateProfileSchema = Joi.object({
+  name: Joi.string().trim(),
+  phone: Joi.string().trim().allow(''),
+  address: Joi.string().trim().allow(''),
+  email: Joi.string().email(),
+  currentPassword: Joi.string(),
+}).min(1);
+
+const deleteAccountSchema = Joi.object({
+  password: Joi.string().required(),
+});
+
+const formatProfile = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  pendingEmail: user.pendingEmail,
+  emailVerified: Boolean(user.emailVerifiedAt),
+  role: user.role,
+  organizerStatus: user.organizerStatus,
+  phone: user.phone,
+  address: user.address,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt,
+});
+
+const getProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(formatProfile(user));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching profile', error: error.message });
+  }
+};
+
+// A new email is verified before it replaces the current one. Setting the
+// current email again drops a pending change.
+const updateProfile = async (req, res) => {
+  try {
+    const { error, value } = updateProfileSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    ['name', 'phone', 'address'].forEach((field) => {
+      if (value[field] !== undefined) {
+        user[field] = value[field] || undefined;
+      }
+    });
+
+    const email = value.email && value.email.toLowerCase();
+    if (!email || email === user.email) {
+      if (email) {
+        user.pendingEmail = undefined;
+      }
+      await user.save();
+      return res.json({ message: 'Profile updated', user: formatProfile(user) });
+    }
+
+    if (!value.currentPassword) {
+      return res.status(400).json({ message: 'currentPassword is required to change the email address' });
+    }
+    const passwordMatch = await bcrypt.compare(value.currentPassword, user.password);
+    if (!passwordMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    const existingUser = await User.exists({ email });
+    if (existingUser) {
+      return res.status(409).json({ message: 'Email already registered' });
+    }
+
+    const rejection = await requestEmailChange(user, email);
+    if (rejection) {
+      return res.status(rejection.status).json({ message: rejection.message });
+    }
+
+    res.json({
+      message: `Profile updated. Follow the link sent to ${email} to confirm your new email address`,
+      user: formatProfile(user),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating profile', error: error.message });
+  }
+};
+
+// Anonymizes the account and logs it out everywhere; needs the password
+const deleteAccount = async (req, res) => {
+  try {
+    const { error, value } = deleteAccountSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const passwordMatch = await bcrypt.compare(value.password, user.password);
+    if (!passwordMatch) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const rejection = await deleteUserAccount(user);
+    if (rejection) {
+      return res.status(rejection.status).json({ message: rejection.message });
+    }
+
+    res.json({ message: 'Account deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting account', error: error.message });
+  }
+};
+
+// All of the user's data as a JSON download
+const exportAccount = async (req, res) => {
+  try {
+    const data = await exportUserData(req.user.id);
+    if (!data) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const filename = `account-export-${new Date().toISOString().slice(0, 10)}.json`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'private, no-store');
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ message: 'Error exporting account data', error: error.message });
+  }
+};
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  deleteAccount,
+  exportAccount,
+};
@@ -0,0 +1,183 @@
+const Venue = require('../models/Venue');
+const Event = require('../models/Event');
+const Joi = require('joi');
+const { addressSchema, pointSchema, sectionSchema } = require('../validation/venueSchemas');
+const { buildSections, countSeats, getSeatMap } = require('../services/seatService');
+const { can } = require('../policies/organizerPolicy');
+
+const organizerSchema = Joi.string().hex().length(24);
+
+// Team members give the organizer account the venue is for
+const createVenueSchema = Joi.object({
+  organizer: organizerSchema,
+  name: Joi.string().trim().max(200).required(),
+  address: addressSchema.required(),
+  location: pointSchema.required(),
+  sections: Joi.array().items(sectionSchema).min(1).unique('name').required(),
+});
+
+const updateVenueSchema = Joi.object({
+  name: Joi.string().trim().max(200),
+  address: addressSchema,
+  location: pointSchema,
+  sections: Joi.array().items(sectionSchema).min(1).unique('name'),
+}).min(1);
+
+const listVenuesSchema = Joi.object({
+  organizer: organizerSchema,
+});
+
+const findManagedVenue = async (id, user) => {
+  const venue = await Venue.findById(id);
+  if (!venue) {
+    return { status: 404, message: 'Venue not found' };
+  }
+  if (!(await can(user, venue.organizer, 'venues:manage'))) {
+    return { status: 403, message: 'Not authorized to manage this venue' };
+  }
+  return { venue };
+};
+
+const createVenue = async (req, res) => {
+  try {
+    const { error, value } = createVenueSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const organizerId = value.organizer || req.user.id;
+    if (!(await can(req.user, organizerId, 'venues:manage'))) {
+      return res.status(403).json({ message: 'Not authorized to manage venues for this organizer' });
+    }
+
+    const sections = buildSections(value.sections);
+    const venue = new Venue({
+      ...value,
+      sections,
+      capacity: countSeats(sections),
+      organizer: organizerId,
+    });
+
+    await venue.save();
+
+    res.status(201).json({
+      message: 'Venue created successfully',
+      venue,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating venue', error: error.message });
+  }
+};
+
+const getVenues = async (req, res) => {
+  try {
+    const { error, value } = listVenuesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const organizerId = value.organizer || req.user.id;
+    if (!(await can(req.user, organizerId, 'venues:manage'))) {
+      return res.status(403).json({ message: 'Not authorized to manage venues for this organizer' });
+    }
+
+    const venues = await Venue.find({ organizer: organizerId }).select('-sections').sort('name');
+    res.json(venues);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching venues', error: error.message });
+  }
+};
+
+const getVenueById = async (req, res) => {
+  try {
+    const { venue, status, message } = await findManagedVenue(req.params.id, req.user);
+    if (!venue) {
+      return res.status(status).json({ message });
+    }
+
+    res.json(venue);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching venue', error: error.message });
+  }
+};
+
+const updateVenue = async (req, res) => {
+  try {
+    const { error, value } = updateVenueSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { venue, status, message } = await findManagedVenue(req.params.id, req.user);
+    if (!venue) {
+      return res.status(status).json({ message });
+    }
+
+    // Seats already created for events would no longer match a new layout
+    if (value.sections) {
+      const inUse = await Event.exists({ seatingVenue: venue._id });
+      if (inUse) {
+        return res.status(409).json({ message: 'The seat map of a venue used by events cannot be changed' });
+      }
+      value.sections = buildSections(value.sections);
+      value.capacity = countSeats(value.sections);
+    }
+
+    Object.assign(venue, value);
+    await venue.save();
+
+    res.json({
+      message: 'Venue updated successfully',
+      venue,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating venue', error: error.message });
+  }
+};
+
+const deleteVenue = async (req, res) => {
+  try {
+    const { venue, status, message } = await findManagedVenue(req.params.id, req.user);
+    if (!venue) {
+      return res.status(status).json({ message });
+    }
+
+    const inUse = await Event.exists({ seatingVenue: venue._id });
+    if (inUse) {
+      return res.status(409).json({ message: 'Venue is used by events and cannot be deleted' });
+    }
+
+    await Venue.deleteOne({ _id: venue._id });
+    res.json({ message: 'Venue deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting venue', error: error.message });
+  }
+};
+
+// Seat availability of an assigned-seating event, for rendering its seat map
+const getEventSeats = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!event.seatingVenue) {
+      return res.status(400).json({ message: 'This event does not have assigned seating' });
+    }
+
+    const venue = await Venue.findById(event.seatingVenue);
+    res.json(await getSeatMap(event, venue));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching seats', error: error.message });
+  }
+};
+
+module.exports = {
+  createVenue,
+  getVenues,
+  getVenueById,
+  updateVenue,
+  deleteVenue,
+  getEventSeats,
+};
@@ -0,0 +1,168 @@
+const Event = require('../models/Event');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Joi = require('joi');
+const { ensureTicketTypes, resolveBookingLines } = require('../services/ticketTypeService');
+const { claimOffer, leaveWaitlist: removeFromWaitlist } = require('../services/waitlistService');
+const { createBookingHold, formatBookingHold } = require('../services/bookingCheckoutService');
+const { can } = require('../policies/organizerPolicy');
+
+const waitlistSchema = Joi.object({
+  quantity: Joi.number().integer().min(1).required(),
+  ticketTypeId: Joi.string(),
+});
+
+// Place in line among the customers still waiting
+const getPosition = (entry) => {
+  return WaitlistEntry.countDocuments({
+    event: entry.event,
+    status: 'waiting',
+    createdAt: { $lte: entry.createdAt },
+  });
+};
+
+const joinWaitlist = async (req, res) => {
+  try {
+    const { error, value } = waitlistSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const storedEvent = await Event.findById(req.params.id);
+    if (!storedEvent) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (storedEvent.status !== 'published') {
+      return res.status(400).json({ message: 'Event is not published' });
+    }
+
+    if (storedEvent.seatingVenue) {
+      return res.status(400).json({ message: 'Waitlists are not available for assigned-seating events' });
+    }
+
+    const event = await ensureTicketTypes(storedEvent);
+    if (!value.ticketTypeId && event.ticketTypes.length > 1) {
+      return res.status(400).json({ message: 'This event has several ticket types. Specify ticketTypeId' });
+    }
+
+    const { lines, error: lineError } = resolveBookingLines(event, [
+      { ticketTypeId: value.ticketTypeId || event.ticketTypes[0]._id.toString(), quantity: value.quantity },
+    ]);
+    if (lineError) {
+      return res.status(400).json({ message: lineError });
+    }
+
+    const [line] = lines;
+    const tier = event.ticketTypes.id(line.ticketType);
+    if (tier.availableTickets >= line.quantity) {
+      return res.status(400).json({ message: 'Tickets are still available. Book them directly' });
+    }
+
+    const existing = await WaitlistEntry.exists({
+      event: event._id,
+      customer: req.user.id,
+      status: { $in: ['waiting', 'offered'] },
+    });
+    if (existing) {
+      return res.status(409).json({ message: 'You are already on the waitlist for this event' });
+    }
+
+    const entry = await WaitlistEntry.create({
+      event: event._id,
+      customer: req.user.id,
+      ticketType: line.ticketType,
+      quantity: line.quantity,
+    });
+
+    res.status(201).json({
+      message: 'Added to the waitlist. You will be notified when tickets become available',
+      entry,
+      position: await getPosition(entry),
+    });
+  } catch (error) {
+    // A concurrent request added the customer first
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You are already on the waitlist for this event' });
+    }
+    res.status(500).json({ message: 'Error joining waitlist', error: error.message });
+  }
+};
+
+const leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await removeFromWaitlist(req.params.id, req.user.id);
+    if (!entry) {
+      return res.status(404).json({ message: 'You are not on the waitlist for this event' });
+    }
+
+    res.json({ message: 'Removed from the waitlist', entry });
+  } catch (error) {
+    res.status(500).json({ message: 'Error leaving waitlist', error: error.message });
+  }
+};
+
+// Turn an open offer into a pending booking for the held tickets, at the
+// current ticket price
+const claimWaitlistOffer = async (req, res) => {
+  try {
+    // The offer stays open while the event is unpublished, and lapses as usual
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    if (event.status !== 'published') {
+      return res.status(400).json({ message: 'Event is not published' });
+    }
+
+    const entry = await claimOffer(event._id, req.user.id);
+    if (!entry) {
+      return res.status(404).json({ message: 'You have no open waitlist offer for this event' });
+    }
+
+    const tier = event.ticketTypes.id(entry.ticketType);
+    const lines = [{ ticketType: tier._id, name: tier.name, unitPrice: tier.price, quantity: entry.quantity }];
+
+    const hold = await createBookingHold({ customerId: req.user.id, event, lines });
+    if (!hold.booking) {
+      return res.status(hold.status).json({ message: hold.message, error: hold.error });
+    }
+
+    await WaitlistEntry.updateOne({ _id: entry._id }, { booking: hold.booking._id });
+
+    res.status(201).json({
+      message: 'Waitlist offer claimed. Confirm the booking before the hold expires',
+      booking: formatBookingHold(hold.booking),
+      payment: hold.payment,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error claiming waitlist offer', error: error.message });
+  }
+};
+
+const getWaitlist = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await can(req.user, event.organizer, 'events:manage'))) {
+      return res.status(403).json({ message: 'Not authorized to view the waitlist for this event' });
+    }
+
+    const entries = await WaitlistEntry.find({ event: event._id })
+      .populate('customer', 'name email')
+      .sort('createdAt');
+
+    res.json(entries);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching waitlist', error: error.message });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  leaveWaitlist,
+  claimWaitlistOffer,
+  getWaitlist,
+};
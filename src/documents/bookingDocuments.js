@@ -0,0 +1,166 @@
+const PDFDocument = require('pdfkit');
+const { formatDate, formatMoney, formatAddress } = require('./format');
+
+// Printable booking documents. Each renderer takes the data loaded by
+// bookingDocumentService and resolves to a PDF Buffer.
+
+// Collect a finished document into a Buffer
+const toBuffer = (doc) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+};
+
+const createDocument = (title) => {
+  return new PDFDocument({ size: 'A4', margin: 50, info: { Title: title, Producer: 'Event Booking System' } });
+};
+
+const writeRows = (doc, rows) => {
+  rows.forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value));
+  });
+};
+
+const eventRows = (event) => [
+  ['Date', formatDate(event.date)],
+  ['Location', event.venue ? formatAddress(event.venue) : event.location],
+];
+
+const organizerRows = (organizer) => [['Organizer', `${organizer.name} <${organizer.email}>`]];
+
+// One page per ticket with its QR code; bookings without tickets get a single
+// page with the booking details only
+const renderTicketPdf = async ({ event, booking, customer, tickets }) => {
+  const doc = createDocument(`Tickets ${booking.bookingReference}`);
+  const pages = tickets.length > 0 ? tickets : [null];
+
+  pages.forEach((ticket, index) => {
+    if (index > 0) {
+      doc.addPage();
+    }
+
+    doc.font('Helvetica-Bold').fontSize(22).text(event.title);
+    doc.moveDown(0.5).fontSize(11);
+    writeRows(doc, eventRows(event));
+    doc.moveDown();
+
+    const top = doc.y;
+    if (ticket) {
+      doc.image(ticket.qrCode, doc.page.width - doc.page.margins.right - 170, top, { fit: [170, 170] });
+    }
+
+    doc.fontSize(12);
+    writeRows(doc, [
+      ['Attendee', customer.name],
+      ['Booking Reference', booking.bookingReference],
+      ...(ticket
+        ? [
+          ['Ticket', `${ticket.code} (${index + 1} of ${tickets.length})`],
+          ['Ticket Type', ticket.ticketTypeName || 'General Admission'],
+          ...(ticket.seatId ? [['Seat', ticket.seatId]] : []),
+        ]
+        : [['Quantity', `${booking.quantity} tickets`]]),
+      ...organizerRows(event.organizer),
+    ]);
+
+    doc.y = Math.max(doc.y, top + 180);
+    doc.moveDown().fontSize(9).fillColor('#555555');
+    doc.text(
+      ticket
+        ? 'Present this QR code at the entrance. Each ticket admits one person once.'
+        : 'Show your booking reference at the entrance.'
+    );
+    doc.fillColor('#000000');
+  });
+
+  return toBuffer(doc);
+};
+
+// Invoice lines from the booking items; bookings made before ticket types
+// existed have a single line
+const getInvoiceLines = (booking) => {
+  if (booking.items && booking.items.length > 0) {
+    return booking.items.map((item) => ({
+      description: item.seats && item.seats.length > 0 ? `${item.name} (${item.seats.join(', ')})` : item.name,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+    }));
+  }
+
+  const subtotal = booking.originalPrice !== undefined ? booking.originalPrice : booking.totalPrice;
+  return [{ description: 'Ticket', quantity: booking.quantity, unitPrice: subtotal / booking.quantity }];
+};
+
+const renderInvoicePdf = async ({ event, booking, customer, payment }) => {
+  const doc = createDocument(`Invoice INV-${booking.bookingReference}`);
+  const lines = getInvoiceLines(booking);
+  const subtotal = lines.reduce((sum, line) => sum + line.quantity * line.unitPrice, 0);
+
+  doc.font('Helvetica-Bold').fontSize(22).text('Invoice');
+  doc.moveDown(0.5).fontSize(11);
+  writeRows(doc, [
+    ['Invoice Number', `INV-${booking.bookingReference}`],
+    ['Issued', formatDate(booking.createdAt)],
+    ['Booking Reference', booking.bookingReference],
+    ['Status', booking.status === 'cancelled' ? 'Cancelled' : 'Paid'],
+  ]);
+
+  doc.moveDown();
+  writeRows(doc, [
+    ['From', `${event.organizer.name} <${event.organizer.email}>`],
+    ['Billed To', `${customer.name} <${customer.email}>`],
+  ]);
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').text(event.title).font('Helvetica');
+  writeRows(doc, eventRows(event));
+
+  // Line items
+  const left = doc.page.margins.left;
+  const columns = [left, left + 280, left + 340, left + 420];
+  const writeLine = (cells, font) => {
+    const y = doc.y;
+    doc.font(font);
+    cells.forEach((cell, i) => {
+      doc.text(cell, columns[i], y, { width: i === 0 ? 270 : 75, align: i === 0 ? 'left' : 'right' });
+    });
+    doc.x = left;
+    doc.moveDown(0.3);
+  };
+
+  doc.moveDown();
+  writeLine(['Description', 'Qty', 'Unit Price', 'Amount'], 'Helvetica-Bold');
+  lines.forEach((line) => {
+    writeLine(
+      [line.description, String(line.quantity), formatMoney(line.unitPrice), formatMoney(line.quantity * line.unitPrice)],
+      'Helvetica'
+    );
+  });
+
+  doc.moveDown();
+  writeLine(['Subtotal', '', '', formatMoney(subtotal)], 'Helvetica');
+  if (booking.discountAmount > 0) {
+    writeLine([`Discount (${booking.promoCode})`, '', '', `-${formatMoney(booking.discountAmount)}`], 'Helvetica');
+  }
+  writeLine(['Total', '', '', formatMoney(booking.totalPrice)], 'Helvetica-Bold');
+  if (payment && payment.amountRefunded > 0) {
+    writeLine(['Refunded', '', '', `-${formatMoney(payment.amountRefunded)}`], 'Helvetica');
+  }
+
+  if (payment) {
+    doc.moveDown().fontSize(9).fillColor('#555555');
+    doc.text(`Payment ${payment.providerPaymentId} via ${payment.provider}, in ${payment.currency.toUpperCase()}.`);
+    doc.fillColor('#000000');
+  }
+
+  return toBuffer(doc);
+};
+
+module.exports = {
+  renderTicketPdf,
+  renderInvoicePdf,
+};
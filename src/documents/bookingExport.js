@@ -0,0 +1,70 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+// Booking reports as CSV or XLSX. Rows come from an async iterable and are
+// written to the stream as they arrive, so reports of any size are never held
+// in memory. Each column is { header, width, type, value(row) }.
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCsvCell = (value, type) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (type === 'text' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write and wait for the stream to drain when its buffer is full. Stops if
+// the client goes away, which closes the stream without draining it.
+const writeChunk = async (stream, chunk) => {
+  if (!stream.write(chunk)) {
+    await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+  }
+  if (stream.destroyed) {
+    throw new Error('Export stream closed');
+  }
+};
+
+// Starts with a byte order mark so that Excel reads the file as UTF-8
+const writeCsv = async (stream, columns, rows) => {
+  await writeChunk(stream, `\uFEFF${columns.map((column) => formatCsvCell(column.header, 'text')).join(',')}\r\n`);
+  for await (const row of rows) {
+    const cells = columns.map((column) => formatCsvCell(column.value(row), column.type));
+    await writeChunk(stream, `${cells.join(',')}\r\n`);
+  }
+  stream.end();
+};
+
+const XLSX_FORMATS = {
+  money: '#,##0.00',
+  date: 'yyyy-mm-dd hh:mm',
+};
+
+const writeXlsx = async (stream, columns, rows, { sheetName }) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map((column) => ({
+    header: column.header,
+    width: column.width,
+    style: XLSX_FORMATS[column.type] ? { numFmt: XLSX_FORMATS[column.type] } : {},
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const row of rows) {
+    sheet.addRow(columns.map((column) => column.value(row))).commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+module.exports = {
+  writeCsv,
+  writeXlsx,
+};
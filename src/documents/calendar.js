@@ -0,0 +1,111 @@
+const { formatAddress } = require('./format');
+
+// iCalendar (RFC 5545) documents. renderCalendar takes a list of entries, each
+// an event with the status, sequence and notes to show for it, and returns the
+// text of the calendar.
+
+const PRODUCT_ID = '-//Event Booking System//Event Calendar//EN';
+
+// Calendar clients check feeds again after this long
+const REFRESH_INTERVAL = 'PT1H';
+
+// Events only have a start time; calendars show them as lasting this long
+const getEventDurationMinutes = () => parseInt(process.env.CALENDAR_EVENT_DURATION_MINUTES, 10) || 120;
+
+const EVENT_STATUSES = {
+  draft: 'TENTATIVE',
+  published: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+};
+
+// The same event keeps the same UID in every calendar, so clients update it
+// in place instead of adding a copy
+const getEventUid = (event) => `event-${event._id}@event-booking-system`;
+
+const escapeText = (value) => {
+  return String(value)
+    .replace(/[\\;,]/g, (char) => `\\${char}`)
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Parameter values cannot contain quotes
+const quoteParam = (value) => `"${String(value).replace(/"/g, '')}"`;
+
+// UTC date-time, e.g. 20261019T180000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded onto continuation lines, which start
+// with a space; multi-byte characters are never split
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const renderEvent = ({ event, status, sequence, notes = [] }) => {
+  const start = new Date(event.date);
+  const end = new Date(start.getTime() + getEventDurationMinutes() * 60 * 1000);
+  const description = [event.description, ...notes].filter(Boolean).join('\n\n');
+  const lastModified = event.updatedAt || new Date();
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(event)}`,
+    `SEQUENCE:${sequence !== undefined ? sequence : event.sequence || 0}`,
+    `DTSTAMP:${formatDateTime(lastModified)}`,
+    `LAST-MODIFIED:${formatDateTime(lastModified)}`,
+    ...(event.createdAt ? [`CREATED:${formatDateTime(event.createdAt)}`] : []),
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `LOCATION:${escapeText(event.venue ? formatAddress(event.venue) : event.location)}`,
+  ];
+
+  if (event.venue && event.venue.location) {
+    const [longitude, latitude] = event.venue.location.coordinates;
+    lines.push(`GEO:${latitude};${longitude}`);
+  }
+
+  // Only set when the organizer has been populated
+  if (event.organizer && event.organizer.email) {
+    lines.push(`ORGANIZER;CN=${quoteParam(event.organizer.name)}:mailto:${event.organizer.email}`);
+  }
+
+  lines.push(`STATUS:${status || EVENT_STATUSES[event.status]}`, 'END:VEVENT');
+  return lines;
+};
+
+const renderCalendar = ({ name, entries }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...entries.flatMap(renderEvent),
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  renderCalendar,
+};
@@ -0,0 +1,18 @@
+// Formatting shared by the booking documents
+
+const formatDate = (date) => new Date(date).toLocaleString();
+
+const formatMoney = (amount) => `$${Number(amount).toFixed(2)}`;
+
+const formatAddress = (venue) => {
+  const { line1, line2, city, state, postalCode, country } = venue.address;
+  return [venue.name, line1, line2, [postalCode, city, state].filter(Boolean).join(' '), country]
+    .filter(Boolean)
+    .join(', ');
+};
+
+module.exports = {
+  formatDate,
+  formatMoney,
+  formatAddress,
+};
@@ -1,32 +1,74 @@
 const Booking = require('../models/Booking');
 const Event = require('../models/Event');
+const Organization = require('../models/Organization');
 const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { expireHold } = require('../services/bookingHoldService');
+const { sendNotification } = require('../services/notificationService');
+const { getConfirmationAttachments } = require('../services/bookingDocumentService');
+const { refundBookingPayment } = require('../services/paymentService');
+const { jobQueue } = require('../services/jobQueueService');
+const { promoteWaitlist, expireOffer } = require('../services/waitlistService');
+const { issueAccountToken } = require('../services/accountService');
+
+const DEFAULT_CONFIRMATION_CLAIM_TIMEOUT_MS = 60 * 1000;
+
+// How long a confirmation claim holds before another run may take it over
+const getConfirmationClaimTimeoutMs = () => {
+  return Number(process.env.CONFIRMATION_CLAIM_TIMEOUT_MS) || DEFAULT_CONFIRMATION_CLAIM_TIMEOUT_MS;
+};
 
 const processBookingConfirmation = async (job) => {
   try {
-    const { bookingId, customerId, eventId, quantity, bookingReference } = job.data;
+    const { bookingId, customerId, eventId } = job.data;
 
-    const booking = await Booking.findById(bookingId).populate('event').populate('customer');
-    const event = await Event.findById(eventId).populate('organizer');
-    const customer = await User.findById(customerId);
-
-    // Simulate sending booking confirmation email
-    console.log('');
-    console.log('=== EMAIL NOTIFICATION ===');
-    console.log(`✓ BOOKING CONFIRMATION EMAIL SENT`);
-    console.log(`  To: ${customer.email}`);
-    console.log(`  Subject: Booking Confirmation - ${event.title}`);
-    console.log(`  Booking Reference: ${bookingReference}`);
-    console.log(`  Customer: ${customer.name}`);
-    console.log(`  Event: ${event.title}`);
-    console.log(`  Date: ${new Date(event.date).toLocaleString()}`);
-    console.log(`  Location: ${event.location}`);
-    console.log(`  Quantity: ${quantity} tickets`);
-    console.log(`  Total Price: $${booking.totalPrice}`);
-    console.log(`  Booking Status: ${booking.status}`);
-    console.log(`  Message: Your booking has been confirmed! Please check your email for details.`);
-    console.log('===========================');
-    console.log('');
+    // Claim the booking before sending, taking over a claim left by a run
+    // that died mid-send. confirmationSentAt is only set once the message
+    // has gone out, so a crash before that never loses the confirmation.
+    const claimedAt = new Date();
+    const booking = await Booking.findOneAndUpdate(
+      {
+        _id: bookingId,
+        status: 'confirmed',
+        confirmationSentAt: null,
+        $or: [
+          { confirmationClaimedAt: null },
+          { confirmationClaimedAt: { $lte: new Date(claimedAt.getTime() - getConfirmationClaimTimeoutMs()) } },
+        ],
+      },
+      { confirmationClaimedAt: claimedAt },
+      { new: true }
+    );
+
+    if (!booking) {
+      const current = await Booking.findById(bookingId).select('status confirmationSentAt');
+      if (current && current.status === 'confirmed' && !current.confirmationSentAt) {
+        // Retried until the other run has sent it or its claim has timed out
+        throw new Error('Booking confirmation is being sent by another run');
+      }
+      return { success: true, skipped: true, message: 'Booking confirmation already sent' };
+    }
+
+    try {
+      const event = await Event.findById(eventId).populate('organizer');
+      const customer = await User.findById(customerId);
+      const attachments = await getConfirmationAttachments(booking);
+
+      await sendNotification({
+        type: 'booking-confirmation',
+        recipient: customer,
+        data: { customer, event, booking },
+        booking: booking._id,
+        event: event._id,
+        attachments,
+      });
+    } catch (sendError) {
+      // Release the claim so a retry can send it
+      await Booking.updateOne({ _id: bookingId, confirmationClaimedAt: claimedAt }, { confirmationClaimedAt: null });
+      throw sendError;
+    }
+
+    await Booking.updateOne({ _id: bookingId }, { confirmationSentAt: new Date(), confirmationClaimedAt: null });
 
     return { success: true, message: 'Booking confirmation sent' };
   } catch (error) {
@@ -35,42 +77,89 @@ const processBookingConfirmation = async (job) => {
   }
 };
 
+const CHANGE_LABELS = {
+  date: 'Date',
+  location: 'Location',
+  ticketPrice: 'Ticket price',
+  status: 'Status',
+};
+
+const formatChangeValue = (field, value) => {
+  if (field === 'date') {
+    return new Date(value).toLocaleString();
+  }
+  if (field === 'ticketPrice') {
+    return `$${value}`;
+  }
+  return value;
+};
+
+// `changes` is a list of { field, from, to } entries produced by the event controller
+const describeChanges = (changes) => {
+  if (!Array.isArray(changes)) {
+    return changes;
+  }
+  return changes
+    .map(({ field, ticketType, from, to }) => {
+      const label = `${CHANGE_LABELS[field] || field}${ticketType ? ` (${ticketType})` : ''}`;
+      return `${label}: ${formatChangeValue(field, from)} → ${formatChangeValue(field, to)}`;
+    })
+    .join('; ');
+};
+
 const processEventNotification = async (job) => {
   try {
-    const { eventId, organizerId, changes } = job.data;
+    const { eventId, organizerId, changes, reason, bookingIds, type = 'update' } = job.data;
 
     const event = await Event.findById(eventId);
     const organizer = await User.findById(organizerId);
 
-    // Find all customers who have booked this event
-    const bookings = await Booking.find({
-      event: eventId,
-      status: { $in: ['confirmed', 'pending'] },
-    }).populate('customer');
-
-    // Simulate sending notifications to all booked customers
-    console.log('');
-    console.log('=== EVENT UPDATE NOTIFICATIONS ===');
-    console.log(`✓ EVENT UPDATED BY ORGANIZER`);
-    console.log(`  Event: ${event.title}`);
-    console.log(`  Organizer: ${organizer.name}`);
-    console.log(`  Changes: ${changes}`);
+    // Cancellations name the bookings they cancelled; updates go to every
+    // customer who currently holds a booking for this event
+    const bookingFilter = bookingIds
+      ? { _id: { $in: bookingIds } }
+      : { event: eventId, status: { $in: ['confirmed', 'pending'] } };
+    const bookings = await Booking.find(bookingFilter).populate('customer');
+
+    const isCancellation = type === 'cancellation';
+    const summary = isCancellation ? reason || describeChanges(changes) : describeChanges(changes);
+
+    console.log(`[EVENT ${isCancellation ? 'CANCELLATION' : 'UPDATE'}] ${event.title} by ${organizer.name}: ${summary}`);
     console.log(`  Notifying ${bookings.length} customers...`);
-    console.log('');
 
-    bookings.forEach((booking, index) => {
-      console.log(`  [${index + 1}/${bookings.length}] Notification sent to ${booking.customer.email}`);
-      console.log(`    - Booking Reference: ${booking.bookingReference}`);
-      console.log(`    - Quantity: ${booking.quantity} tickets`);
-      console.log(`    - Message: Event "${event.title}" has been updated. Please check for details.`);
-    });
+    // Send to every customer before failing, so a retry only has to reach the
+    // ones that did not get the message (the rest are skipped by dedupeKey)
+    const failures = [];
+    for (const booking of bookings) {
+      try {
+        await sendNotification({
+          type: isCancellation ? 'booking-cancellation' : 'event-update',
+          recipient: booking.customer,
+          data: {
+            customer: booking.customer,
+            event,
+            booking,
+            changes: summary,
+            reason: `The event "${event.title}" has been cancelled by the organizer${reason ? `: ${reason}` : '.'}`,
+          },
+          booking: booking._id,
+          event: event._id,
+          dedupeKey: job.id ? `${job.id}:${job.timestamp}:${booking._id}` : undefined,
+        });
+      } catch (sendError) {
+        failures.push(`${booking.customer.email}: ${sendError.message}`);
+      }
+    }
 
-    console.log('==================================');
-    console.log('');
+    if (failures.length > 0) {
+      throw new Error(`Failed to notify ${failures.length} customers (${failures.join('; ')})`);
+    }
 
     return {
       success: true,
-      message: `Event update notifications sent to ${bookings.length} customers`,
+      message: isCancellation
+        ? `Event cancellation notices sent to ${bookings.length} customers`
+        : `Event update notifications sent to ${bookings.length} customers`,
     };
   } catch (error) {
     console.error('Error processing event notification:', error);
@@ -78,7 +167,199 @@ const processEventNotification = async (job) => {
   }
 };
 
+const processBookingExpiry = async (job) => {
+  try {
+    const { bookingId } = job.data;
+
+    const booking = await expireHold(bookingId);
+    if (!booking) {
+      return { success: true, message: 'Booking hold no longer pending' };
+    }
+
+    console.log(`[BOOKING HOLD EXPIRED] ${booking.bookingReference}: released ${booking.quantity} tickets`);
+
+    // Void the payment the customer authorized but never completed
+    if (booking.payment) {
+      await jobQueue.addJob('payment-refund', { bookingId: booking._id }, { jobId: `refund-${booking._id}` });
+    }
+
+    return { success: true, message: 'Booking hold expired and tickets released' };
+  } catch (error) {
+    console.error('Error processing booking expiry:', error);
+    throw error;
+  }
+};
+
+const processEventReminder = async (job) => {
+  try {
+    const { bookingId } = job.data;
+
+    const booking = await Booking.findById(bookingId).populate('event').populate('customer');
+    if (!booking || booking.status !== 'confirmed' || booking.event.status === 'cancelled') {
+      return { success: true, skipped: true, message: 'Booking no longer needs a reminder' };
+    }
+
+    await sendNotification({
+      type: 'event-reminder',
+      recipient: booking.customer,
+      data: { customer: booking.customer, event: booking.event, booking },
+      booking: booking._id,
+      event: booking.event._id,
+      dedupeKey: `reminder:${booking._id}`,
+    });
+
+    return { success: true, message: 'Event reminder sent' };
+  } catch (error) {
+    console.error('Error processing event reminder:', error);
+    throw error;
+  }
+};
+
+const processPaymentRefund = async (job) => {
+  try {
+    const { bookingId, amount } = job.data;
+
+    const payment = await refundBookingPayment(bookingId, amount);
+    if (!payment) {
+      return { success: true, skipped: true, message: 'Nothing to refund' };
+    }
+
+    console.log(`[PAYMENT ${payment.status.toUpperCase()}] booking ${bookingId}: ${payment.amountRefunded} ${payment.currency} refunded`);
+
+    return { success: true, message: `Payment ${payment.status}` };
+  } catch (error) {
+    console.error('Error processing payment refund:', error);
+    throw error;
+  }
+};
+
+const processWaitlistPromotion = async (job) => {
+  try {
+    const { eventId } = job.data;
+
+    const offers = await promoteWaitlist(eventId);
+    if (offers.length > 0) {
+      console.log(`[WAITLIST] ${offers.length} offer(s) made for event ${eventId}`);
+    }
+
+    return { success: true, message: `${offers.length} waitlist offers made` };
+  } catch (error) {
+    console.error('Error processing waitlist promotion:', error);
+    throw error;
+  }
+};
+
+const processWaitlistOffer = async (job) => {
+  try {
+    const { entryId } = job.data;
+
+    const entry = await WaitlistEntry.findById(entryId).populate('event').populate('customer');
+    if (!entry || entry.status !== 'offered') {
+      return { success: true, skipped: true, message: 'Waitlist offer no longer open' };
+    }
+
+    const ticketType = entry.event.ticketTypes.id(entry.ticketType);
+    await sendNotification({
+      type: 'waitlist-offer',
+      recipient: entry.customer,
+      data: { customer: entry.customer, event: entry.event, entry, ticketTypeName: ticketType && ticketType.name },
+      event: entry.event._id,
+      dedupeKey: `waitlist-offer:${entry._id}`,
+    });
+
+    return { success: true, message: 'Waitlist offer sent' };
+  } catch (error) {
+    console.error('Error processing waitlist offer:', error);
+    throw error;
+  }
+};
+
+const processWaitlistOfferExpiry = async (job) => {
+  try {
+    const { entryId } = job.data;
+
+    const entry = await expireOffer(entryId);
+    if (!entry) {
+      return { success: true, message: 'Waitlist offer no longer open' };
+    }
+
+    console.log(`[WAITLIST OFFER EXPIRED] entry ${entry._id}: ${entry.quantity} tickets passed on`);
+
+    return { success: true, message: 'Waitlist offer expired and passed on' };
+  } catch (error) {
+    console.error('Error processing waitlist offer expiry:', error);
+    throw error;
+  }
+};
+
+// Account emails: verification and password reset links, and the notice that
+// the password was changed. Link tokens are issued here, as the email is sent.
+// A verification with an email is for an address the user is changing to.
+const processAccountEmail = async (job) => {
+  try {
+    const { userId, type, email } = job.data;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return { success: true, skipped: true, message: 'User no longer exists' };
+    }
+    if (type === 'email-verification' && (email ? user.pendingEmail !== email : user.emailVerifiedAt)) {
+      return { success: true, skipped: true, message: 'Email already verified or no longer being changed to' };
+    }
+
+    const recipient = email ? { _id: user._id, email } : user;
+    const data = { user };
+    if (type !== 'password-changed') {
+      Object.assign(data, await issueAccountToken(user, type, recipient.email));
+    }
+
+    await sendNotification({ type, recipient, data });
+
+    return { success: true, message: `Account email (${type}) sent` };
+  } catch (error) {
+    console.error('Error processing account email:', error);
+    throw error;
+  }
+};
+
+const processTeamInvite = async (job) => {
+  try {
+    const { organizationId, inviteId } = job.data;
+
+    const organization = await Organization.findById(organizationId);
+    const invite = organization && organization.invites.id(inviteId);
+    if (!invite) {
+      return { success: true, skipped: true, message: 'Invite already answered or withdrawn' };
+    }
+
+    const [user, inviter] = await Promise.all([User.findById(invite.user), User.findById(invite.invitedBy)]);
+    if (!user || !inviter) {
+      return { success: true, skipped: true, message: 'User no longer exists' };
+    }
+
+    await sendNotification({
+      type: 'team-invite',
+      recipient: user,
+      data: { user, organization, inviter, role: invite.role },
+      dedupeKey: `team-invite:${invite._id}`,
+    });
+
+    return { success: true, message: 'Team invite sent' };
+  } catch (error) {
+    console.error('Error processing team invite:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   processBookingConfirmation,
   processEventNotification,
+  processBookingExpiry,
+  processEventReminder,
+  processPaymentRefund,
+  processWaitlistPromotion,
+  processWaitlistOffer,
+  processWaitlistOfferExpiry,
+  processAccountEmail,
+  processTeamInvite,
 };
@@ -1,6 +1,11 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { checkAccessToken } = require('../services/sessionService');
 
-const authenticateToken = (req, res, next) => {
+// Verifies the access token, that its session is still active and that the
+// account is in good standing, so that logging out, changing the password or
+// a suspension takes effect immediately
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -8,15 +13,28 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ message: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: 'Invalid or expired token' });
+  let user;
+  try {
+    user = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(403).json({ message: 'Invalid or expired token' });
+  }
+
+  try {
+    const rejection = await checkAccessToken(user);
+    if (rejection) {
+      return res.status(rejection.status).json({ message: rejection.message });
     }
-    req.user = user;
-    next();
-  });
+  } catch (error) {
+    return res.status(500).json({ message: 'Error authenticating', error: error.message });
+  }
+
+  req.user = user;
+  next();
 };
 
+// Only the listed roles get through. There is deliberately no superuser:
+// admins act on other accounts through /api/admin, where every action is audited
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -31,7 +49,22 @@ const authorize = (...roles) => {
   };
 };
 
+// For actions that need a verified email address; use after authenticateToken
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('emailVerifiedAt');
+    if (!user || !user.emailVerifiedAt) {
+      return res.status(403).json({ message: 'Please verify your email address first' });
+    }
+  } catch (error) {
+    return res.status(500).json({ message: 'Error authenticating', error: error.message });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateToken,
   authorize,
+  requireVerifiedEmail,
 };
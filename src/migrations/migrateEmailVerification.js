@@ -0,0 +1,37 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+// Accounts created before email verification existed were never sent a link,
+// so they are marked verified and can keep booking and creating events:
+//   npm run migrate:email-verification -- <date verification was deployed>
+// Accounts created since then still have to verify. Safe to run repeatedly.
+const migrateEmailVerification = async ([before]) => {
+  const cutoff = new Date(before);
+  if (!before || Number.isNaN(cutoff.getTime())) {
+    throw new Error('Usage: npm run migrate:email-verification -- <date verification was deployed>');
+  }
+
+  const result = await User.updateMany(
+    { createdAt: { $lt: cutoff }, emailVerifiedAt: null, deletedAt: { $exists: false } },
+    [{ $set: { emailVerifiedAt: '$createdAt' } }]
+  );
+  return { verifiedUsers: result.modifiedCount };
+};
+
+if (require.main === module) {
+  connectDB()
+    .then(() => migrateEmailVerification(process.argv.slice(2)))
+    .then(({ verifiedUsers }) => {
+      console.log(`✓ Marked ${verifiedUsers} existing accounts as verified`);
+      return mongoose.disconnect();
+    })
+    .catch(async (error) => {
+      console.error('✗ Email verification migration failed:', error.message);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = migrateEmailVerification;
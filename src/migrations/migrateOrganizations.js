@@ -0,0 +1,38 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const { createOrganization } = require('../services/organizationService');
+
+// Organizers who signed up before teams existed get theirs, with themselves
+// as the owner. Safe to run repeatedly.
+const migrateOrganizations = async () => {
+  const owners = await Organization.distinct('owner');
+  const organizers = await User.find({
+    role: 'organizer',
+    deletedAt: { $exists: false },
+    _id: { $nin: owners },
+  }).select('name');
+
+  for (const organizer of organizers) {
+    await createOrganization(organizer);
+  }
+  return { createdOrganizations: organizers.length };
+};
+
+if (require.main === module) {
+  connectDB()
+    .then(migrateOrganizations)
+    .then(({ createdOrganizations }) => {
+      console.log(`✓ Created ${createdOrganizations} organizations for existing organizers`);
+      return mongoose.disconnect();
+    })
+    .catch(async (error) => {
+      console.error('✗ Organization migration failed:', error.message);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = migrateOrganizations;
@@ -0,0 +1,30 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+// Organizers who signed up before applications were reviewed are approved,
+// so that they can keep creating and publishing events. Safe to run repeatedly.
+const migrateOrganizerApprovals = async () => {
+  const result = await User.updateMany(
+    { role: 'organizer', organizerStatus: { $exists: false } },
+    { organizerStatus: 'approved' }
+  );
+  return { approvedOrganizers: result.modifiedCount };
+};
+
+if (require.main === module) {
+  connectDB()
+    .then(migrateOrganizerApprovals)
+    .then(({ approvedOrganizers }) => {
+      console.log(`✓ Approved ${approvedOrganizers} existing organizers`);
+      return mongoose.disconnect();
+    })
+    .catch(async (error) => {
+      console.error('✗ Organizer approval migration failed:', error.message);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = migrateOrganizerApprovals;
@@ -0,0 +1,62 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Event = require('../models/Event');
+const Booking = require('../models/Booking');
+const { ensureTicketTypes } = require('../services/ticketTypeService');
+
+// Moves single-price events and their bookings onto ticket types: each event
+// without tiers gets a default tier holding its current inventory, and each
+// booking without items gets one line for that tier. Safe to run repeatedly.
+const migrateTicketTiers = async () => {
+  let migratedEvents = 0;
+  let migratedBookings = 0;
+
+  const events = Event.find({ $or: [{ ticketTypes: { $exists: false } }, { ticketTypes: { $size: 0 } }] }).cursor();
+  for await (const event of events) {
+    await ensureTicketTypes(event);
+    migratedEvents += 1;
+  }
+
+  const bookings = Booking.find({ $or: [{ items: { $exists: false } }, { items: { $size: 0 } }] }).cursor();
+  for await (const booking of bookings) {
+    const event = await Event.findById(booking.event).select('ticketTypes');
+    if (!event || event.ticketTypes.length === 0) {
+      continue;
+    }
+
+    const tier = event.ticketTypes[0];
+    await Booking.updateOne(
+      { _id: booking._id, $or: [{ items: { $exists: false } }, { items: { $size: 0 } }] },
+      {
+        items: [
+          {
+            ticketType: tier._id,
+            name: tier.name,
+            unitPrice: booking.quantity > 0 ? booking.totalPrice / booking.quantity : tier.price,
+            quantity: booking.quantity,
+          },
+        ],
+      }
+    );
+    migratedBookings += 1;
+  }
+
+  return { migratedEvents, migratedBookings };
+};
+
+if (require.main === module) {
+  connectDB()
+    .then(migrateTicketTiers)
+    .then(({ migratedEvents, migratedBookings }) => {
+      console.log(`✓ Migrated ${migratedEvents} events and ${migratedBookings} bookings to ticket types`);
+      return mongoose.disconnect();
+    })
+    .catch(async (error) => {
+      console.error('✗ Ticket type migration failed:', error.message);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = migrateTicketTiers;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A token emailed to a user to prove they own the address: to verify it, or
+// to reset their password. Only its hash is stored. Tokens work once and are
+// removed once they expire.
+const accountTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ['email-verification', 'password-reset'],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // The address the token was sent to; verifying it only counts while it
+    // is still the user's email
+    email: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+accountTokenSchema.index({ user: 1, purpose: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
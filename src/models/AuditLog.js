@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One record per admin action, kept as the platform's moderation history.
+// Records are only ever added.
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: [
+        'user.view',
+        'user.suspend',
+        'user.ban',
+        'user.reinstate',
+        'organizer.approve',
+        'organizer.reject',
+        'event.unpublish',
+        'event.reinstate',
+        'event.cancel',
+        'booking.view',
+      ],
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: ['User', 'Event', 'Booking'],
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'targetType',
+      required: true,
+    },
+    reason: {
+      type: String,
+    },
+    // What the action changed, e.g. { from, to } for a status
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
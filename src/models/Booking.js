@@ -12,11 +12,57 @@ const bookingSchema = new mongoose.Schema(
       ref: 'Event',
       required: true,
     },
+    // One line per ticket type booked; quantity and totalPrice are their totals
+    items: [
+      {
+        _id: false,
+        ticketType: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        name: {
+          type: String,
+          required: true,
+        },
+        unitPrice: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        // Seat IDs for assigned-seating events
+        seats: {
+          type: [String],
+          default: undefined,
+        },
+      },
+    ],
     quantity: {
       type: Number,
       required: true,
       min: 1,
     },
+    // Price before any promo code discount; totalPrice is what is charged
+    originalPrice: {
+      type: Number,
+      min: 0,
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    promoCode: {
+      type: String,
+    },
+    promo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode',
+    },
     totalPrice: {
       type: Number,
       required: true,
@@ -24,9 +70,50 @@ const bookingSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'confirmed', 'cancelled'],
+      enum: ['pending', 'confirmed', 'cancelled', 'expired', 'failed'],
       default: 'pending',
     },
+    // Set while the booking is a pending hold; tickets are released after this
+    expiresAt: {
+      type: Date,
+    },
+    // When the hold was confirmed; stays set if the booking is cancelled later
+    confirmedAt: {
+      type: Date,
+    },
+    // Whether the customer is owed (or has been given) their money back
+    refundStatus: {
+      type: String,
+      enum: ['none', 'pending', 'refunded'],
+      default: 'none',
+    },
+    refundAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Set for paid bookings; free bookings have no payment
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    cancellationReason: {
+      type: String,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    // Set while a job is sending the confirmation message. A run that dies
+    // mid-send leaves it behind, so an old claim can be taken over.
+    confirmationClaimedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set once the confirmation message has gone out, so it is never sent again
+    confirmationSentAt: {
+      type: Date,
+      default: null,
+    },
     bookingReference: {
       type: String,
       unique: true,
@@ -38,4 +125,7 @@ const bookingSchema = new mongoose.Schema(
   }
 );
 
+// Bookings per event in booking order, for organizer reports and analytics
+bookingSchema.index({ event: 1, createdAt: 1 });
+
 module.exports = mongoose.model('Booking', bookingSchema);
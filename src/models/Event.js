@@ -1,4 +1,41 @@
 const mongoose = require('mongoose');
+const { venueDetailsSchema } = require('./schemas/venueDetails');
+
+// A priced tier of tickets (e.g. General, VIP, Early Bird) with its own
+// inventory and optional sale window
+const ticketTypeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  totalTickets: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  availableTickets: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  salesStart: {
+    type: Date,
+  },
+  salesEnd: {
+    type: Date,
+  },
+  // Assigned seating: the venue sections whose seats are sold as this type
+  sections: {
+    type: [String],
+    default: undefined,
+  },
+});
 
 const eventSchema = new mongoose.Schema(
   {
@@ -20,10 +57,22 @@ const eventSchema = new mongoose.Schema(
       type: Date,
       required: true,
     },
+    // Free-text location; derived from the venue when only a venue is given
     location: {
       type: String,
       required: true,
     },
+    venue: {
+      type: venueDetailsSchema,
+    },
+    // Venue whose seat map is sold for this event; general admission if unset
+    seatingVenue: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Venue',
+    },
+    ticketTypes: [ticketTypeSchema],
+    // totalTickets, availableTickets and ticketPrice summarize the ticket
+    // types: the sums of their inventories and the lowest price
     totalTickets: {
       type: Number,
       required: true,
@@ -32,6 +81,7 @@ const eventSchema = new mongoose.Schema(
     availableTickets: {
       type: Number,
       required: true,
+      min: 0,
     },
     ticketPrice: {
       type: Number,
@@ -47,10 +97,57 @@ const eventSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    cancellationReason: {
+      type: String,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    // Set when an admin unpublishes the event; it cannot be published again
+    // until an admin reinstates it
+    moderatedAt: {
+      type: Date,
+    },
+    moderationReason: {
+      type: String,
+    },
+    // Occurrences of a recurring series remember the slot they were generated
+    // for, which stays put if the occurrence itself is moved
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EventSeries',
+    },
+    occurrenceDate: {
+      type: Date,
+    },
+    // iCalendar SEQUENCE, raised whenever a change shows in calendars so that
+    // subscribed clients replace their copy
+    sequence: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Indexes backing the event listing: keyword search, the default date order,
+// the category, price and availability filters and "near me" queries
+eventSchema.index({ title: 'text', description: 'text' }, { weights: { title: 3, description: 1 } });
+eventSchema.index({ status: 1, date: 1 });
+eventSchema.index({ status: 1, category: 1, date: 1 });
+eventSchema.index({ status: 1, ticketPrice: 1 });
+eventSchema.index({ status: 1, availableTickets: 1 });
+eventSchema.index({ 'venue.location': '2dsphere' });
+
+// An organizer's events by date, for their analytics and calendar feed
+eventSchema.index({ organizer: 1, date: 1 });
+
+// One occurrence per series slot, even if a schedule change is applied twice
+eventSchema.index(
+  { series: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { series: { $exists: true } } }
+);
+
 module.exports = mongoose.model('Event', eventSchema);
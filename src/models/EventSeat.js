@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A seat of an assigned-seating event. Seats are locked for a booking by
+// flipping them from available to held in a conditional update, and become
+// booked once the booking is confirmed.
+const eventSeatSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    seatId: {
+      type: String,
+      required: true,
+    },
+    section: {
+      type: String,
+      required: true,
+    },
+    row: {
+      type: String,
+      required: true,
+    },
+    number: {
+      type: String,
+      required: true,
+    },
+    ticketType: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['available', 'held', 'booked'],
+      default: 'available',
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+eventSeatSchema.index({ event: 1, seatId: 1 }, { unique: true });
+eventSeatSchema.index({ booking: 1 });
+
+module.exports = mongoose.model('EventSeat', eventSeatSchema);
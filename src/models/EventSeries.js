@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const { venueDetailsSchema } = require('./schemas/venueDetails');
+
+// Ticket types every occurrence of the series is created with. Seated series
+// sell venue sections; their capacity is the sections' seat count.
+const seriesTicketTypeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  totalTickets: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  sections: {
+    type: [String],
+    default: undefined,
+  },
+});
+
+// RRULE-style recurrence: every `interval` days, weeks or months from the
+// series start, on the given weekdays or days of the month, until `count`
+// occurrences or the `until` date. Exceptions are calendar days (UTC) that are
+// skipped.
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly'],
+      required: true,
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    byWeekday: {
+      type: [String],
+      enum: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'],
+      default: undefined,
+    },
+    byMonthDay: {
+      type: [Number],
+      default: undefined,
+    },
+    count: {
+      type: Number,
+      min: 1,
+    },
+    until: {
+      type: Date,
+    },
+    exceptions: {
+      type: [Date],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+// A recurring event. Each occurrence is a separate Event with its own
+// inventory; the series holds the details they are created and updated from.
+const eventSeriesSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      required: true,
+    },
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    location: {
+      type: String,
+      required: true,
+    },
+    venue: {
+      type: venueDetailsSchema,
+    },
+    seatingVenue: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Venue',
+    },
+    category: {
+      type: String,
+      trim: true,
+    },
+    ticketTypes: [seriesTicketTypeSchema],
+    // Date and time of the first occurrence; every occurrence is at this time of day (UTC)
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    recurrence: {
+      type: recurrenceSchema,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['draft', 'published', 'cancelled'],
+      default: 'draft',
+    },
+    cancellationReason: {
+      type: String,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+eventSeriesSchema.index({ status: 1, createdAt: -1 });
+eventSeriesSchema.index({ organizer: 1 });
+
+module.exports = mongoose.model('EventSeries', eventSeriesSchema);
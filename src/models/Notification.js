@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// One record per delivery attempt
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        'booking-confirmation',
+        'booking-cancellation',
+        'event-update',
+        'event-reminder',
+        'waitlist-offer',
+        'email-verification',
+        'password-reset',
+        'password-changed',
+        'team-invite',
+      ],
+      required: true,
+    },
+    channel: {
+      type: String,
+      required: true,
+    },
+    subject: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed'],
+      default: 'pending',
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+    },
+    // Identifies one logical message across retries, so a retried job can skip
+    // recipients that were already reached
+    dedupeKey: {
+      type: String,
+      index: true,
+    },
+    // Names of the files sent with the message; their content is not stored
+    attachments: [
+      {
+        _id: false,
+        filename: String,
+        contentType: String,
+      },
+    ],
+    providerMessageId: {
+      type: String,
+    },
+    error: {
+      type: String,
+    },
+    sentAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ['owner', 'manager', 'check-in', 'finance'],
+      required: true,
+    },
+  },
+  {
+    _id: false,
+    timestamps: true,
+  }
+);
+
+// An existing account asked to join the team; it becomes a member once the
+// invited user accepts
+const inviteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ['manager', 'check-in', 'finance'],
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// The team behind an organizer account. Events, series, venues and promo codes
+// still belong to the organizer; members act on them as far as their role
+// allows (see policies/organizerPolicy.js).
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    // Includes the owner, with the owner role
+    members: [memberSchema],
+    invites: [inviteSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// The teams a user is on or has been invited to
+organizationSchema.index({ 'members.user': 1 });
+organizationSchema.index({ 'invites.user': 1 });
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema(
+  {
+    providerRefundId: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    status: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const paymentSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    // The provider's payment intent id
+    providerPaymentId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    status: {
+      type: String,
+      enum: ['requires_capture', 'succeeded', 'failed', 'cancelled', 'partially_refunded', 'refunded'],
+      default: 'requires_capture',
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refunds: [refundSchema],
+    failureReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('Payment', paymentSchema);
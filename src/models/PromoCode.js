@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const promoCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // The organizer's events the code applies to; empty means all of them
+    events: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+      },
+    ],
+    discountType: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      required: true,
+    },
+    discountValue: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Limits left unset are unlimited
+    maxRedemptions: {
+      type: Number,
+      min: 1,
+    },
+    perCustomerLimit: {
+      type: Number,
+      min: 1,
+    },
+    minQuantity: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    validFrom: {
+      type: Date,
+    },
+    validUntil: {
+      type: Date,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    // Uses are recorded as PromoRedemption documents
+    redemptionCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+promoCodeSchema.index({ organizer: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One use of a promo code by a booking. Kept out of the PromoCode document so
+// widely used codes do not grow without bound.
+const promoRedemptionSchema = new mongoose.Schema(
+  {
+    promo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode',
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Per-customer limits count a customer's uses of a code
+promoRedemptionSchema.index({ promo: 1, customer: 1 });
+// A booking uses a code at most once
+promoRedemptionSchema.index({ promo: 1, booking: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens name their session, so revoking it logs
+// the device out. The refresh token carries the session's generation, which
+// goes up each time it is rotated; an older generation coming back means the
+// token was copied.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    generation: {
+      type: Number,
+      default: 0,
+    },
+    // Moves forward on each refresh; the session is removed once it passes
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout-all', 'revoked', 'reuse-detected', 'password-change'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
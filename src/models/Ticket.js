@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One admission: a confirmed booking has a ticket per seat, or per unit of
+// quantity for general admission. Its QR code carries a signed token that
+// door staff check in with.
+const ticketSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true,
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // "<bookingReference>-<n>", printed under the QR code
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    ticketType: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    ticketTypeName: {
+      type: String,
+    },
+    seatId: {
+      type: String,
+    },
+    checkedInAt: {
+      type: Date,
+    },
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ticketSchema.index({ booking: 1 });
+ticketSchema.index({ event: 1, checkedInAt: 1 });
+
+module.exports = mongoose.model('Ticket', ticketSchema);
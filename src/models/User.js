@@ -20,11 +20,27 @@ const userSchema = new mongoose.Schema(
       minlength: 6,
       select: false,
     },
+    // Admins are created with `npm run create-admin`, never through signup
     role: {
       type: String,
-      enum: ['customer', 'organizer'],
+      enum: ['customer', 'organizer', 'admin'],
       default: 'customer',
     },
+    // Organizers cannot create or publish events until an admin approves them
+    organizerStatus: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+    },
+    // Suspended and banned accounts cannot log in or use their sessions. A
+    // suspension with an end date lifts by itself.
+    status: {
+      type: String,
+      enum: ['active', 'suspended', 'banned'],
+      default: 'active',
+    },
+    suspendedUntil: {
+      type: Date,
+    },
     phone: {
       type: String,
       trim: true,
@@ -33,10 +49,39 @@ const userSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Unverified accounts cannot book tickets or create events
+    emailVerifiedAt: {
+      type: Date,
+    },
+    // An address the user is changing to; it replaces email once verified
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+    },
+    // Access tokens issued before this are no longer accepted
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Calendar feed access. Only a hash of the token is kept, so feed URLs
+    // cannot be recovered from the database.
+    calendarFeedTokenHash: {
+      type: String,
+      select: false,
+    },
+    calendarFeedTokenCreatedAt: {
+      type: Date,
+    },
+    // Set when the account is deleted and its personal data anonymized
+    deletedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+userSchema.index({ calendarFeedTokenHash: 1 }, { unique: true, sparse: true });
+userSchema.index({ role: 1, organizerStatus: 1, createdAt: 1 });
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Seat map: sections made of rows of labelled seats. A seat's ID is
+// "<section>-<row>-<seat>", e.g. "ORCH-A-12".
+const rowSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    seats: {
+      type: [String],
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const sectionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    rows: [rowSchema],
+  },
+  { _id: false }
+);
+
+const venueSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    address: {
+      line1: { type: String, required: true },
+      line2: String,
+      city: { type: String, required: true },
+      state: String,
+      postalCode: String,
+      country: { type: String, required: true },
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        required: true,
+      },
+      coordinates: {
+        type: [Number],
+        required: true,
+        default: undefined,
+      },
+    },
+    sections: [sectionSchema],
+    capacity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('Venue', venueSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    ticketType: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // waiting: in line; offered: tickets are held for the customer until
+    // offerExpiresAt; claimed: turned into a booking
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+      default: 'waiting',
+    },
+    offeredAt: {
+      type: Date,
+    },
+    offerExpiresAt: {
+      type: Date,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Entries are served in the order they joined
+waitlistEntrySchema.index({ event: 1, status: 1, createdAt: 1 });
+// A customer has at most one open place per event, even when two join
+// requests arrive at once
+waitlistEntrySchema.index(
+  { event: 1, customer: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'offered'] } } }
+);
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
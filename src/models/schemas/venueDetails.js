@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// GeoJSON point, stored as [longitude, latitude]
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['Point'],
+      required: true,
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+      default: undefined,
+      validate: {
+        validator: (coordinates) => coordinates.length === 2,
+        message: 'Coordinates must be [longitude, latitude]',
+      },
+    },
+  },
+  { _id: false }
+);
+
+// Where an event takes place, as shown to customers
+const venueDetailsSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    address: {
+      line1: { type: String, required: true },
+      line2: String,
+      city: { type: String, required: true },
+      state: String,
+      postalCode: String,
+      country: { type: String, required: true },
+    },
+    location: {
+      type: pointSchema,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+module.exports = {
+  pointSchema,
+  venueDetailsSchema,
+};
@@ -0,0 +1,164 @@
+// HTML and plain-text templates for each notification type. Every template
+// takes the data passed to sendNotification and returns { subject, text, html }.
+
+const escapeHtml = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const formatDate = (date) => new Date(date).toLocaleString();
+
+const renderHtml = (heading, paragraphs, rows) => {
+  const body = paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join('\n');
+  const table = rows.length
+    ? `<table>\n${rows
+      .map(([label, value]) => `<tr><th align="left">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+      .join('\n')}\n</table>`
+    : '';
+  return `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif;">
+<h2>${escapeHtml(heading)}</h2>
+${body}
+${table}
+</body>
+</html>`;
+};
+
+const renderText = (heading, paragraphs, rows) => {
+  return [heading, '', ...paragraphs, '', ...rows.map(([label, value]) => `${label}: ${value}`)].join('\n');
+};
+
+const render = (subject, heading, paragraphs, rows = []) => ({
+  subject,
+  text: renderText(heading, paragraphs, rows),
+  html: renderHtml(heading, paragraphs, rows),
+});
+
+const eventRows = (event) => [
+  ['Event', event.title],
+  ['Date', formatDate(event.date)],
+  ['Location', event.location],
+];
+
+// Bookings for several ticket types list each type on its own row
+const bookingRows = (booking) => [
+  ['Booking Reference', booking.bookingReference],
+  ...(booking.items && booking.items.length > 1
+    ? booking.items.map((item) => [item.name, `${item.quantity} × $${item.unitPrice}`])
+    : [['Quantity', `${booking.quantity} tickets`]]),
+];
+
+const discountRows = (booking) =>
+  booking.discountAmount > 0 ? [['Discount', `-$${booking.discountAmount} (${booking.promoCode})`]] : [];
+
+const templates = {
+  'booking-confirmation': ({ customer, event, booking }) =>
+    render(
+      `Booking Confirmation - ${event.title}`,
+      'Your booking is confirmed',
+      [
+        `Hi ${customer.name},`,
+        'Your booking has been confirmed. We look forward to seeing you there!',
+        'Your tickets and invoice are attached as PDFs.',
+      ],
+      [...eventRows(event), ...bookingRows(booking), ...discountRows(booking), ['Total Price', `$${booking.totalPrice}`]]
+    ),
+
+  'booking-cancellation': ({ customer, event, booking, reason }) =>
+    render(
+      `Booking Cancelled - ${event.title}`,
+      'Your booking has been cancelled',
+      [
+        `Hi ${customer.name},`,
+        reason || 'Your booking has been cancelled.',
+        ...(booking.refundStatus === 'pending'
+          ? [`A refund of $${booking.refundAmount} is being processed.`]
+          : []),
+      ],
+      [...eventRows(event), ...bookingRows(booking)]
+    ),
+
+  'event-update': ({ customer, event, booking, changes }) =>
+    render(
+      `Event Updated - ${event.title}`,
+      'An event you booked has changed',
+      [`Hi ${customer.name},`, `The organizer has updated "${event.title}": ${changes}.`],
+      [...eventRows(event), ...bookingRows(booking)]
+    ),
+
+  'event-reminder': ({ customer, event, booking }) =>
+    render(
+      `Reminder - ${event.title} is coming up`,
+      'Your event is coming up',
+      [`Hi ${customer.name},`, `This is a reminder that "${event.title}" starts on ${formatDate(event.date)}.`],
+      [...eventRows(event), ...bookingRows(booking)]
+    ),
+
+  'waitlist-offer': ({ customer, event, entry, ticketTypeName }) =>
+    render(
+      `Tickets available - ${event.title}`,
+      'Tickets are available for you',
+      [
+        `Hi ${customer.name},`,
+        `Tickets you were waiting for are being held for you until ${formatDate(entry.offerExpiresAt)}.`,
+        'Claim them from the event page before then, or they will be offered to the next person on the waitlist.',
+      ],
+      [...eventRows(event), ['Tickets', `${entry.quantity} × ${ticketTypeName || 'General Admission'}`]]
+    ),
+
+  'email-verification': ({ user, link, expiresAt }) =>
+    render('Verify your email address', 'Verify your email address', [
+      `Hi ${user.name},`,
+      'Please confirm that this is your email address by opening the link below:',
+      link,
+      `The link expires on ${formatDate(expiresAt)}. If you did not create an account, you can ignore this email.`,
+    ]),
+
+  'password-reset': ({ user, link, expiresAt }) =>
+    render('Reset your password', 'Reset your password', [
+      `Hi ${user.name},`,
+      'We received a request to reset your password. Choose a new one by opening the link below:',
+      link,
+      `The link expires on ${formatDate(expiresAt)} and works once. ` +
+        'If you did not ask to reset your password, you can ignore this email.',
+    ]),
+
+  'password-changed': ({ user }) =>
+    render('Your password has been changed', 'Your password has been changed', [
+      `Hi ${user.name},`,
+      'The password for your account was just changed, and you have been logged out on all devices.',
+      'If you did not do this, reset your password straight away.',
+    ]),
+
+  'team-invite': ({ user, organization, inviter, role }) =>
+    render(
+      `You have been invited to join ${organization.name}`,
+      `You have been invited to join ${organization.name}`,
+      [
+        `Hi ${user.name},`,
+        `${inviter.name} has invited you to help run ${organization.name}'s events.`,
+        'Log in to accept or decline the invitation.',
+      ],
+      [
+        ['Team', organization.name],
+        ['Role', role],
+      ]
+    ),
+};
+
+const renderTemplate = (type, data) => {
+  const template = templates[type];
+  if (!template) {
+    throw new Error(`No notification template for type: ${type}`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  renderTemplate,
+};
@@ -0,0 +1,21 @@
+// Logs messages instead of delivering them; the default for local development
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('');
+    console.log('=== EMAIL NOTIFICATION ===');
+    console.log(`  To: ${message.to}`);
+    console.log(`  Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    (message.attachments || []).forEach((attachment) => {
+      console.log(`  📎 ${attachment.filename} (${attachment.content.length} bytes)`);
+    });
+    console.log('===========================');
+    console.log('');
+
+    return { messageId: `console-${Date.now()}` };
+  },
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,33 @@
+const createConsoleTransport = require('./consoleTransport');
+const createSmtpTransport = require('./smtpTransport');
+const createWebhookTransport = require('./webhookTransport');
+const createOutboxTransport = require('./outboxTransport');
+
+// Every transport exposes { name, send(message) } where message is
+// { to, subject, text, html, type, attachments } and send resolves to
+// { messageId }. Attachments are [{ filename, contentType, content: Buffer }].
+const transportFactories = {
+  console: createConsoleTransport,
+  smtp: createSmtpTransport,
+  webhook: createWebhookTransport,
+  outbox: createOutboxTransport,
+};
+
+let transport = null;
+
+// Selected with NOTIFICATION_TRANSPORT; defaults to logging to the console
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.NOTIFICATION_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown notification transport: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+module.exports = {
+  getTransport,
+};
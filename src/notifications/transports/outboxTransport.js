@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const getOutboxDir = () => path.resolve(process.env.NOTIFICATION_OUTBOX_DIR || 'outbox');
+
+// Writes each message to a JSON file instead of delivering it, so tests can
+// assert on what would have been sent
+const createOutboxTransport = () => ({
+  name: 'outbox',
+  send: async (message) => {
+    const dir = getOutboxDir();
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(dir, `${messageId}.json`),
+      JSON.stringify(
+        {
+          messageId,
+          sentAt: new Date(),
+          ...message,
+          // Attachment content is stored base64-encoded
+          attachments: (message.attachments || []).map(({ filename, contentType, content }) => ({
+            filename,
+            contentType,
+            content: content.toString('base64'),
+          })),
+        },
+        null,
+        2
+      )
+    );
+
+    return { messageId };
+  },
+});
+
+// Messages currently in the outbox, oldest first
+const readOutbox = async () => {
+  const dir = getOutboxDir();
+  let files;
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const messages = await Promise.all(
+    files
+      .filter((file) => file.endsWith('.json'))
+      .sort()
+      .map(async (file) => JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8')))
+  );
+  return messages;
+};
+
+const clearOutbox = async () => {
+  await fs.promises.rm(getOutboxDir(), { recursive: true, force: true });
+};
+
+module.exports = createOutboxTransport;
+module.exports.readOutbox = readOutbox;
+module.exports.clearOutbox = clearOutbox;
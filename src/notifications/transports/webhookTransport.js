@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+// POSTs each message as JSON, with attachment content base64-encoded. When
+// NOTIFICATION_WEBHOOK_SECRET is set the body is signed with HMAC-SHA256 in the
+// X-Signature header.
+const createWebhookTransport = () => {
+  const url = new URL(process.env.NOTIFICATION_WEBHOOK_URL);
+  const client = url.protocol === 'https:' ? https : http;
+  const timeout = Number(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS) || 10000;
+
+  const post = (body) => {
+    return new Promise((resolve, reject) => {
+      const headers = {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+      };
+
+      if (process.env.NOTIFICATION_WEBHOOK_SECRET) {
+        headers['X-Signature'] = crypto
+          .createHmac('sha256', process.env.NOTIFICATION_WEBHOOK_SECRET)
+          .update(body)
+          .digest('hex');
+      }
+
+      const req = client.request(url, { method: 'POST', headers }, (res) => {
+        let responseBody = '';
+        res.on('data', (chunk) => {
+          responseBody += chunk;
+        });
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(responseBody);
+          } else {
+            reject(new Error(`Webhook responded with status ${res.statusCode}`));
+          }
+        });
+      });
+
+      // A hanging endpoint must not hold the notification job forever
+      req.setTimeout(timeout, () => {
+        req.destroy(new Error(`Webhook timed out after ${timeout}ms`));
+      });
+      req.on('error', reject);
+      req.write(body);
+      req.end();
+    });
+  };
+
+  return {
+    name: 'webhook',
+    send: async (message) => {
+      const messageId = crypto.randomUUID();
+      const attachments = (message.attachments || []).map(({ filename, contentType, content }) => ({
+        filename,
+        contentType,
+        content: content.toString('base64'),
+      }));
+      await post(JSON.stringify({ id: messageId, ...message, attachments }));
+      return { messageId };
+    },
+  };
+};
+
+module.exports = createWebhookTransport;
@@ -0,0 +1,29 @@
+const createMockProvider = require('./mockProvider');
+const createStripeProvider = require('./stripeProvider');
+
+// Every provider exposes { name, createPaymentIntent, capturePaymentIntent,
+// cancelPaymentIntent, refundPayment, verifyWebhook }. Amounts are passed in
+// major currency units (the same units as Booking.totalPrice).
+const providerFactories = {
+  mock: createMockProvider,
+  stripe: createStripeProvider,
+};
+
+let provider = null;
+
+// Selected with PAYMENT_PROVIDER; defaults to the local mock provider
+const getPaymentProvider = () => {
+  if (!provider) {
+    const name = process.env.PAYMENT_PROVIDER || 'mock';
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+    provider = factory();
+  }
+  return provider;
+};
+
+module.exports = {
+  getPaymentProvider,
+};
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+// Signatures older than this are rejected, so a captured webhook cannot be replayed
+const TIMESTAMP_TOLERANCE_SECONDS = 300;
+
+// There is no default: anyone who knew it could sign webhooks and confirm
+// bookings without paying
+const getWebhookSecret = () => {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+  }
+  return process.env.PAYMENT_WEBHOOK_SECRET;
+};
+
+const computeSignature = (timestamp, payload) => {
+  return crypto.createHmac('sha256', getWebhookSecret()).update(`${timestamp}.${payload}`).digest('hex');
+};
+
+// Signs a webhook body the way the mock provider expects, for local testing:
+// returns the value of the x-mock-signature header
+const signWebhookPayload = (payload, timestamp = Math.floor(Date.now() / 1000)) => {
+  return `t=${timestamp},v1=${computeSignature(timestamp, payload)}`;
+};
+
+const generateId = (prefix) => `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+
+// Local stand-in for a card processor. Payment intents are authorized as soon
+// as they are created, so they can be captured straight away; set
+// MOCK_PAYMENT_DECLINE=true to make every capture fail.
+const createMockProvider = () => ({
+  name: 'mock',
+
+  createPaymentIntent: async () => {
+    const id = generateId('pi');
+    return { id, status: 'requires_capture', clientSecret: `${id}_secret` };
+  },
+
+  capturePaymentIntent: async (paymentIntentId) => {
+    if (process.env.MOCK_PAYMENT_DECLINE === 'true') {
+      return { id: paymentIntentId, status: 'failed', failureReason: 'Card declined' };
+    }
+    return { id: paymentIntentId, status: 'succeeded' };
+  },
+
+  cancelPaymentIntent: async (paymentIntentId) => {
+    return { id: paymentIntentId, status: 'cancelled' };
+  },
+
+  refundPayment: async () => {
+    return { id: generateId('re'), status: 'succeeded' };
+  },
+
+  // Webhook bodies are already in the normalized { id, type, paymentId } shape
+  verifyWebhook: (rawBody, headers) => {
+    const header = headers[SIGNATURE_HEADER] || '';
+    const parts = Object.fromEntries(header.split(',').map((part) => part.split('=')));
+    const payload = rawBody.toString('utf8');
+
+    if (!parts.t || !parts.v1) {
+      throw new Error('Missing webhook signature');
+    }
+
+    const expected = Buffer.from(computeSignature(parts.t, payload));
+    const received = Buffer.from(parts.v1);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const age = Math.floor(Date.now() / 1000) - Number(parts.t);
+    if (!Number.isInteger(age) || Math.abs(age) > TIMESTAMP_TOLERANCE_SECONDS) {
+      throw new Error('Webhook timestamp is outside the tolerance window');
+    }
+
+    return JSON.parse(payload);
+  },
+});
+
+module.exports = createMockProvider;
+module.exports.signWebhookPayload = signWebhookPayload;
@@ -0,0 +1,82 @@
+const Stripe = require('stripe');
+
+// Stripe amounts are integers in the currency's smallest unit
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+const STATUS_MAP = {
+  requires_capture: 'requires_capture',
+  succeeded: 'succeeded',
+  canceled: 'cancelled',
+};
+
+// Stripe webhook types -> the normalized event types the payment service handles
+const EVENT_TYPE_MAP = {
+  'payment_intent.succeeded': 'payment.succeeded',
+  'payment_intent.payment_failed': 'payment.failed',
+};
+
+const createStripeProvider = () => {
+  const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+  return {
+    name: 'stripe',
+
+    // Manual capture: the card is authorized at checkout and charged when the
+    // booking is confirmed
+    createPaymentIntent: async ({ amount, currency, metadata, idempotencyKey }) => {
+      const intent = await stripe.paymentIntents.create(
+        {
+          amount: toMinorUnits(amount),
+          currency,
+          capture_method: 'manual',
+          metadata,
+        },
+        { idempotencyKey }
+      );
+      return { id: intent.id, status: intent.status, clientSecret: intent.client_secret };
+    },
+
+    capturePaymentIntent: async (paymentIntentId) => {
+      try {
+        const intent = await stripe.paymentIntents.capture(paymentIntentId);
+        return { id: intent.id, status: STATUS_MAP[intent.status] || intent.status };
+      } catch (error) {
+        if (error.type === 'StripeCardError' || error.type === 'StripeInvalidRequestError') {
+          return { id: paymentIntentId, status: 'failed', failureReason: error.message };
+        }
+        throw error;
+      }
+    },
+
+    cancelPaymentIntent: async (paymentIntentId) => {
+      const intent = await stripe.paymentIntents.cancel(paymentIntentId);
+      return { id: intent.id, status: STATUS_MAP[intent.status] || intent.status };
+    },
+
+    refundPayment: async (paymentIntentId, { amount, idempotencyKey }) => {
+      const refund = await stripe.refunds.create(
+        { payment_intent: paymentIntentId, amount: toMinorUnits(amount) },
+        { idempotencyKey }
+      );
+      return { id: refund.id, status: refund.status };
+    },
+
+    verifyWebhook: (rawBody, headers) => {
+      const event = stripe.webhooks.constructEvent(
+        rawBody,
+        headers['stripe-signature'],
+        process.env.STRIPE_WEBHOOK_SECRET
+      );
+      const intent = event.data.object;
+
+      return {
+        id: event.id,
+        type: EVENT_TYPE_MAP[event.type] || event.type,
+        paymentId: intent.id,
+        failureReason: intent.last_payment_error && intent.last_payment_error.message,
+      };
+    },
+  };
+};
+
+module.exports = createStripeProvider;
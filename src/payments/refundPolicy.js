@@ -0,0 +1,32 @@
+const DEFAULT_FULL_REFUND_HOURS = 72;
+const DEFAULT_PARTIAL_REFUND_HOURS = 24;
+const DEFAULT_PARTIAL_REFUND_PERCENT = 50;
+
+// Share of the price refunded when a customer cancels: in full up to
+// REFUND_FULL_HOURS before the event, partially up to REFUND_PARTIAL_HOURS
+// before, nothing after that. Organizer cancellations always refund in full.
+const getRefundPercent = (eventDate, cancelledAt = new Date()) => {
+  const fullHours = Number(process.env.REFUND_FULL_HOURS) || DEFAULT_FULL_REFUND_HOURS;
+  const partialHours = Number(process.env.REFUND_PARTIAL_HOURS) || DEFAULT_PARTIAL_REFUND_HOURS;
+  const partialPercent = Number(process.env.REFUND_PARTIAL_PERCENT) || DEFAULT_PARTIAL_REFUND_PERCENT;
+
+  const hoursBeforeEvent = (new Date(eventDate).getTime() - cancelledAt.getTime()) / (60 * 60 * 1000);
+
+  if (hoursBeforeEvent >= fullHours) {
+    return 100;
+  }
+  if (hoursBeforeEvent >= partialHours) {
+    return partialPercent;
+  }
+  return 0;
+};
+
+const getRefundAmount = (totalPrice, eventDate, cancelledAt) => {
+  const percent = getRefundPercent(eventDate, cancelledAt);
+  return Math.round(totalPrice * percent) / 100;
+};
+
+module.exports = {
+  getRefundPercent,
+  getRefundAmount,
+};
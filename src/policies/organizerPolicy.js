@@ -0,0 +1,76 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const { getAccountRestriction } = require('../services/sessionService');
+
+// What each role on an organizer's team may do for the organizer account
+const ROLE_PERMISSIONS = {
+  owner: [
+    'events:manage',
+    'venues:manage',
+    'promo-codes:manage',
+    'tickets:check-in',
+    'bookings:view',
+    'analytics:view',
+    'team:manage',
+  ],
+  manager: [
+    'events:manage',
+    'venues:manage',
+    'promo-codes:manage',
+    'tickets:check-in',
+    'bookings:view',
+    'analytics:view',
+  ],
+  'check-in': ['tickets:check-in'],
+  finance: ['bookings:view', 'analytics:view'],
+};
+
+const isSameUser = (a, b) => String(a) === String(b);
+
+// The user's role on the organizer account's team, or null if they are not
+// on it. Organizers own their own account. Members cannot act for an
+// organizer that has been suspended or banned.
+const getTeamRole = async (user, organizerId) => {
+  if (isSameUser(organizerId, user.id)) {
+    return user.role === 'organizer' ? 'owner' : null;
+  }
+
+  const organization = await Organization.findOne({ owner: organizerId, 'members.user': user.id })
+    .select('owner members')
+    .populate('owner', 'status suspendedUntil');
+  if (!organization || !organization.owner || getAccountRestriction(organization.owner)) {
+    return null;
+  }
+  return organization.members.find((member) => member.user.equals(user.id)).role;
+};
+
+const hasPermission = (role, permission) => Boolean(role) && ROLE_PERMISSIONS[role].includes(permission);
+
+// Whether the user may act for the organizer account, e.g.
+// can(req.user, event.organizer, 'events:manage')
+const can = async (user, organizerId, permission) => {
+  return hasPermission(await getTeamRole(user, organizerId), permission);
+};
+
+// Events are only created and published for approved organizer accounts,
+// whoever on the team does it. Returns { status, message } if not approved.
+const checkOrganizerApproval = async (user, organizerId) => {
+  const organizer = await User.findById(organizerId).select('organizerStatus');
+  if (organizer && organizer.organizerStatus === 'approved') {
+    return null;
+  }
+
+  const application = isSameUser(organizerId, user.id) ? 'Your organizer application' : "The organizer's application";
+  const message = organizer && organizer.organizerStatus === 'rejected'
+    ? `${application} was not approved`
+    : `${application} is awaiting approval`;
+  return { status: 403, message };
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  getTeamRole,
+  hasPermission,
+  can,
+  checkOrganizerApproval,
+};
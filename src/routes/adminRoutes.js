@@ -0,0 +1,44 @@
+const express = require('express');
+const {
+  listUsers,
+  getUser,
+  suspendUser,
+  banUser,
+  reinstateUser,
+  getOrganizerApplications,
+  approveOrganizer,
+  rejectOrganizer,
+  unpublishEvent,
+  reinstateEvent,
+  cancelEvent,
+  getBooking,
+  getAuditLog,
+} = require('../controllers/adminController');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every route is for admins only
+router.use(authenticateToken, authorize('admin'));
+
+// Accounts
+router.get('/users', listUsers);
+router.get('/users/:id', getUser);
+router.post('/users/:id/suspend', suspendUser);
+router.post('/users/:id/ban', banUser);
+router.post('/users/:id/reinstate', reinstateUser);
+
+// Organizer applications
+router.get('/organizer-applications', getOrganizerApplications);
+router.post('/organizer-applications/:id/approve', approveOrganizer);
+router.post('/organizer-applications/:id/reject', rejectOrganizer);
+
+// Events and bookings
+router.post('/events/:id/unpublish', unpublishEvent);
+router.post('/events/:id/reinstate', reinstateEvent);
+router.post('/events/:id/cancel', cancelEvent);
+router.get('/bookings/:id', getBooking);
+
+router.get('/audit-log', getAuditLog);
+
+module.exports = router;
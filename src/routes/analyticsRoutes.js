@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+  getAnalyticsSummary,
+  getTopEventsAnalytics,
+  getCategoryAnalytics,
+  getSalesAnalytics,
+} = require('../controllers/analyticsController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Organizer and team routes
+router.get('/summary', authenticateToken, getAnalyticsSummary);
+router.get('/sales', authenticateToken, getSalesAnalytics);
+router.get('/events', authenticateToken, getTopEventsAnalytics);
+router.get('/categories', authenticateToken, getCategoryAnalytics);
+
+module.exports = router;
@@ -1,9 +1,37 @@
 const express = require('express');
-const { signup, login } = require('../controllers/authController');
+const {
+  signup,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification,
+} = require('../controllers/authController');
+const { authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
 
 router.post('/signup', signup);
 router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+
+// Passwords and email verification; tokens arrive by email
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', authenticateToken, resendVerification);
+router.put('/password', authenticateToken, changePassword);
+
+// Session management
+router.post('/logout-all', authenticateToken, logoutAll);
+router.get('/sessions', authenticateToken, getSessions);
+router.delete('/sessions/:id', authenticateToken, deleteSession);
 
 module.exports = router;
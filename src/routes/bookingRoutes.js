@@ -1,22 +1,35 @@
 const express = require('express');
 const {
   bookTickets,
+  confirmBooking,
   getMyBookings,
   getBookingById,
+  getTicketPdf,
+  getInvoicePdf,
+  getBookingCalendar,
   cancelBooking,
   getEventBookings,
+  exportBookings,
 } = require('../controllers/bookingController');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { getBookingTickets, getTicketQr } = require('../controllers/ticketController');
+const { authenticateToken, authorize, requireVerifiedEmail } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Organizer and team routes, registered first so that /:id does not match /export
+router.get('/event/:eventId/bookings', authenticateToken, getEventBookings);
+router.get('/export', authenticateToken, exportBookings);
+
 // Customer routes
-router.post('/', authenticateToken, authorize('customer'), bookTickets);
+router.post('/', authenticateToken, authorize('customer'), requireVerifiedEmail, bookTickets);
+router.post('/:id/confirm', authenticateToken, authorize('customer'), confirmBooking);
 router.get('/', authenticateToken, authorize('customer'), getMyBookings);
 router.get('/:id', authenticateToken, getBookingById);
+router.get('/:id/ticket.pdf', authenticateToken, authorize('customer'), getTicketPdf);
+router.get('/:id/invoice.pdf', authenticateToken, getInvoicePdf);
+router.get('/:id/calendar.ics', authenticateToken, getBookingCalendar);
 router.put('/:id/cancel', authenticateToken, authorize('customer'), cancelBooking);
-
-// Organizer routes
-router.get('/event/:eventId/bookings', authenticateToken, authorize('organizer'), getEventBookings);
+router.get('/:id/tickets', authenticateToken, authorize('customer'), getBookingTickets);
+router.get('/:id/tickets/:ticketId/qr.:format(png|svg)', authenticateToken, authorize('customer'), getTicketQr);
 
 module.exports = router;
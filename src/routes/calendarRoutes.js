@@ -0,0 +1,14 @@
+const express = require('express');
+const { createFeedToken, revokeFeedToken, getFeed } = require('../controllers/calendarController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Feed management
+router.post('/feed-token', authenticateToken, createFeedToken);
+router.delete('/feed-token', authenticateToken, revokeFeedToken);
+
+// Public routes, authenticated by the feed token
+router.get('/feeds/:token.ics', getFeed);
+
+module.exports = router;
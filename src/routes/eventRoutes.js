@@ -6,19 +6,39 @@ const {
   updateEvent,
   deleteEvent,
   publishEvent,
+  cancelEvent,
 } = require('../controllers/eventController');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const {
+  joinWaitlist,
+  leaveWaitlist,
+  claimWaitlistOffer,
+  getWaitlist,
+} = require('../controllers/waitlistController');
+const { getEventSeats } = require('../controllers/venueController');
+const { checkIn, getEventAttendance } = require('../controllers/ticketController');
+const { authenticateToken, authorize, requireVerifiedEmail } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Public routes
 router.get('/', getEvents);
 router.get('/:id', getEventById);
+router.get('/:id/seats', getEventSeats);
+
+// Organizer routes, open to the organizer's team as far as each member's role
+// allows. Creating and publishing need an approved organizer account.
+router.post('/', authenticateToken, requireVerifiedEmail, createEvent);
+router.put('/:id', authenticateToken, updateEvent);
+router.delete('/:id', authenticateToken, deleteEvent);
+router.post('/:id/publish', authenticateToken, requireVerifiedEmail, publishEvent);
+router.post('/:id/cancel', authenticateToken, cancelEvent);
+router.get('/:id/waitlist', authenticateToken, getWaitlist);
+router.post('/:id/check-in', authenticateToken, checkIn);
+router.get('/:id/attendance', authenticateToken, getEventAttendance);
 
-// Organizer routes
-router.post('/', authenticateToken, authorize('organizer'), createEvent);
-router.put('/:id', authenticateToken, authorize('organizer'), updateEvent);
-router.delete('/:id', authenticateToken, authorize('organizer'), deleteEvent);
-router.post('/:id/publish', authenticateToken, authorize('organizer'), publishEvent);
+// Customer routes
+router.post('/:id/waitlist', authenticateToken, authorize('customer'), joinWaitlist);
+router.delete('/:id/waitlist', authenticateToken, authorize('customer'), leaveWaitlist);
+router.post('/:id/waitlist/claim', authenticateToken, authorize('customer'), requireVerifiedEmail, claimWaitlistOffer);
 
 module.exports = router;
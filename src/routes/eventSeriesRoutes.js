@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  createSeries,
+  getSeries,
+  getSeriesById,
+  getMySeries,
+  updateSeries,
+  publishSeries,
+  cancelSeries,
+  deleteSeries,
+} = require('../controllers/eventSeriesController');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Organizer and team routes (declared first so /mine is not taken for an ID).
+// Creating and publishing need an approved organizer account.
+router.get('/mine', authenticateToken, getMySeries);
+router.post('/', authenticateToken, requireVerifiedEmail, createSeries);
+router.put('/:id', authenticateToken, updateSeries);
+router.delete('/:id', authenticateToken, deleteSeries);
+router.post('/:id/publish', authenticateToken, requireVerifiedEmail, publishSeries);
+router.post('/:id/cancel', authenticateToken, cancelSeries);
+
+// Public routes
+router.get('/', getSeries);
+router.get('/:id', getSeriesById);
+
+module.exports = router;
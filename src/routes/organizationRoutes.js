@@ -0,0 +1,32 @@
+const express = require('express');
+const {
+  getMyOrganizations,
+  getOrganization,
+  updateOrganization,
+  inviteMember,
+  revokeInvite,
+  updateMember,
+  removeMember,
+  getMyInvites,
+  acceptInvite,
+  declineInvite,
+} = require('../controllers/organizationController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Any account can be on a team; what it may do there depends on its role.
+// Invite routes are registered first so that /:id does not match /invites.
+router.get('/', authenticateToken, getMyOrganizations);
+router.get('/invites', authenticateToken, getMyInvites);
+router.post('/invites/:inviteId/accept', authenticateToken, acceptInvite);
+router.post('/invites/:inviteId/decline', authenticateToken, declineInvite);
+
+router.get('/:id', authenticateToken, getOrganization);
+router.put('/:id', authenticateToken, updateOrganization);
+router.post('/:id/invites', authenticateToken, inviteMember);
+router.delete('/:id/invites/:inviteId', authenticateToken, revokeInvite);
+router.put('/:id/members/:userId', authenticateToken, updateMember);
+router.delete('/:id/members/:userId', authenticateToken, removeMember);
+
+module.exports = router;
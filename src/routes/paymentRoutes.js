@@ -0,0 +1,9 @@
+const express = require('express');
+const { handlePaymentWebhook } = require('../controllers/paymentController');
+
+const router = express.Router();
+
+// Provider webhooks are authenticated by their signature, not a JWT
+router.post('/webhook', express.raw({ type: 'application/json' }), handlePaymentWebhook);
+
+module.exports = router;
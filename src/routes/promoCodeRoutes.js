@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  createPromoCode,
+  getPromoCodes,
+  getPromoCodeById,
+  updatePromoCode,
+  deletePromoCode,
+} = require('../controllers/promoCodeController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Organizer and team routes
+router.post('/', authenticateToken, createPromoCode);
+router.get('/', authenticateToken, getPromoCodes);
+router.get('/:id', authenticateToken, getPromoCodeById);
+router.put('/:id', authenticateToken, updatePromoCode);
+router.delete('/:id', authenticateToken, deletePromoCode);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const { getProfile, updateProfile, deleteAccount, exportAccount } = require('../controllers/userController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// The signed-in user's own account
+router.get('/me', authenticateToken, getProfile);
+router.put('/me', authenticateToken, updateProfile);
+router.delete('/me', authenticateToken, deleteAccount);
+router.get('/me/export', authenticateToken, exportAccount);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  createVenue,
+  getVenues,
+  getVenueById,
+  updateVenue,
+  deleteVenue,
+} = require('../controllers/venueController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Organizer and team routes
+router.post('/', authenticateToken, createVenue);
+router.get('/', authenticateToken, getVenues);
+router.get('/:id', authenticateToken, getVenueById);
+router.put('/:id', authenticateToken, updateVenue);
+router.delete('/:id', authenticateToken, deleteVenue);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+// Admins cannot sign up, so they are made here:
+//   npm run create-admin -- <email> [password] [name]
+// An existing account with the email is promoted; otherwise a new, verified
+// admin account is created with the password.
+const createAdmin = async ([email, password, name = 'Administrator']) => {
+  if (!email) {
+    throw new Error('Usage: npm run create-admin -- <email> [password] [name]');
+  }
+
+  const existingUser = await User.findOne({ email: email.toLowerCase() });
+  if (existingUser) {
+    existingUser.role = 'admin';
+    existingUser.organizerStatus = undefined;
+    await existingUser.save();
+    return { user: existingUser, created: false };
+  }
+
+  if (!password || password.length < 6) {
+    throw new Error('A password of at least 6 characters is needed to create a new admin');
+  }
+
+  const user = await User.create({
+    name,
+    email,
+    password: await bcrypt.hash(password, 10),
+    role: 'admin',
+    emailVerifiedAt: new Date(),
+  });
+  return { user, created: true };
+};
+
+if (require.main === module) {
+  connectDB()
+    .then(() => createAdmin(process.argv.slice(2)))
+    .then(({ user, created }) => {
+      console.log(`✓ ${created ? 'Created admin' : 'Promoted to admin'}: ${user.email}`);
+      return mongoose.disconnect();
+    })
+    .catch(async (error) => {
+      console.error('✗ Creating admin failed:', error.message);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = createAdmin;
@@ -2,20 +2,33 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/db');
-const { initJobQueues, jobQueue } = require('./services/jobQueueService');
-const { processBookingConfirmation, processEventNotification } = require('./jobs/jobProcessors');
+const { initJobQueues, jobQueue, getQueueStatus } = require('./services/jobQueueService');
+const { processBookingConfirmation } = require('./jobs/jobProcessors');
+const { startExpirySweep } = require('./services/expirySweepService');
 const Booking = require('./models/Booking');
-const Event = require('./models/Event');
+const { authenticateToken, authorize } = require('./middleware/auth');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const eventRoutes = require('./routes/eventRoutes');
 const bookingRoutes = require('./routes/bookingRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const promoCodeRoutes = require('./routes/promoCodeRoutes');
+const venueRoutes = require('./routes/venueRoutes');
+const eventSeriesRoutes = require('./routes/eventSeriesRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const userRoutes = require('./routes/userRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
 
 const app = express();
 
 // Middleware
 app.use(cors());
+// Payment webhooks need the raw body to verify signatures, so they are
+// mounted before the JSON parser
+app.use('/api/payments', paymentRoutes);
 app.use(express.json());
 
 // Initialize database and job queues
@@ -25,6 +38,7 @@ let queues = {};
     await connectDB();
     queues = await initJobQueues();
     console.log('✓ Job queues initialized');
+    await startExpirySweep();
   } catch (error) {
     console.error('Error initializing:', error);
   }
@@ -34,26 +48,41 @@ let queues = {};
 app.use('/api/auth', authRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
+app.use('/api/venues', venueRoutes);
+app.use('/api/series', eventSeriesRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/organizations', organizationRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'Event Booking API is running' });
 });
 
-// Demo endpoint to process pending jobs
-app.post('/api/process-jobs', async (req, res) => {
+// Job queue status (which backend is active and in-memory job counts), for admins
+app.get('/api/jobs/status', authenticateToken, authorize('admin'), (req, res) => {
+  res.json(getQueueStatus());
+});
+
+// Demo endpoint to send pending booking confirmations, for admins. Event
+// change notifications are queued by the event endpoints themselves.
+app.post('/api/process-jobs', authenticateToken, authorize('admin'), async (req, res) => {
   try {
     const { jobType } = req.body;
 
     if (jobType === 'booking-confirmations') {
-      // Process all pending booking confirmations
-      const pendingBookings = await Booking.find({ status: 'confirmed' })
+      // Process confirmed bookings whose confirmation has not been sent yet
+      const pendingBookings = await Booking.find({ status: 'confirmed', confirmationSentAt: null })
         .populate('customer')
         .populate('event')
         .limit(10);
 
       const results = [];
       for (const booking of pendingBookings) {
+        // A confirmation another run is sending is reported, not retried here
         const result = await processBookingConfirmation({
           data: {
             bookingId: booking._id,
@@ -62,7 +91,7 @@ app.post('/api/process-jobs', async (req, res) => {
             quantity: booking.quantity,
             bookingReference: booking.bookingReference,
           },
-        });
+        }).catch((error) => ({ success: false, message: error.message }));
         results.push(result);
       }
 
@@ -71,26 +100,6 @@ app.post('/api/process-jobs', async (req, res) => {
         processed: results.length,
         results,
       });
-    } else if (jobType === 'event-notifications') {
-      // Process event update notifications
-      const eventToNotify = await Event.findOne({ status: 'published' }).populate('organizer');
-
-      if (eventToNotify) {
-        const result = await processEventNotification({
-          data: {
-            eventId: eventToNotify._id,
-            organizerId: eventToNotify.organizer._id,
-            changes: 'Event details have been updated',
-          },
-        });
-
-        res.json({
-          message: 'Event notifications processed',
-          result,
-        });
-      } else {
-        res.json({ message: 'No events to notify' });
-      }
     } else {
       res.status(400).json({ message: 'Invalid job type' });
     }
@@ -126,10 +135,11 @@ app.listen(PORT, () => {
   console.log('  POST /auth/signup - Register new user');
   console.log('  POST /auth/login - Login user');
   console.log('  GET /events - List all published events');
-  console.log('  POST /events - Create event (organizer only)');
+  console.log('  POST /events - Create event (organizer or team manager)');
   console.log('  POST /bookings - Book tickets (customer only)');
   console.log('  GET /bookings - Get my bookings (customer only)');
-  console.log('  POST /process-jobs - Process background jobs (for demo)');
+  console.log('  GET /jobs/status - Job queue status (admin only)');
+  console.log('  POST /process-jobs - Process pending booking confirmations (admin only, for demo)');
   console.log('');
 });
 
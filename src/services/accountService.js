@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const AccountToken = require('../models/AccountToken');
+const User = require('../models/User');
+const { jobQueue } = require('./jobQueueService');
+const { revokeUserSessions } = require('./sessionService');
+
+const DEFAULT_EMAIL_VERIFICATION_TTL_HOURS = 24;
+const DEFAULT_PASSWORD_RESET_TTL_MINUTES = 60;
+
+// Another verification or reset email is not sent to an address within this
+// long of the last
+const EMAIL_COOLDOWN_MS = 60 * 1000;
+
+// Pages of the client app that take the token from the link and post it back
+const ACCOUNT_LINK_PATHS = {
+  'email-verification': '/verify-email',
+  'password-reset': '/reset-password',
+};
+
+const getTokenLifetime = (purpose) => {
+  if (purpose === 'password-reset') {
+    return (Number(process.env.PASSWORD_RESET_TTL_MINUTES) || DEFAULT_PASSWORD_RESET_TTL_MINUTES) * 60 * 1000;
+  }
+  return (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || DEFAULT_EMAIL_VERIFICATION_TTL_HOURS) * 60 * 60 * 1000;
+};
+
+const hashAccountToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getAccountLink = (purpose, token) => {
+  const appUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${appUrl.replace(/\/$/, '')}${ACCOUNT_LINK_PATHS[purpose]}?token=${token}`;
+};
+
+// Issue a token for one of the user's addresses (their current email unless
+// given), replacing any unused one. Only its hash is stored, so the token is
+// returned here and never again.
+const issueAccountToken = async (user, purpose, email = user.email) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + getTokenLifetime(purpose));
+
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  await AccountToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashAccountToken(token),
+    email,
+    expiresAt,
+  });
+
+  return { token, expiresAt, link: getAccountLink(purpose, token) };
+};
+
+// Use a token up. The conditional update means it works once, even when two
+// requests race. Returns null if it is unknown, used or expired.
+const consumeAccountToken = (token, purpose) => {
+  const now = new Date();
+  return AccountToken.findOneAndUpdate(
+    { tokenHash: hashAccountToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now },
+    { new: true }
+  );
+};
+
+const wasEmailSentRecently = (userId, purpose, email) => {
+  return AccountToken.exists({
+    user: userId,
+    purpose,
+    email,
+    createdAt: { $gt: new Date(Date.now() - EMAIL_COOLDOWN_MS) },
+  });
+};
+
+// Tokens are issued by the job when the email goes out, so they never sit in
+// the queue. An email is only given for a verification of a new address.
+const queueAccountEmail = (userId, type, email) => jobQueue.addJob('account-email', { userId, type, email });
+
+// Returns { status, message } if the email cannot be sent now
+const sendVerificationEmail = async (user) => {
+  if (user.emailVerifiedAt) {
+    return { status: 400, message: 'Email address is already verified' };
+  }
+  if (await wasEmailSentRecently(user._id, 'email-verification', user.email)) {
+    return { status: 429, message: 'A verification email was sent recently. Please wait a minute and try again' };
+  }
+  await queueAccountEmail(user._id, 'email-verification');
+  return null;
+};
+
+// Start changing the user's email. The current address stays in use until the
+// new one is verified. Returns { status, message } if it cannot be sent now.
+const requestEmailChange = async (user, email) => {
+  if (await wasEmailSentRecently(user._id, 'email-verification', email)) {
+    return { status: 429, message: 'A verification email was sent recently. Please wait a minute and try again' };
+  }
+
+  user.pendingEmail = email;
+  await user.save();
+  await queueAccountEmail(user._id, 'email-verification', user.pendingEmail);
+  return null;
+};
+
+// Callers answer the same way whether or not the account exists, so that the
+// endpoint cannot be used to find out who has one
+const sendPasswordResetEmail = async (email) => {
+  const user = await User.findOne({ email: email.toLowerCase() }).select('_id email');
+  if (!user || (await wasEmailSentRecently(user._id, 'password-reset', user.email))) {
+    return;
+  }
+  await queueAccountEmail(user._id, 'password-reset');
+};
+
+// Verify the user's email, or the address they are changing to, which then
+// becomes their email. The token is used up atomically, so when the same link
+// is posted twice at once the second request gets the invalid token answer.
+// The account is updated with conditional updates for the same reason.
+// Returns { user } or { status, message }.
+const verifyEmail = async (token) => {
+  const accountToken = await consumeAccountToken(token, 'email-verification');
+  if (!accountToken) {
+    return { status: 400, message: 'Invalid or expired verification token' };
+  }
+
+  const now = new Date();
+  try {
+    const changedUser = await User.findOneAndUpdate(
+      { _id: accountToken.user, pendingEmail: accountToken.email },
+      { $set: { email: accountToken.email, emailVerifiedAt: now }, $unset: { pendingEmail: 1 } },
+      { new: true }
+    );
+    if (changedUser) {
+      return { user: changedUser };
+    }
+  } catch (error) {
+    // Another account took the address since the change was requested
+    if (error.code === 11000) {
+      return { status: 409, message: 'Email already registered' };
+    }
+    throw error;
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: accountToken.user, email: accountToken.email, emailVerifiedAt: null },
+    { emailVerifiedAt: now },
+    { new: true }
+  );
+  if (user) {
+    return { user };
+  }
+
+  const verifiedUser = await User.findOne({ _id: accountToken.user, email: accountToken.email });
+  if (!verifiedUser) {
+    return { status: 400, message: 'This verification link is for an email address no longer on the account' };
+  }
+  return { user: verifiedUser };
+};
+
+// Set a new password and end every session, since any of them may have been
+// started with the old one. Access tokens issued before now stop working.
+const setPassword = async (user, password) => {
+  user.password = await bcrypt.hash(password, 10);
+  user.passwordChangedAt = new Date();
+  await user.save();
+
+  await revokeUserSessions(user._id, { reason: 'password-change' });
+  await queueAccountEmail(user._id, 'password-changed');
+};
+
+// Returns { user } or { status, message }. The reset link was delivered to
+// the address, so it also counts as verifying it.
+const resetPassword = async (token, password) => {
+  const accountToken = await consumeAccountToken(token, 'password-reset');
+  if (!accountToken) {
+    return { status: 400, message: 'Invalid or expired reset token' };
+  }
+
+  const user = await User.findOne({ _id: accountToken.user, email: accountToken.email });
+  if (!user) {
+    return { status: 400, message: 'Invalid or expired reset token' };
+  }
+
+  if (!user.emailVerifiedAt) {
+    user.emailVerifiedAt = new Date();
+  }
+  await setPassword(user, password);
+  return { user };
+};
+
+module.exports = {
+  issueAccountToken,
+  sendVerificationEmail,
+  requestEmailChange,
+  sendPasswordResetEmail,
+  verifyEmail,
+  setPassword,
+  resetPassword,
+};
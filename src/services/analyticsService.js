@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Event = require('../models/Event');
+
+// Organizer analytics, computed with aggregation pipelines. The summary, top
+// events and category breakdown cover the events taking place in the date
+// range; sales over time covers the bookings made in it.
+
+// Bookings that were sold: confirmed ones, and confirmed ones that were
+// cancelled later. Abandoned holds are left out.
+const SOLD_BOOKING = { $or: [{ status: 'confirmed' }, { confirmedAt: { $exists: true } }] };
+
+const isCancelled = { $eq: ['$status', 'cancelled'] };
+
+// $group accumulators over sold bookings
+const SALES_TOTALS = {
+  bookings: { $sum: 1 },
+  ticketsSold: { $sum: { $cond: [isCancelled, 0, '$quantity'] } },
+  grossRevenue: { $sum: '$totalPrice' },
+  refunds: { $sum: { $cond: [isCancelled, '$refundAmount', 0] } },
+  cancelledBookings: { $sum: { $cond: [isCancelled, 1, 0] } },
+};
+
+const EMPTY_SALES = { bookings: 0, ticketsSold: 0, grossRevenue: 0, refunds: 0, cancelledBookings: 0 };
+
+// Share of a total, rounded to four places; 0 when there is nothing to share
+const ratio = (part, total) => ({
+  $cond: [{ $gt: [total, 0] }, { $round: [{ $divide: [part, total] }, 4] }, 0],
+});
+
+// Net revenue and the cancellation rate, from the sales totals
+const SALES_FIELDS = {
+  revenue: { $round: [{ $subtract: ['$grossRevenue', '$refunds'] }, 2] },
+  grossRevenue: { $round: ['$grossRevenue', 2] },
+  refunds: { $round: ['$refunds', 2] },
+  cancellationRate: ratio('$cancelledBookings', '$bookings'),
+};
+
+// The same for events, which also have a capacity to sell through
+const EVENT_FIELDS = {
+  ...SALES_FIELDS,
+  sellThrough: ratio('$ticketsSold', '$capacity'),
+};
+
+// Roll per-event figures up into one group
+const rollUp = (id) => ({
+  $group: {
+    _id: id,
+    events: { $sum: 1 },
+    capacity: { $sum: '$capacity' },
+    ...Object.fromEntries(Object.keys(EMPTY_SALES).map((field) => [field, { $sum: `$${field}` }])),
+  },
+});
+
+const getDateFilter = ({ from, to }) => {
+  const filter = {};
+  if (from) {
+    filter.$gte = from;
+  }
+  if (to) {
+    filter.$lte = to;
+  }
+  return filter;
+};
+
+// The organizer's events in the range, each with the totals of its sold
+// bookings. Cancelled events keep their sales (and refunds) but no longer
+// count towards capacity.
+const eventSalesStages = (organizerId, range) => {
+  const match = { organizer: new mongoose.Types.ObjectId(organizerId) };
+  if (range.from || range.to) {
+    match.date = getDateFilter(range);
+  }
+
+  return [
+    { $match: match },
+    {
+      $lookup: {
+        from: Booking.collection.name,
+        let: { eventId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$event', '$$eventId'] }, ...SOLD_BOOKING } },
+          { $group: { _id: null, ...SALES_TOTALS } },
+        ],
+        as: 'sales',
+      },
+    },
+    {
+      $replaceWith: {
+        $mergeObjects: [
+          EMPTY_SALES,
+          { $ifNull: [{ $first: '$sales' }, {}] },
+          {
+            _id: '$_id',
+            title: '$title',
+            date: '$date',
+            status: '$status',
+            category: '$category',
+            capacity: { $cond: [{ $eq: ['$status', 'cancelled'] }, 0, '$totalTickets'] },
+          },
+        ],
+      },
+    },
+  ];
+};
+
+// Totals across the organizer's events
+const getSummary = async (organizerId, range) => {
+  const [summary] = await Event.aggregate([
+    ...eventSalesStages(organizerId, range),
+    rollUp(null),
+    { $set: EVENT_FIELDS },
+    { $unset: '_id' },
+  ]);
+
+  return summary || { events: 0, capacity: 0, ...EMPTY_SALES, revenue: 0, cancellationRate: 0, sellThrough: 0 };
+};
+
+const TOP_EVENT_SORTS = {
+  revenue: { revenue: -1, ticketsSold: -1 },
+  ticketsSold: { ticketsSold: -1, revenue: -1 },
+  sellThrough: { sellThrough: -1, ticketsSold: -1 },
+};
+
+// The organizer's best-selling events
+const getTopEvents = async (organizerId, range, { sort, limit }) => {
+  return Event.aggregate([
+    ...eventSalesStages(organizerId, range),
+    { $set: EVENT_FIELDS },
+    { $sort: { ...TOP_EVENT_SORTS[sort], date: 1 } },
+    { $limit: limit },
+  ]);
+};
+
+// Totals per event category; events without one are grouped under null
+const getCategoryBreakdown = async (organizerId, range) => {
+  return Event.aggregate([
+    ...eventSalesStages(organizerId, range),
+    rollUp('$category'),
+    { $set: EVENT_FIELDS },
+    { $set: { category: '$_id' } },
+    { $unset: '_id' },
+    { $sort: { revenue: -1, category: 1 } },
+  ]);
+};
+
+// Start of the UTC day or week (weeks start on Monday) containing the date
+const startOfBucket = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+};
+
+const nextBucket = (start, interval) => {
+  const next = new Date(start);
+  next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  return next;
+};
+
+// Sales made in the range, per UTC day or week, for the given events. Every
+// bucket in the range is returned, with zeros where nothing was sold.
+const getSalesOverTime = async (eventIds, { from, to, interval }) => {
+  const buckets = await Booking.aggregate([
+    { $match: { event: { $in: eventIds }, createdAt: getDateFilter({ from, to }), ...SOLD_BOOKING } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$createdAt', unit: interval, startOfWeek: 'monday', timezone: 'UTC' } },
+        ...SALES_TOTALS,
+      },
+    },
+    { $set: SALES_FIELDS },
+  ]);
+
+  const byStart = new Map(buckets.map(({ _id, ...totals }) => [_id.getTime(), totals]));
+  const series = [];
+  for (let start = startOfBucket(from, interval); start <= to; start = nextBucket(start, interval)) {
+    series.push({
+      start,
+      ...(byStart.get(start.getTime()) || { ...EMPTY_SALES, revenue: 0, cancellationRate: 0 }),
+    });
+  }
+  return series;
+};
+
+// How many buckets a range would produce, to keep responses bounded
+const countBuckets = ({ from, to, interval }) => {
+  const days = (startOfBucket(to, interval) - startOfBucket(from, interval)) / (24 * 60 * 60 * 1000);
+  return Math.floor(days / (interval === 'week' ? 7 : 1)) + 1;
+};
+
+module.exports = {
+  getSummary,
+  getTopEvents,
+  getCategoryBreakdown,
+  getSalesOverTime,
+  countBuckets,
+};
@@ -0,0 +1,25 @@
+const AuditLog = require('../models/AuditLog');
+
+// Record an admin action. `target` is the ID of the user, event or booking
+// acted on; `details` holds what changed.
+const recordAdminAction = ({ actor, ip, action, targetType, target, reason, details }) => {
+  return AuditLog.create({ actor, ip, action, targetType, target, reason, details });
+};
+
+// Newest first, with the acting admin's name and email
+const getAuditLog = async (filter, { page, limit }) => {
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AuditLog.countDocuments(filter),
+  ]);
+  return { entries, total };
+};
+
+module.exports = {
+  recordAdminAction,
+  getAuditLog,
+};
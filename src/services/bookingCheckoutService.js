@@ -0,0 +1,107 @@
+const Booking = require('../models/Booking');
+const { releaseTickets } = require('./inventoryService');
+const { redeemPromoCode, releasePromoRedemption } = require('./promoCodeService');
+const { getHoldTtlMs, failHold } = require('./bookingHoldService');
+const { createPaymentForBooking } = require('./paymentService');
+const { jobQueue } = require('./jobQueueService');
+
+const generateBookingReference = () => {
+  return 'BK' + Date.now() + Math.random().toString(36).substr(2, 9).toUpperCase();
+};
+
+// Turn tickets already taken from the event's inventory into a pending booking
+// hold: applies the promo code, stores the booking, starts its payment and
+// schedules the hold's expiry. If the booking cannot go ahead its tickets and
+// promo code use are given back. Seated bookings pass the bookingId their
+// seats were held for. Returns { booking, payment } or { status, message, error }.
+const createBookingHold = async ({ bookingId, customerId, event, lines, promoCode }) => {
+  const quantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+  const originalPrice = lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+  const holdTtlMs = getHoldTtlMs();
+
+  // The booking starts as a pending hold; it must be confirmed before expiresAt
+  const booking = new Booking({
+    ...(bookingId && { _id: bookingId }),
+    customer: customerId,
+    event: event._id,
+    items: lines,
+    quantity,
+    originalPrice,
+    totalPrice: originalPrice,
+    bookingReference: generateBookingReference(),
+    status: 'pending',
+    expiresAt: new Date(Date.now() + holdTtlMs),
+  });
+
+  if (promoCode) {
+    const redemption = await redeemPromoCode({
+      code: promoCode,
+      event,
+      customerId,
+      bookingId: booking._id,
+      quantity,
+      subtotal: originalPrice,
+    });
+    if (redemption.error) {
+      await releaseTickets(event._id, lines);
+      return { status: 400, message: redemption.error };
+    }
+    booking.promo = redemption.promoCode._id;
+    booking.promoCode = redemption.promoCode.code;
+    booking.discountAmount = redemption.discount;
+    booking.totalPrice = Math.round((originalPrice - redemption.discount) * 100) / 100;
+  }
+
+  try {
+    await booking.save();
+  } catch (saveError) {
+    // Give the reserved tickets and promo code use back if the booking could
+    // not be stored
+    await releaseTickets(event._id, lines);
+    await releasePromoRedemption(booking);
+    throw saveError;
+  }
+
+  // Paid bookings need a payment before they can be confirmed
+  let paymentDetails = null;
+  if (booking.totalPrice > 0) {
+    try {
+      const { payment, clientSecret } = await createPaymentForBooking(booking);
+      paymentDetails = {
+        id: payment._id,
+        provider: payment.provider,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        clientSecret,
+      };
+    } catch (paymentError) {
+      await failHold(booking._id, 'Payment could not be started');
+      return { status: 502, message: 'Error starting payment', error: paymentError.message };
+    }
+  }
+
+  // Release the hold if it is still pending once the TTL has passed
+  await jobQueue.addJob('booking-expiry', { bookingId: booking._id }, { delay: holdTtlMs });
+
+  return { booking, payment: paymentDetails };
+};
+
+// The fields of a new hold returned to the customer
+const formatBookingHold = (booking) => ({
+  id: booking._id,
+  bookingReference: booking.bookingReference,
+  items: booking.items,
+  quantity: booking.quantity,
+  originalPrice: booking.originalPrice,
+  discountAmount: booking.discountAmount,
+  promoCode: booking.promoCode,
+  totalPrice: booking.totalPrice,
+  status: booking.status,
+  expiresAt: booking.expiresAt,
+});
+
+module.exports = {
+  createBookingHold,
+  formatBookingHold,
+};
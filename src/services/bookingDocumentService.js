@@ -0,0 +1,76 @@
+const QRCode = require('qrcode');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const { issueTickets, signTicket } = require('./ticketService');
+const { renderTicketPdf, renderInvoicePdf } = require('../documents/bookingDocuments');
+
+// Payment statuses where the money was actually taken
+const CAPTURED_PAYMENT_STATUSES = ['succeeded', 'partially_refunded', 'refunded'];
+
+const loadDocumentData = async (booking) => {
+  const [event, customer, payment] = await Promise.all([
+    Event.findById(booking.event).populate('organizer', 'name email'),
+    User.findById(booking.customer).select('name email'),
+    booking.payment ? Payment.findById(booking.payment) : null,
+  ]);
+  return { event, booking, customer, payment };
+};
+
+// Tickets are printed for confirmed bookings only
+const canPrintTickets = (booking) => booking.status === 'confirmed';
+
+// Invoices cover confirmed bookings, and cancelled ones that had been paid
+// (showing the refund)
+const canInvoice = (booking, payment) => {
+  return (
+    booking.status === 'confirmed' ||
+    (booking.status === 'cancelled' && Boolean(payment) && CAPTURED_PAYMENT_STATUSES.includes(payment.status))
+  );
+};
+
+// The booking's tickets as a PDF, one page per ticket with its QR code.
+// Returns null if the booking is not confirmed.
+const renderTicketDocument = async (booking) => {
+  if (!canPrintTickets(booking)) {
+    return null;
+  }
+
+  const data = await loadDocumentData(booking);
+  const tickets = await issueTickets(booking);
+  const printable = await Promise.all(
+    tickets.map(async (ticket) => ({
+      code: ticket.code,
+      ticketTypeName: ticket.ticketTypeName,
+      seatId: ticket.seatId,
+      qrCode: await QRCode.toBuffer(signTicket(ticket), { type: 'png', errorCorrectionLevel: 'M', width: 340 }),
+    }))
+  );
+
+  return renderTicketPdf({ ...data, tickets: printable });
+};
+
+// The booking's invoice as a PDF, or null if it cannot be invoiced
+const renderInvoiceDocument = async (booking) => {
+  const data = await loadDocumentData(booking);
+  if (!canInvoice(booking, data.payment)) {
+    return null;
+  }
+  return renderInvoicePdf(data);
+};
+
+// Ticket and invoice PDFs for the booking-confirmation message
+const getConfirmationAttachments = async (booking) => {
+  const [tickets, invoice] = await Promise.all([renderTicketDocument(booking), renderInvoiceDocument(booking)]);
+
+  return [
+    tickets && { filename: `tickets-${booking.bookingReference}.pdf`, contentType: 'application/pdf', content: tickets },
+    invoice && { filename: `invoice-${booking.bookingReference}.pdf`, contentType: 'application/pdf', content: invoice },
+  ].filter(Boolean);
+};
+
+module.exports = {
+  renderTicketDocument,
+  renderInvoiceDocument,
+  getConfirmationAttachments,
+};
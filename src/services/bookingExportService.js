@@ -0,0 +1,127 @@
+const Booking = require('../models/Booking');
+const Event = require('../models/Event');
+const { writeCsv, writeXlsx } = require('../documents/bookingExport');
+
+// Bookings whose customer has gone have empty customer columns
+const customerField = (field) => ({ booking }) => booking.customer && booking.customer[field];
+
+// Columns available in booking exports. Each row is { booking, event }, with
+// the booking's customer populated.
+const EXPORT_COLUMNS = {
+  name: { header: 'Customer Name', width: 24, type: 'text', value: customerField('name') },
+  email: { header: 'Email', width: 30, type: 'text', value: customerField('email') },
+  phone: { header: 'Phone', width: 16, type: 'text', value: customerField('phone') },
+  reference: { header: 'Booking Reference', width: 20, type: 'text', value: ({ booking }) => booking.bookingReference },
+  quantity: { header: 'Quantity', width: 10, type: 'number', value: ({ booking }) => booking.quantity },
+  totalPrice: { header: 'Total Price', width: 12, type: 'money', value: ({ booking }) => booking.totalPrice },
+  status: { header: 'Status', width: 12, type: 'text', value: ({ booking }) => booking.status },
+  bookedAt: { header: 'Booked At', width: 18, type: 'date', value: ({ booking }) => booking.createdAt },
+  event: { header: 'Event', width: 30, type: 'text', value: ({ event }) => event.title },
+  eventDate: { header: 'Event Date', width: 18, type: 'date', value: ({ event }) => event.date },
+};
+
+const BOOKING_COLUMNS = ['name', 'email', 'phone', 'reference', 'quantity', 'totalPrice', 'status', 'bookedAt'];
+
+// Event exports list one event, so the event columns are only included on request
+const DEFAULT_EVENT_EXPORT_COLUMNS = BOOKING_COLUMNS;
+const DEFAULT_ORGANIZER_EXPORT_COLUMNS = ['event', 'eventDate', ...BOOKING_COLUMNS];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', write: writeCsv },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    write: writeXlsx,
+  },
+};
+
+// Resolve a comma-separated column list. Returns { columns } or { error }.
+const resolveColumns = (list, defaults) => {
+  const keys = list ? list.split(',').map((key) => key.trim()) : defaults;
+  const unknown = keys.find((key) => !EXPORT_COLUMNS[key]);
+  if (unknown !== undefined) {
+    return { error: `Unknown column "${unknown}". Available columns: ${Object.keys(EXPORT_COLUMNS).join(', ')}` };
+  }
+  return { columns: [...new Set(keys)].map((key) => EXPORT_COLUMNS[key]) };
+};
+
+const getDateFilter = (from, to) => {
+  const filter = {};
+  if (from) {
+    filter.$gte = from;
+  }
+  if (to) {
+    filter.$lte = to;
+  }
+  return filter;
+};
+
+// Rows for the events' bookings, read through a cursor in booking order
+async function* readBookingRows(events, { status, from, to }) {
+  const eventsById = new Map(events.map((event) => [event._id.toString(), event]));
+  const filter = { event: { $in: events.map((event) => event._id) } };
+  if (status) {
+    filter.status = status;
+  }
+  if (from || to) {
+    filter.createdAt = getDateFilter(from, to);
+  }
+
+  const cursor = Booking.find(filter)
+    .populate('customer', 'name email phone')
+    .sort({ createdAt: 1 })
+    .cursor({ batchSize: 500 });
+
+  try {
+    for await (const booking of cursor) {
+      yield { booking, event: eventsById.get(booking.event.toString()) };
+    }
+  } finally {
+    await cursor.close();
+  }
+}
+
+const streamExport = async (res, { format, filename, columns, rows, sheetName }) => {
+  const { contentType, write } = EXPORT_FORMATS[format];
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.set('Cache-Control', 'private, no-store');
+  await write(res, columns, rows, { sheetName });
+};
+
+// An event's bookings, e.g. the attendee list for door staff
+const exportEventBookings = async (res, event, { format, columns, status }) => {
+  await streamExport(res, {
+    format,
+    filename: `bookings-${event._id}`,
+    sheetName: 'Bookings',
+    columns,
+    rows: readBookingRows([event], { status }),
+  });
+};
+
+// Bookings across all of the organizer's events, optionally limited to
+// bookings made (from/to) or events taking place (eventFrom/eventTo) in a range
+const exportOrganizerBookings = async (res, organizerId, options) => {
+  const { format, columns, status, from, to, eventFrom, eventTo } = options;
+  const eventFilter = { organizer: organizerId };
+  if (eventFrom || eventTo) {
+    eventFilter.date = getDateFilter(eventFrom, eventTo);
+  }
+  const events = await Event.find(eventFilter).select('title date').sort('date');
+
+  await streamExport(res, {
+    format,
+    filename: `bookings-${new Date().toISOString().slice(0, 10)}`,
+    sheetName: 'Bookings',
+    columns,
+    rows: readBookingRows(events, { status, from, to }),
+  });
+};
+
+module.exports = {
+  DEFAULT_EVENT_EXPORT_COLUMNS,
+  DEFAULT_ORGANIZER_EXPORT_COLUMNS,
+  resolveColumns,
+  exportEventBookings,
+  exportOrganizerBookings,
+};
@@ -0,0 +1,112 @@
+const Booking = require('../models/Booking');
+const Event = require('../models/Event');
+const { getBookingLines, releaseTickets } = require('./inventoryService');
+const { releasePromoRedemption } = require('./promoCodeService');
+const { queueWaitlistPromotion } = require('./waitlistService');
+const { markSeatsBooked } = require('./seatService');
+const { issueTickets } = require('./ticketService');
+const { jobQueue } = require('./jobQueueService');
+
+const DEFAULT_HOLD_TTL_MINUTES = 15;
+const DEFAULT_REMINDER_LEAD_HOURS = 24;
+
+// How long a pending booking keeps its tickets reserved before it expires
+const getHoldTtlMs = () => {
+  const minutes = Number(process.env.BOOKING_HOLD_TTL_MINUTES) || DEFAULT_HOLD_TTL_MINUTES;
+  return minutes * 60 * 1000;
+};
+
+// How long before the event the reminder is sent
+const getReminderLeadMs = () => {
+  const hours = Number(process.env.EVENT_REMINDER_LEAD_HOURS) || DEFAULT_REMINDER_LEAD_HOURS;
+  return hours * 60 * 60 * 1000;
+};
+
+// Confirm a pending hold that is still within its TTL, issue its tickets and
+// queue the confirmation message and event reminder. Returns the confirmed
+// booking, or null if the hold has expired or is no longer pending.
+const confirmHold = async (bookingId) => {
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, status: 'pending', expiresAt: { $gt: new Date() } },
+    { status: 'confirmed', confirmedAt: new Date(), $unset: { expiresAt: 1 } },
+    { new: true }
+  );
+
+  if (!booking) {
+    return null;
+  }
+
+  if (booking.items.some((item) => item.seats && item.seats.length > 0)) {
+    await markSeatsBooked(booking._id);
+  }
+
+  await issueTickets(booking);
+
+  // Add job to queue for booking confirmation email
+  await jobQueue.addJob('booking-confirmation', {
+    bookingId: booking._id,
+    customerId: booking.customer,
+    eventId: booking.event,
+    quantity: booking.quantity,
+    bookingReference: booking.bookingReference,
+  }, { jobId: `confirmation-${booking._id}` });
+
+  // Remind the customer ahead of the event, if there is still time to
+  const event = await Event.findById(booking.event);
+  const reminderDelay = new Date(event.date).getTime() - getReminderLeadMs() - Date.now();
+  if (reminderDelay > 0) {
+    await jobQueue.addJob('event-reminder', { bookingId: booking._id }, {
+      delay: reminderDelay,
+      jobId: `reminder-${booking._id}`,
+    });
+  }
+
+  return booking;
+};
+
+// Expire a pending hold whose TTL has passed and give its tickets and any
+// promo code use back. Returns the expired booking, or null if the hold was
+// already confirmed, cancelled, expired or is still within its TTL.
+const expireHold = async (bookingId) => {
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, status: 'pending', expiresAt: { $lte: new Date() } },
+    { status: 'expired' },
+    { new: true }
+  );
+
+  if (!booking) {
+    return null;
+  }
+
+  await releaseTickets(booking.event, getBookingLines(booking));
+  await releasePromoRedemption(booking);
+  await queueWaitlistPromotion(booking.event);
+  return booking;
+};
+
+// Mark a pending hold as failed (e.g. its payment was declined) and give its
+// tickets and promo code use back. Returns null if the booking was no longer
+// pending.
+const failHold = async (bookingId, reason) => {
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, status: 'pending' },
+    { status: 'failed', cancellationReason: reason, $unset: { expiresAt: 1 } },
+    { new: true }
+  );
+
+  if (!booking) {
+    return null;
+  }
+
+  await releaseTickets(booking.event, getBookingLines(booking));
+  await releasePromoRedemption(booking);
+  await queueWaitlistPromotion(booking.event);
+  return booking;
+};
+
+module.exports = {
+  getHoldTtlMs,
+  confirmHold,
+  expireHold,
+  failHold,
+};
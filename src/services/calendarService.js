@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { getBookingLines } = require('./inventoryService');
+const { renderCalendar } = require('../documents/calendar');
+
+// Feeds leave out events that took place more than this long ago
+const FEED_HISTORY_DAYS = 90;
+
+// Bookings that have a place in the customer's calendar
+const CALENDAR_BOOKING_STATUSES = ['confirmed', 'cancelled'];
+
+const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getFeedCutoff = () => new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+// Give the user a new feed token, which revokes the previous one. Only its
+// hash is stored, so the token is returned here and never again.
+const createFeedToken = async (userId) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  await User.updateOne(
+    { _id: userId },
+    { calendarFeedTokenHash: hashFeedToken(token), calendarFeedTokenCreatedAt: new Date() }
+  );
+  return token;
+};
+
+// Returns false if the user had no feed token
+const revokeFeedToken = async (userId) => {
+  const result = await User.updateOne(
+    { _id: userId, calendarFeedTokenHash: { $exists: true } },
+    { $unset: { calendarFeedTokenHash: 1, calendarFeedTokenCreatedAt: 1 } }
+  );
+  return result.modifiedCount > 0;
+};
+
+const findUserByFeedToken = (token) => User.findOne({ calendarFeedTokenHash: hashFeedToken(token) });
+
+const describeBooking = (booking) => {
+  const seats = getBookingLines(booking).flatMap((line) => line.seats || []);
+  const tickets = `${booking.quantity} ticket${booking.quantity === 1 ? '' : 's'}`;
+  return `Booking ${booking.bookingReference}: ${seats.length > 0 ? `${tickets} (${seats.join(', ')})` : tickets}`;
+};
+
+const describeCancellation = (event) => `Cancelled: ${event.cancellationReason || 'The event has been cancelled'}`;
+
+// The calendar entry for an event and the customer's bookings for it. When
+// all of them were cancelled by the customer the event still goes ahead, so
+// the entry is marked cancelled with a SEQUENCE above the event's own.
+const getCustomerEntry = (event, bookings) => {
+  const confirmed = bookings.filter((booking) => booking.status === 'confirmed');
+  if (confirmed.length > 0 || event.status === 'cancelled') {
+    return {
+      event,
+      notes: [
+        ...(event.status === 'cancelled' ? [describeCancellation(event)] : []),
+        ...(confirmed.length > 0 ? confirmed : bookings).map(describeBooking),
+      ],
+    };
+  }
+
+  return {
+    event,
+    status: 'CANCELLED',
+    sequence: (event.sequence || 0) + 1,
+    notes: bookings.map((booking) => `Booking ${booking.bookingReference} was cancelled`),
+  };
+};
+
+// The .ics for a single booking, or null while it is not confirmed (or
+// cancelled, which removes it from calendars)
+const renderBookingCalendar = async (booking) => {
+  if (!CALENDAR_BOOKING_STATUSES.includes(booking.status)) {
+    return null;
+  }
+
+  const event = await Event.findById(booking.event).populate('organizer', 'name email');
+  return renderCalendar({ name: event.title, entries: [getCustomerEntry(event, [booking])] });
+};
+
+// Every event the customer has booked, one entry per event
+const renderCustomerFeed = async (user) => {
+  const bookings = await Booking.find({ customer: user._id, status: { $in: CALENDAR_BOOKING_STATUSES } })
+    .populate({ path: 'event', populate: { path: 'organizer', select: 'name email' } })
+    .sort('createdAt');
+
+  const cutoff = getFeedCutoff();
+  const byEvent = new Map();
+  bookings
+    .filter((booking) => booking.event && booking.event.date >= cutoff)
+    .forEach((booking) => {
+      const key = booking.event._id.toString();
+      if (!byEvent.has(key)) {
+        byEvent.set(key, { event: booking.event, bookings: [] });
+      }
+      byEvent.get(key).bookings.push(booking);
+    });
+
+  const entries = [...byEvent.values()]
+    .sort((a, b) => a.event.date - b.event.date)
+    .map(({ event, bookings: eventBookings }) => getCustomerEntry(event, eventBookings));
+
+  return renderCalendar({ name: `${user.name}'s bookings`, entries });
+};
+
+// The organizer's events, drafts included (shown as tentative)
+const renderOrganizerFeed = async (user) => {
+  const events = await Event.find({ organizer: user._id, date: { $gte: getFeedCutoff() } })
+    .populate('organizer', 'name email')
+    .sort('date');
+
+  const entries = events.map((event) => ({
+    event,
+    notes: [
+      ...(event.status === 'cancelled' ? [describeCancellation(event)] : []),
+      `Tickets sold: ${event.totalTickets - event.availableTickets} of ${event.totalTickets}`,
+    ],
+  }));
+
+  return renderCalendar({ name: `${user.name}'s events`, entries });
+};
+
+// The feed for whoever owns the token: their bookings, or for organizers
+// their events. Returns null if the token is unknown or has been revoked.
+const renderFeed = async (token) => {
+  const user = await findUserByFeedToken(token);
+  if (!user) {
+    return null;
+  }
+
+  return user.role === 'organizer' ? renderOrganizerFeed(user) : renderCustomerFeed(user);
+};
+
+module.exports = {
+  createFeedToken,
+  revokeFeedToken,
+  renderBookingCalendar,
+  renderFeed,
+};
@@ -0,0 +1,92 @@
+const Event = require('../models/Event');
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { jobQueue } = require('./jobQueueService');
+
+const DEFAULT_CANCELLATION_REASON = 'The event has been cancelled by the organizer';
+
+// Cancel an event and cascade to its bookings: every pending or confirmed
+// booking is cancelled in one batch, paid bookings are marked for a refund and
+// the affected customers are sent a cancellation notice. Returns null if the
+// event was already cancelled.
+const cancelEvent = async (eventId, { reason = DEFAULT_CANCELLATION_REASON, cancelledBy }) => {
+  const cancelledAt = new Date();
+
+  const event = await Event.findOneAndUpdate(
+    { _id: eventId, status: { $ne: 'cancelled' } },
+    { $set: { status: 'cancelled', cancellationReason: reason, cancelledAt }, $inc: { sequence: 1 } },
+    { new: true }
+  );
+
+  if (!event) {
+    return null;
+  }
+
+  // A single pipeline update decides each booking's refund status from its
+  // state at the moment it is cancelled
+  await Booking.updateMany(
+    { event: event._id, status: { $in: ['pending', 'confirmed'] } },
+    [
+      {
+        $set: {
+          refundStatus: {
+            $cond: [
+              { $and: [{ $eq: ['$status', 'confirmed'] }, { $gt: ['$totalPrice', 0] }] },
+              'pending',
+              'none',
+            ],
+          },
+          refundAmount: {
+            $cond: [
+              { $and: [{ $eq: ['$status', 'confirmed'] }, { $gt: ['$totalPrice', 0] }] },
+              '$totalPrice',
+              0,
+            ],
+          },
+          status: 'cancelled',
+          cancellationReason: reason,
+          cancelledAt,
+        },
+      },
+      { $unset: 'expiresAt' },
+    ]
+  );
+
+  await WaitlistEntry.updateMany(
+    { event: event._id, status: { $in: ['waiting', 'offered'] } },
+    { status: 'cancelled' }
+  );
+
+  const cancelledBookings = await Booking.find({ event: event._id, status: 'cancelled', cancelledAt }).select(
+    '_id refundStatus refundAmount payment'
+  );
+
+  // Organizer cancellations refund paid bookings in full and void the rest
+  for (const booking of cancelledBookings.filter((b) => b.payment)) {
+    await jobQueue.addJob(
+      'payment-refund',
+      { bookingId: booking._id, amount: booking.refundAmount },
+      { jobId: `refund-${booking._id}` }
+    );
+  }
+
+  if (cancelledBookings.length > 0) {
+    await jobQueue.addJob('event-notification', {
+      eventId: event._id,
+      organizerId: cancelledBy,
+      type: 'cancellation',
+      reason,
+      bookingIds: cancelledBookings.map((booking) => booking._id),
+    });
+  }
+
+  return {
+    event,
+    cancelledBookings: cancelledBookings.length,
+    refundsPending: cancelledBookings.filter((booking) => booking.refundStatus === 'pending').length,
+  };
+};
+
+module.exports = {
+  cancelEvent,
+};
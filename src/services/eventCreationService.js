@@ -0,0 +1,47 @@
+const Event = require('../models/Event');
+const EventSeat = require('../models/EventSeat');
+const { buildTicketTypes, buildSeatedTicketTypes, summarizeTicketTypes } = require('./ticketTypeService');
+const { createEventSeats } = require('./seatService');
+const { formatVenueLocation } = require('./eventUpdateService');
+
+// Create an event from validated details: its ticket types (from the seat map
+// for assigned-seating events), venue, location and seats. seatingVenue is the
+// loaded Venue the event sells, if any. Returns { event } or { error }.
+const createEventFromDetails = async (details, { organizerId, seatingVenue = null }) => {
+  const built = seatingVenue ? buildSeatedTicketTypes(details, seatingVenue) : { ticketTypes: buildTicketTypes(details) };
+  if (built.error) {
+    return { error: built.error };
+  }
+
+  // Seated events are placed at their venue unless another one is given
+  const venue =
+    details.venue ||
+    (seatingVenue && { name: seatingVenue.name, address: seatingVenue.address, location: seatingVenue.location });
+
+  const event = new Event({
+    ...details,
+    venue,
+    location: details.location || formatVenueLocation(venue),
+    ticketTypes: built.ticketTypes,
+    ...summarizeTicketTypes(built.ticketTypes),
+    organizer: organizerId,
+  });
+
+  await event.save();
+
+  if (seatingVenue) {
+    try {
+      await createEventSeats(event, seatingVenue);
+    } catch (seatError) {
+      await EventSeat.deleteMany({ event: event._id });
+      await Event.deleteOne({ _id: event._id });
+      throw seatError;
+    }
+  }
+
+  return { event };
+};
+
+module.exports = {
+  createEventFromDetails,
+};
@@ -0,0 +1,398 @@
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const EventSeat = require('../models/EventSeat');
+const Booking = require('../models/Booking');
+const Venue = require('../models/Venue');
+const { buildTicketTypes, buildSeatedTicketTypes } = require('./ticketTypeService');
+const { generateOccurrenceDates, toDayKey } = require('./recurrenceService');
+const { createEventFromDetails } = require('./eventCreationService');
+const { applyEventUpdate, formatVenueLocation } = require('./eventUpdateService');
+const { cancelEvent } = require('./eventCancellationService');
+
+// Exception dates from both lists, one per day
+const mergeExceptions = (current = [], added = []) => {
+  const byDay = new Map([...current, ...added].map((date) => [toDayKey(date), new Date(date)]));
+  return [...byDay.values()];
+};
+
+// Series fields copied onto every occurrence
+const SERIES_EVENT_FIELDS = ['title', 'description', 'location', 'venue', 'category'];
+
+const REMOVED_OCCURRENCE_REASON = 'This date has been removed from the event series';
+
+// Details a new occurrence is created from. Seated occurrences get their
+// capacity from the seat map again.
+const getOccurrenceDetails = (series) => {
+  const details = {};
+  SERIES_EVENT_FIELDS.forEach((field) => {
+    if (series[field] !== undefined) {
+      details[field] = series[field];
+    }
+  });
+
+  return {
+    ...details,
+    seatingVenue: series.seatingVenue,
+    ticketTypes: series.ticketTypes.map(({ name, price, totalTickets, sections }) =>
+      sections ? { name, price, sections } : { name, price, totalTickets }
+    ),
+    series: series._id,
+    status: series.status === 'published' ? 'published' : 'draft',
+  };
+};
+
+// Create an Event for each date, in order. Throws if one cannot be created.
+const createOccurrences = async (series, dates, seatingVenue) => {
+  const details = getOccurrenceDetails(series);
+  const events = [];
+
+  for (const date of dates) {
+    const { event, error } = await createEventFromDetails(
+      { ...details, date, occurrenceDate: date },
+      { organizerId: series.organizer, seatingVenue }
+    );
+    if (error) {
+      throw new Error(error);
+    }
+    events.push(event);
+  }
+
+  return events;
+};
+
+const deleteOccurrences = async (eventIds) => {
+  await EventSeat.deleteMany({ event: { $in: eventIds } });
+  await Event.deleteMany({ _id: { $in: eventIds } });
+};
+
+// Create a series and all of its occurrences from validated details. If an
+// occurrence cannot be created, nothing is kept. Returns { series, occurrences }
+// or { error }.
+const createSeries = async (details, { organizerId, seatingVenue = null }) => {
+  const schedule = generateOccurrenceDates(details.startDate, details.recurrence);
+  if (schedule.error) {
+    return { error: schedule.error };
+  }
+
+  const built = seatingVenue ? buildSeatedTicketTypes(details, seatingVenue) : { ticketTypes: buildTicketTypes(details) };
+  if (built.error) {
+    return { error: built.error };
+  }
+
+  const venue =
+    details.venue ||
+    (seatingVenue && { name: seatingVenue.name, address: seatingVenue.address, location: seatingVenue.location });
+
+  const series = new EventSeries({
+    ...details,
+    venue,
+    location: details.location || formatVenueLocation(venue),
+    ticketTypes: built.ticketTypes.map(({ name, price, totalTickets, sections }) => ({
+      name,
+      price,
+      totalTickets,
+      sections,
+    })),
+    organizer: organizerId,
+  });
+  await series.save();
+
+  try {
+    const occurrences = await createOccurrences(series, schedule.dates, seatingVenue);
+    return { series, occurrences };
+  } catch (error) {
+    const created = await Event.find({ series: series._id }).distinct('_id');
+    await deleteOccurrences(created);
+    await EventSeries.deleteOne({ _id: series._id });
+    throw error;
+  }
+};
+
+// Apply ticket type edits to the series. Entries with an _id change that
+// ticket type; entries without one add a new one. Returns { updates }, the
+// edits to make to each occurrence with the tier they apply to identified by
+// its name before the change, or { error }.
+const applySeriesTicketTypeUpdates = (series, ticketTypeUpdates) => {
+  const updates = [];
+
+  for (const { _id, ...fields } of ticketTypeUpdates) {
+    if (!_id) {
+      series.ticketTypes.push(fields);
+      updates.push({ fields });
+      continue;
+    }
+
+    const tier = series.ticketTypes.id(_id);
+    if (!tier) {
+      return { error: `Ticket type ${_id} not found for this series` };
+    }
+    updates.push({ name: tier.name, fields });
+    Object.assign(tier, fields);
+  }
+
+  const names = series.ticketTypes.map((tier) => tier.name);
+  if (new Set(names).size !== names.length) {
+    return { error: 'Ticket type names must be unique within a series' };
+  }
+
+  return { updates };
+};
+
+// The updateEvent body for one occurrence, with series ticket type edits
+// pointed at the occurrence's own tiers. Returns { value } or { error }.
+const buildOccurrenceUpdate = (occurrence, fields, ticketTypeUpdates) => {
+  const value = { ...fields };
+  if (ticketTypeUpdates.length === 0) {
+    return { value };
+  }
+
+  value.ticketTypes = [];
+  for (const { name, fields: tierFields } of ticketTypeUpdates) {
+    if (!name) {
+      value.ticketTypes.push({ ...tierFields });
+      continue;
+    }
+    const tier = occurrence.ticketTypes.find((t) => t.name === name);
+    if (!tier) {
+      return { error: `This occurrence has no ${name} ticket type` };
+    }
+    value.ticketTypes.push({ _id: tier._id.toString(), ...tierFields });
+  }
+  return { value };
+};
+
+// Fit future occurrences to a new schedule. Slots are matched by day, so an
+// occurrence whose day is still scheduled is moved to the new time with
+// updateEvent semantics, keeping its bookings and notifying the customers;
+// one moved on its own keeps its offset from the slot. Occurrences whose day
+// left the schedule are deleted if nobody booked them, otherwise cancelled
+// with their bookings. Returns { moved, removed, skipped }.
+const rescheduleOccurrences = async (series, dates, updatedBy) => {
+  const now = new Date();
+  const scheduled = new Map(dates.filter((date) => date > now).map((date) => [toDayKey(date), date]));
+  const occurrences = await Event.find({
+    series: series._id,
+    occurrenceDate: { $gt: now },
+    status: { $ne: 'cancelled' },
+  });
+
+  const result = { moved: 0, removed: 0, skipped: [] };
+  for (const occurrence of occurrences) {
+    const slot = scheduled.get(toDayKey(occurrence.occurrenceDate));
+    if (slot) {
+      const shift = slot.getTime() - occurrence.occurrenceDate.getTime();
+      if (shift === 0) {
+        continue;
+      }
+      const moved = await applyEventUpdate(
+        occurrence,
+        { date: new Date(occurrence.date.getTime() + shift), occurrenceDate: slot },
+        { updatedBy }
+      );
+      if (moved.event) {
+        result.moved += 1;
+      } else {
+        result.skipped.push({ eventId: occurrence._id, date: occurrence.date, message: moved.message });
+      }
+      continue;
+    }
+
+    const hasBookings = await Booking.exists({ event: occurrence._id });
+    if (hasBookings) {
+      await cancelEvent(occurrence._id, { reason: REMOVED_OCCURRENCE_REASON, cancelledBy: updatedBy });
+    } else {
+      await deleteOccurrences([occurrence._id]);
+    }
+    result.removed += 1;
+  }
+  return result;
+};
+
+// Create occurrences for future days of the schedule that do not have one
+const createMissingOccurrences = async (series, dates) => {
+  const existing = await Event.find({ series: series._id }).distinct('occurrenceDate');
+  const taken = new Set(existing.map(toDayKey));
+  const missing = dates.filter((date) => date > new Date() && !taken.has(toDayKey(date)));
+  if (missing.length === 0) {
+    return 0;
+  }
+
+  const seatingVenue = series.seatingVenue ? await Venue.findById(series.seatingVenue) : null;
+  const created = await createOccurrences(series, missing, seatingVenue);
+  return created.length;
+};
+
+// Apply validated series edits. Detail and ticket type changes are made to
+// every future occurrence with updateEvent semantics, so booked customers are
+// notified and inventory rules still hold; occurrences the change cannot be
+// applied to are reported as skipped. A new schedule moves future occurrences
+// to their day's new time, removes those whose day it no longer includes and
+// creates the ones it adds. Returns
+// { series, occurrences } or { status, message }.
+const updateSeries = async (series, value, { updatedBy }) => {
+  if (series.status === 'cancelled') {
+    return { status: 400, message: 'Cannot update a cancelled series' };
+  }
+
+  const changesCapacity =
+    value.totalTickets !== undefined ||
+    (value.ticketTypes || []).some((update) => !update._id || update.totalTickets !== undefined);
+  if (series.seatingVenue && changesCapacity) {
+    return { status: 400, message: 'Ticket capacity of an assigned-seating series is set by its venue seat map' };
+  }
+
+  // totalTickets/ticketPrice edit the ticket type of a single-tier series
+  let ticketTypeEdits = value.ticketTypes || [];
+  if (value.totalTickets !== undefined || value.ticketPrice !== undefined) {
+    if (series.ticketTypes.length > 1) {
+      return { status: 400, message: 'This series has several ticket types. Update them through ticketTypes' };
+    }
+    ticketTypeEdits = [
+      { _id: series.ticketTypes[0]._id.toString(), totalTickets: value.totalTickets, price: value.ticketPrice },
+    ];
+  }
+  ticketTypeEdits = ticketTypeEdits.map((update) =>
+    Object.fromEntries(Object.entries(update).filter(([, fieldValue]) => fieldValue !== undefined))
+  );
+
+  // Occurrences deleted one by one stay deleted when the rule is replaced
+  const recurrence = value.recurrence && {
+    ...value.recurrence,
+    exceptions: mergeExceptions(series.recurrence.exceptions, value.recurrence.exceptions),
+  };
+
+  let dates = null;
+  if (value.startDate || recurrence) {
+    const schedule = generateOccurrenceDates(
+      value.startDate || series.startDate,
+      recurrence || series.recurrence
+    );
+    if (schedule.error) {
+      return { status: 400, message: schedule.error };
+    }
+    dates = schedule.dates;
+  }
+
+  const tiers = applySeriesTicketTypeUpdates(series, ticketTypeEdits);
+  if (tiers.error) {
+    return { status: 400, message: tiers.error };
+  }
+
+  const fields = {};
+  SERIES_EVENT_FIELDS.filter((field) => value[field] !== undefined).forEach((field) => {
+    fields[field] = value[field];
+  });
+  if (fields.venue && !fields.location) {
+    fields.location = formatVenueLocation(fields.venue);
+  }
+
+  Object.assign(series, fields);
+  if (fields.venue === null) {
+    series.venue = undefined;
+  }
+  if (value.startDate) {
+    series.startDate = value.startDate;
+  }
+  if (recurrence) {
+    series.recurrence = recurrence;
+  }
+  await series.save();
+
+  const summary = { updated: 0, moved: 0, created: 0, removed: 0, skipped: [] };
+
+  if (dates) {
+    const rescheduled = await rescheduleOccurrences(series, dates, updatedBy);
+    summary.moved = rescheduled.moved;
+    summary.removed = rescheduled.removed;
+    summary.skipped.push(...rescheduled.skipped);
+  }
+
+  if (Object.keys(fields).length > 0 || tiers.updates.length > 0) {
+    const occurrences = await Event.find({
+      series: series._id,
+      date: { $gt: new Date() },
+      status: { $ne: 'cancelled' },
+    }).sort('date');
+
+    for (const occurrence of occurrences) {
+      const update = buildOccurrenceUpdate(occurrence, fields, tiers.updates);
+      const result = update.error ? update : await applyEventUpdate(occurrence, update.value, { updatedBy });
+      if (result.event) {
+        summary.updated += 1;
+      } else {
+        summary.skipped.push({
+          eventId: occurrence._id,
+          date: occurrence.date,
+          message: result.message || result.error,
+        });
+      }
+    }
+  }
+
+  if (dates) {
+    summary.created = await createMissingOccurrences(series, dates);
+  }
+
+  return { series, occurrences: summary };
+};
+
+// Publish a series and its future draft occurrences, except those an admin
+// unpublished. Drafts cannot have been booked, so nobody needs to be notified.
+const publishSeries = async (series) => {
+  series.status = 'published';
+  await series.save();
+
+  const result = await Event.updateMany(
+    { series: series._id, status: 'draft', date: { $gt: new Date() }, moderatedAt: { $exists: false } },
+    { $set: { status: 'published' }, $inc: { sequence: 1 } }
+  );
+  return result.modifiedCount;
+};
+
+// Cancel a series and, through the booking cascade, each of its future
+// occurrences. Past occurrences are left as they are.
+const cancelSeries = async (series, { reason, cancelledBy }) => {
+  series.status = 'cancelled';
+  series.cancellationReason = reason;
+  series.cancelledAt = new Date();
+  await series.save();
+
+  const occurrences = await Event.find({
+    series: series._id,
+    date: { $gt: new Date() },
+    status: { $ne: 'cancelled' },
+  }).select('_id');
+
+  const totals = { cancelledOccurrences: 0, cancelledBookings: 0, refundsPending: 0 };
+  for (const occurrence of occurrences) {
+    const result = await cancelEvent(occurrence._id, { reason, cancelledBy });
+    if (result) {
+      totals.cancelledOccurrences += 1;
+      totals.cancelledBookings += result.cancelledBookings;
+      totals.refundsPending += result.refundsPending;
+    }
+  }
+  return totals;
+};
+
+// Delete a series that nobody has booked, with its occurrences. Returns false
+// if any occurrence has bookings.
+const deleteSeries = async (series) => {
+  const eventIds = await Event.find({ series: series._id }).distinct('_id');
+  const hasBookings = await Booking.exists({ event: { $in: eventIds } });
+  if (hasBookings) {
+    return false;
+  }
+
+  await deleteOccurrences(eventIds);
+  await EventSeries.deleteOne({ _id: series._id });
+  return true;
+};
+
+module.exports = {
+  createSeries,
+  updateSeries,
+  publishSeries,
+  cancelSeries,
+  deleteSeries,
+};
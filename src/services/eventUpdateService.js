@@ -0,0 +1,170 @@
+const { jobQueue } = require('./jobQueueService');
+const { cancelEvent } = require('./eventCancellationService');
+const { ensureTicketTypes, applyTicketTypeUpdates } = require('./ticketTypeService');
+const { queueWaitlistPromotion } = require('./waitlistService');
+
+// Fields that customers holding bookings are notified about when they change;
+// ticket price changes are tracked per ticket type
+const NOTIFIABLE_FIELDS = ['date', 'location', 'status'];
+
+// Fields shown in calendar entries; changing one raises the event's SEQUENCE
+const CALENDAR_FIELDS = ['title', 'description', 'date', 'location', 'venue', 'status'];
+
+// A short free-text location for events given only a venue
+const formatVenueLocation = (venue) => `${venue.name}, ${venue.address.city}`;
+
+const isSameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  return a === b;
+};
+
+// Field-level diff between the stored event and the incoming updates
+const getEventChanges = (event, updates) => {
+  return NOTIFIABLE_FIELDS.filter(
+    (field) => updates[field] !== undefined && !isSameValue(event[field], updates[field])
+  ).map((field) => ({ field, from: event[field], to: updates[field] }));
+};
+
+// Whether the updates change the event's calendar entry. A venue that is
+// given counts as a change.
+const changesCalendarEntry = (event, updates) => {
+  return CALENDAR_FIELDS.some(
+    (field) => updates[field] !== undefined && (field === 'venue' || !isSameValue(event[field], updates[field]))
+  );
+};
+
+// Price changes in a set of ticket type edits
+const getTicketPriceChanges = (event, ticketTypeUpdates) => {
+  return ticketTypeUpdates
+    .filter((update) => update._id && update.price !== undefined)
+    .map((update) => ({ update, tier: event.ticketTypes.id(update._id) }))
+    .filter(({ update, tier }) => tier && tier.price !== update.price)
+    .map(({ update, tier }) => ({ field: 'ticketPrice', ticketType: tier.name, from: tier.price, to: update.price }));
+};
+
+// Queue an update notification for booked customers. Cancellations are
+// announced by the cancellation cascade instead.
+const notifyEventChanges = async (event, changes, organizerId) => {
+  if (changes.length === 0) {
+    return;
+  }
+
+  await jobQueue.addJob('event-notification', {
+    eventId: event._id,
+    organizerId,
+    type: 'update',
+    changes,
+  });
+};
+
+// Apply validated event updates: inventory edits, waitlist promotion for added
+// capacity, the cancellation cascade and change notifications. Used by
+// updateEvent and by series edits for each of their occurrences. Returns
+// { event, cancellation } or { status, message }.
+const applyEventUpdate = async (storedEvent, value, { updatedBy }) => {
+  // Its bookings were cancelled and refunded, so the event cannot be reopened
+  if (storedEvent.status === 'cancelled' && value.status && value.status !== 'cancelled') {
+    return { status: 409, message: 'Cancelled events cannot be reopened' };
+  }
+  if (storedEvent.moderatedAt && value.status === 'published') {
+    return {
+      status: 403,
+      message: 'This event was unpublished by an admin and cannot be published until it is reinstated',
+    };
+  }
+
+  let event = await ensureTicketTypes(storedEvent);
+
+  // Seated capacity follows the seat map; only prices, names and sale
+  // windows can change
+  const changesCapacity =
+    value.totalTickets !== undefined ||
+    (value.ticketTypes || []).some((update) => !update._id || update.totalTickets !== undefined);
+  if (event.seatingVenue && changesCapacity) {
+    return { status: 400, message: 'Ticket capacity of an assigned-seating event is set by its venue seat map' };
+  }
+
+  // totalTickets/ticketPrice edit the ticket type of a single-tier event
+  let ticketTypeUpdates = value.ticketTypes;
+  if (value.totalTickets !== undefined || value.ticketPrice !== undefined) {
+    if (event.ticketTypes.length > 1) {
+      return { status: 400, message: 'This event has several ticket types. Update them through ticketTypes' };
+    }
+    ticketTypeUpdates = [
+      { _id: event.ticketTypes[0]._id.toString(), totalTickets: value.totalTickets, price: value.ticketPrice },
+    ];
+  }
+  delete value.ticketTypes;
+  delete value.totalTickets;
+  delete value.ticketPrice;
+
+  // A new venue also moves the free-text location unless one is given
+  if (value.venue && !value.location) {
+    value.location = formatVenueLocation(value.venue);
+  }
+
+  const changes = [
+    ...getEventChanges(event, value),
+    ...(ticketTypeUpdates ? getTicketPriceChanges(event, ticketTypeUpdates) : []),
+  ];
+
+  // Cancelling goes through the booking cascade after the other fields are saved
+  const cancelling = value.status === 'cancelled' && event.status !== 'cancelled';
+  if (cancelling) {
+    delete value.status;
+  }
+
+  // The cancellation cascade raises the SEQUENCE itself
+  const calendarChanged = changesCalendarEntry(event, value);
+
+  // Inventory changes are applied with atomic updates of their own
+  if (ticketTypeUpdates) {
+    const result = await applyTicketTypeUpdates(
+      event,
+      ticketTypeUpdates.map((update) =>
+        Object.fromEntries(Object.entries(update).filter(([, fieldValue]) => fieldValue !== undefined))
+      )
+    );
+    if (result.error) {
+      return { status: 400, message: result.error };
+    }
+
+    // Added capacity goes to the waitlist first
+    if (result.event.availableTickets > event.availableTickets) {
+      await queueWaitlistPromotion(event._id);
+    }
+    event = result.event;
+  }
+
+  if (value.venue === null) {
+    delete value.venue;
+    event.venue = undefined;
+  }
+
+  Object.assign(event, value);
+  if (calendarChanged) {
+    event.sequence += 1;
+  }
+  await event.save();
+
+  if (cancelling) {
+    const cancellation = await cancelEvent(event._id, { cancelledBy: updatedBy });
+    return {
+      event: cancellation ? cancellation.event : event,
+      cancellation: cancellation || { cancelledBookings: 0, refundsPending: 0 },
+    };
+  }
+
+  await notifyEventChanges(event, changes, updatedBy);
+
+  return { event, cancellation: null };
+};
+
+module.exports = {
+  formatVenueLocation,
+  getEventChanges,
+  notifyEventChanges,
+  applyEventUpdate,
+};
@@ -0,0 +1,64 @@
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { jobQueue } = require('./jobQueueService');
+
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+const SWEEP_BATCH_SIZE = 500;
+
+const getSweepIntervalMs = () => {
+  return Number(process.env.EXPIRY_SWEEP_INTERVAL_MS) || DEFAULT_SWEEP_INTERVAL_MS;
+};
+
+// Queue expiry jobs for holds and waitlist offers whose deadline has passed.
+// The delayed expiry jobs normally handle these, but they are lost when the
+// in-memory queue restarts or Redis drops them, and the tickets would stay
+// reserved. The processors only act on records that are still pending or
+// offered, so a job for something already handled does nothing.
+const sweepExpiredReservations = async () => {
+  const now = new Date();
+
+  const holds = await Booking.find({ status: 'pending', expiresAt: { $lte: now } })
+    .select('_id')
+    .limit(SWEEP_BATCH_SIZE);
+  for (const hold of holds) {
+    await jobQueue.addJob('booking-expiry', { bookingId: hold._id }, { jobId: `booking-expiry-sweep-${hold._id}` });
+  }
+
+  const offers = await WaitlistEntry.find({ status: 'offered', offerExpiresAt: { $lte: now } })
+    .select('_id')
+    .limit(SWEEP_BATCH_SIZE);
+  for (const offer of offers) {
+    await jobQueue.addJob(
+      'waitlist-offer-expiry',
+      { entryId: offer._id },
+      { jobId: `waitlist-offer-expiry-sweep-${offer._id}` }
+    );
+  }
+
+  return { holds: holds.length, offers: offers.length };
+};
+
+const runSweep = async () => {
+  try {
+    const { holds, offers } = await sweepExpiredReservations();
+    if (holds || offers) {
+      console.log(`[EXPIRY SWEEP] queued ${holds} expired holds and ${offers} expired waitlist offers`);
+    }
+  } catch (error) {
+    console.error('Error sweeping expired reservations:', error.message);
+  }
+};
+
+// Sweep once now, then on an interval for as long as the process runs
+const startExpirySweep = async () => {
+  await runSweep();
+  const timer = setInterval(runSweep, getSweepIntervalMs());
+  // The sweep should not keep the process alive on shutdown
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  sweepExpiredReservations,
+  startExpirySweep,
+};
@@ -0,0 +1,212 @@
+const { defaultJobOptions } = require('../config/redis');
+
+// Local stand-in for BullMQ used while Redis is unavailable. Jobs run in this
+// process with the same options BullMQ understands: delay, attempts, backoff
+// and jobId (duplicate ids are ignored). Jobs that exhaust their attempts stay
+// in the `failed` state, mirroring the worker's dead-letter handling.
+
+const MAX_COMPLETED_JOBS = 100;
+const MAX_TIMER_DELAY = 2147483647;
+
+const queues = {};
+let nextJobId = 1;
+
+const registerQueue = (queueName, processor, { concurrency = 1 } = {}) => {
+  queues[queueName] = {
+    name: queueName,
+    processor,
+    concurrency,
+    active: 0,
+    jobs: [],
+  };
+};
+
+const getQueue = (queueName) => {
+  const queue = queues[queueName];
+  if (!queue) {
+    throw new Error(`No in-memory queue registered for ${queueName}`);
+  }
+  return queue;
+};
+
+const getBackoffDelay = (backoff, attemptsMade) => {
+  if (!backoff) {
+    return 0;
+  }
+  if (typeof backoff === 'number') {
+    return backoff;
+  }
+  if (backoff.type === 'exponential') {
+    return backoff.delay * Math.pow(2, attemptsMade - 1);
+  }
+  return backoff.delay || 0;
+};
+
+const drain = (queue) => {
+  while (queue.active < queue.concurrency) {
+    const job = queue.jobs.find((j) => j.state === 'waiting');
+    if (!job) {
+      return;
+    }
+    runJob(queue, job);
+  }
+};
+
+const startDelayTimer = (queue, job) => {
+  const remaining = job.processAt - Date.now();
+  // setTimeout fires immediately for delays that overflow a 32-bit int, so
+  // long delays (e.g. event reminders) wait in steps
+  job.timer = setTimeout(() => {
+    job.timer = null;
+    if (job.processAt > Date.now()) {
+      startDelayTimer(queue, job);
+      return;
+    }
+    job.state = 'waiting';
+    drain(queue);
+  }, Math.min(Math.max(remaining, 0), MAX_TIMER_DELAY));
+  // Pending delayed jobs should not keep the process alive on shutdown
+  job.timer.unref();
+};
+
+const schedule = (queue, job, delay) => {
+  if (delay > 0) {
+    job.state = 'delayed';
+    job.processAt = Date.now() + delay;
+    startDelayTimer(queue, job);
+  } else {
+    job.state = 'waiting';
+    job.processAt = Date.now();
+    setImmediate(() => drain(queue));
+  }
+};
+
+const pruneCompleted = (queue) => {
+  const completed = queue.jobs.filter((j) => j.state === 'completed');
+  const excess = completed.length - MAX_COMPLETED_JOBS;
+  if (excess > 0) {
+    const toRemove = new Set(completed.slice(0, excess));
+    queue.jobs = queue.jobs.filter((j) => !toRemove.has(j));
+  }
+};
+
+const runJob = async (queue, job) => {
+  job.state = 'active';
+  queue.active += 1;
+
+  try {
+    job.returnvalue = await queue.processor(job);
+    job.attemptsMade += 1;
+    job.state = 'completed';
+    job.finishedOn = Date.now();
+    console.log(`[IN-MEMORY JOB COMPLETED] ${queue.name} job ${job.id}`);
+  } catch (error) {
+    job.attemptsMade += 1;
+    job.failedReason = error.message;
+
+    if (job.attemptsMade < job.opts.attempts) {
+      const delay = getBackoffDelay(job.opts.backoff, job.attemptsMade);
+      console.log(`[IN-MEMORY JOB RETRY] ${queue.name} job ${job.id} (attempt ${job.attemptsMade}/${job.opts.attempts}) in ${delay}ms: ${error.message}`);
+      schedule(queue, job, delay);
+    } else {
+      job.state = 'failed';
+      job.finishedOn = Date.now();
+      console.error(`[IN-MEMORY JOB FAILED] ${queue.name} job ${job.id} exhausted ${job.opts.attempts} attempts: ${error.message}`);
+    }
+  } finally {
+    queue.active -= 1;
+    pruneCompleted(queue);
+    drain(queue);
+  }
+};
+
+const addJob = (queueName, name, data, options = {}) => {
+  const queue = getQueue(queueName);
+  const opts = { ...defaultJobOptions, ...options };
+
+  if (opts.jobId) {
+    const existing = queue.jobs.find((j) => j.id === opts.jobId);
+    if (existing) {
+      return existing;
+    }
+  }
+
+  const job = {
+    id: opts.jobId || String(nextJobId++),
+    name,
+    data,
+    opts,
+    attemptsMade: 0,
+    timestamp: Date.now(),
+    state: 'waiting',
+  };
+
+  queue.jobs.push(job);
+  schedule(queue, job, opts.delay || 0);
+  console.log(`[IN-MEMORY JOB ADDED] ${queueName} job ${job.id}`);
+  return job;
+};
+
+// Remove every job that has not started yet and return it with its remaining
+// delay, so the caller can re-enqueue it elsewhere. Active jobs finish here.
+const takePendingJobs = () => {
+  const pending = [];
+
+  Object.values(queues).forEach((queue) => {
+    queue.jobs = queue.jobs.filter((job) => {
+      if (job.state !== 'waiting' && job.state !== 'delayed') {
+        return true;
+      }
+
+      if (job.timer) {
+        clearTimeout(job.timer);
+        job.timer = null;
+      }
+
+      pending.push({
+        queueName: queue.name,
+        name: job.name,
+        data: job.data,
+        opts: {
+          ...job.opts,
+          delay: Math.max(0, (job.processAt || 0) - Date.now()),
+        },
+      });
+      return false;
+    });
+  });
+
+  return pending;
+};
+
+const getJobs = (queueName, state) => {
+  const queue = queues[queueName];
+  if (!queue) {
+    return [];
+  }
+  return queue.jobs
+    .filter((job) => !state || job.state === state)
+    .map(({ timer, ...job }) => job);
+};
+
+const getStatus = () => {
+  const status = {};
+
+  Object.values(queues).forEach((queue) => {
+    const counts = { waiting: 0, delayed: 0, active: 0, completed: 0, failed: 0 };
+    queue.jobs.forEach((job) => {
+      counts[job.state] += 1;
+    });
+    status[queue.name] = counts;
+  });
+
+  return status;
+};
+
+module.exports = {
+  registerQueue,
+  addJob,
+  takePendingJobs,
+  getJobs,
+  getStatus,
+};
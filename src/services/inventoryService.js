@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const { releaseSeats } = require('./seatService');
+
+// Sum of the quantities across booking lines
+const totalQuantity = (lines) => lines.reduce((sum, line) => sum + line.quantity, 0);
+
+// Lines to release for a booking. Bookings made before ticket types existed
+// have no items; their tickets go back to the event's first (default) tier.
+const getBookingLines = (booking) => {
+  if (booking.items && booking.items.length > 0) {
+    return booking.items;
+  }
+  return [{ ticketType: null, quantity: booking.quantity }];
+};
+
+// Builds the $inc for a set of booking lines, with one array filter per tier
+const buildTierIncrement = (lines, sign) => {
+  const inc = { availableTickets: sign * totalQuantity(lines) };
+  const arrayFilters = [];
+
+  lines.forEach((line, index) => {
+    if (line.ticketType) {
+      inc[`ticketTypes.$[t${index}].availableTickets`] = sign * line.quantity;
+      arrayFilters.push({ [`t${index}._id`]: line.ticketType });
+    } else {
+      inc['ticketTypes.0.availableTickets'] = sign * line.quantity;
+    }
+  });
+
+  return { inc, options: arrayFilters.length > 0 ? { new: true, arrayFilters } : { new: true } };
+};
+
+// Atomically take tickets from a published event, one { ticketType, quantity }
+// line per tier. Every tier's availability check and decrement happen in a
+// single conditional update, so concurrent requests can never oversell a tier
+// and a multi-tier booking either gets all of its tickets or none.
+const reserveTickets = async (eventId, lines) => {
+  const { inc, options } = buildTierIncrement(lines, -1);
+
+  return Event.findOneAndUpdate(
+    {
+      _id: eventId,
+      status: 'published',
+      $and: lines.map((line) => ({
+        ticketTypes: { $elemMatch: { _id: line.ticketType, availableTickets: { $gte: line.quantity } } },
+      })),
+    },
+    { $inc: inc },
+    options
+  );
+};
+
+// Each tier's availability after a release, capped at the tier's capacity.
+// Update pipelines are not cast by mongoose, so the ids are cast here.
+const buildTierRelease = (lines) => {
+  const released = lines.map((line) => {
+    const matchesTier = line.ticketType
+      ? { $eq: ['$$tier._id', new mongoose.Types.ObjectId(String(line.ticketType))] }
+      : { $eq: ['$$index', 0] };
+    return { $cond: [matchesTier, line.quantity, 0] };
+  });
+
+  return {
+    $map: {
+      input: { $range: [0, { $size: '$ticketTypes' }] },
+      as: 'index',
+      in: {
+        $let: {
+          vars: { tier: { $arrayElemAt: ['$ticketTypes', '$$index'] } },
+          in: {
+            $mergeObjects: [
+              '$$tier',
+              {
+                availableTickets: {
+                  $min: ['$$tier.totalTickets', { $add: ['$$tier.availableTickets', ...released] }],
+                },
+              },
+            ],
+          },
+        },
+      },
+    },
+  };
+};
+
+const capEventAvailability = (quantity) => ({
+  $min: ['$totalTickets', { $add: ['$availableTickets', quantity] }],
+});
+
+// Return a booking's tickets (and seats) to their tiers. Availability is
+// capped at capacity, so a release that runs twice (e.g. a hold expiring
+// while it is cancelled, or a retried job) cannot oversell the event.
+const releaseTickets = async (eventId, lines) => {
+  const seatIds = lines.flatMap((line) => line.seats || []);
+  if (seatIds.length > 0) {
+    await releaseSeats(eventId, seatIds);
+  }
+
+  const quantity = totalQuantity(lines);
+  const event = await Event.findOneAndUpdate(
+    { _id: eventId, 'ticketTypes.0': { $exists: true } },
+    [{ $set: { availableTickets: capEventAvailability(quantity), ticketTypes: buildTierRelease(lines) } }],
+    { new: true }
+  );
+
+  // An event that has not been given ticket types yet only has the totals
+  if (!event) {
+    return Event.findOneAndUpdate(
+      { _id: eventId },
+      [{ $set: { availableTickets: capEventAvailability(quantity) } }],
+      { new: true }
+    );
+  }
+  return event;
+};
+
+module.exports = {
+  getBookingLines,
+  reserveTickets,
+  releaseTickets,
+};
@@ -1,70 +1,137 @@
 const { Queue } = require('bullmq');
-const Redis = require('ioredis');
+const { QUEUE_NAMES, defaultJobOptions, createRedisConnection } = require('../config/redis');
+const inMemoryQueue = require('./inMemoryQueue');
+
+// Job type -> BullMQ job name and the processor that handles it
+const jobDefinitions = {
+  [QUEUE_NAMES.BOOKING_CONFIRMATION]: { jobName: 'send-confirmation', processor: 'processBookingConfirmation' },
+  [QUEUE_NAMES.EVENT_NOTIFICATION]: { jobName: 'send-notification', processor: 'processEventNotification' },
+  [QUEUE_NAMES.BOOKING_EXPIRY]: { jobName: 'expire-hold', processor: 'processBookingExpiry' },
+  [QUEUE_NAMES.EVENT_REMINDER]: { jobName: 'send-reminder', processor: 'processEventReminder' },
+  [QUEUE_NAMES.PAYMENT_REFUND]: { jobName: 'refund-payment', processor: 'processPaymentRefund' },
+  [QUEUE_NAMES.WAITLIST_PROMOTION]: { jobName: 'promote-waitlist', processor: 'processWaitlistPromotion' },
+  [QUEUE_NAMES.WAITLIST_OFFER]: { jobName: 'send-offer', processor: 'processWaitlistOffer' },
+  [QUEUE_NAMES.WAITLIST_OFFER_EXPIRY]: { jobName: 'expire-offer', processor: 'processWaitlistOfferExpiry' },
+  [QUEUE_NAMES.ACCOUNT_EMAIL]: { jobName: 'send-account-email', processor: 'processAccountEmail' },
+  [QUEUE_NAMES.TEAM_INVITE]: { jobName: 'send-team-invite', processor: 'processTeamInvite' },
+};
 
 let redis = null;
-let bookingQueue = null;
-let eventQueue = null;
+let redisReady = false;
+let redisReadyPromise = null;
+const queues = {};
+
+// Without Redis, jobs run in this process through the in-memory queue. The
+// processors are required lazily because they use services that enqueue jobs.
+Object.entries(jobDefinitions).forEach(([jobType, { processor }]) => {
+  inMemoryQueue.registerQueue(jobType, (job) => require('../jobs/jobProcessors')[processor](job));
+});
+
+// Move jobs that were queued in memory while Redis was down over to BullMQ
+const handOffToRedis = async () => {
+  const pendingJobs = inMemoryQueue.takePendingJobs();
+  if (pendingJobs.length === 0) {
+    return;
+  }
+
+  console.log(`Handing off ${pendingJobs.length} in-memory job(s) to Redis`);
+  for (const { queueName, name, data, opts } of pendingJobs) {
+    try {
+      await queues[queueName].add(name, data, opts);
+    } catch (error) {
+      console.error(`Error handing off ${queueName} job, keeping it in memory:`, error.message);
+      inMemoryQueue.addJob(queueName, name, data, opts);
+    }
+  }
+};
 
 const initJobQueues = async () => {
   try {
     // For development, we'll use an in-memory simulation if Redis is not available
-    redis = new Redis({
-      host: process.env.REDIS_HOST || 'localhost',
-      port: process.env.REDIS_PORT || 6379,
-      maxRetriesPerRequest: null,
-      enableReadyCheck: false,
+    redis = createRedisConnection();
+    let resolveReady;
+    redisReadyPromise = new Promise((resolve) => {
+      resolveReady = resolve;
+    });
+
+    redis.on('ready', async () => {
+      redisReady = true;
+      resolveReady();
+      console.log('✓ Redis connected, using BullMQ job queues');
+      await handOffToRedis();
     });
 
     redis.on('error', (err) => {
-      console.log('Redis connection error, using in-memory job queue:', err.message);
-      redis = null;
+      if (redisReady) {
+        console.log('Redis connection error, using in-memory job queue:', err.message);
+      }
+      redisReady = false;
     });
 
-    if (redis) {
-      bookingQueue = new Queue('booking-confirmation', { connection: redis });
-      eventQueue = new Queue('event-notification', { connection: redis });
-    }
+    redis.on('close', () => {
+      redisReady = false;
+    });
 
-    return { bookingQueue, eventQueue };
+    const queueOptions = { connection: redis, defaultJobOptions };
+    Object.keys(jobDefinitions).forEach((jobType) => {
+      queues[jobType] = new Queue(jobType, queueOptions);
+      // Connection errors are already reported by the Redis listener above
+      queues[jobType].on('error', () => {});
+    });
+
+    return queues;
   } catch (error) {
     console.log('Error initializing job queues:', error.message);
     // Fallback to in-memory queues
-    return { bookingQueue, eventQueue };
+    return queues;
   }
 };
 
-// In-memory job storage for when Redis is unavailable
-const inMemoryJobs = {
-  'booking-confirmation': [],
-  'event-notification': [],
+// Resolves once jobs are being added to Redis. The worker waits for this, so
+// jobs its processors queue (refunds, offers, offer expiries) are persisted
+// and retried like any other instead of staying in the worker's memory.
+const waitForRedis = async () => {
+  if (!redisReadyPromise) {
+    throw new Error('Job queues have not been initialized');
+  }
+  await redisReadyPromise;
 };
 
-const addJob = async (jobType, jobData) => {
+// `options` are passed through to BullMQ (e.g. { delay } in milliseconds, or a
+// { jobId } so the same job is never queued twice)
+const addJob = async (jobType, jobData, options = {}) => {
+  const definition = jobDefinitions[jobType];
+  if (!definition) {
+    throw new Error(`Unknown job type: ${jobType}`);
+  }
+
   try {
-    if (jobType === 'booking-confirmation' && bookingQueue) {
-      await bookingQueue.add('send-confirmation', jobData);
-    } else if (jobType === 'event-notification' && eventQueue) {
-      await eventQueue.add('send-notification', jobData);
-    } else {
-      // Fallback to in-memory storage
-      inMemoryJobs[jobType] = inMemoryJobs[jobType] || [];
-      inMemoryJobs[jobType].push(jobData);
-      console.log(`[IN-MEMORY JOB ADDED] ${jobType}:`, jobData);
+    if (redisReady && queues[jobType]) {
+      await queues[jobType].add(definition.jobName, jobData, options);
+      return;
     }
   } catch (error) {
-    console.error('Error adding job:', error);
-    // Fallback to in-memory
-    inMemoryJobs[jobType] = inMemoryJobs[jobType] || [];
-    inMemoryJobs[jobType].push(jobData);
+    console.error('Error adding job, falling back to in-memory queue:', error.message);
   }
+
+  inMemoryQueue.addJob(jobType, definition.jobName, jobData, options);
+};
+
+const getInMemoryJobs = (jobType, state) => {
+  return inMemoryQueue.getJobs(jobType, state);
 };
 
-const getInMemoryJobs = (jobType) => {
-  return inMemoryJobs[jobType] || [];
+const getQueueStatus = () => {
+  return {
+    backend: redisReady ? 'redis' : 'in-memory',
+    inMemory: inMemoryQueue.getStatus(),
+  };
 };
 
 module.exports = {
   initJobQueues,
+  waitForRedis,
   jobQueue: { addJob },
   getInMemoryJobs,
+  getQueueStatus,
 };
@@ -0,0 +1,82 @@
+const Event = require('../models/Event');
+const User = require('../models/User');
+
+// Platform moderation. Each function returns what was changed, including the
+// previous state for the audit trail, or { status, message }.
+
+// Suspend (optionally until a date), ban or reinstate an account. Admin
+// accounts cannot be restricted.
+const setAccountStatus = async (userId, { status, suspendedUntil }) => {
+  const user = await User.findById(userId).select('role status deletedAt');
+  if (!user || user.deletedAt) {
+    return { status: 404, message: 'User not found' };
+  }
+  if (user.role === 'admin' && status !== 'active') {
+    return { status: 400, message: 'Admin accounts cannot be suspended or banned' };
+  }
+
+  const update = suspendedUntil ? { status, suspendedUntil } : { status, $unset: { suspendedUntil: 1 } };
+  const updatedUser = await User.findByIdAndUpdate(userId, update, { new: true });
+  return { user: updatedUser, previousStatus: user.status };
+};
+
+// Approve or reject an organizer. An approval can be withdrawn by rejecting
+// it later; the organizer's existing events are left as they are.
+const reviewOrganizer = async (userId, organizerStatus) => {
+  const user = await User.findOne({ _id: userId, role: 'organizer', deletedAt: { $exists: false } }).select(
+    'organizerStatus'
+  );
+  if (!user) {
+    return { status: 404, message: 'Organizer not found' };
+  }
+  if (user.organizerStatus === organizerStatus) {
+    return { status: 400, message: `Organizer is already ${organizerStatus}` };
+  }
+
+  const updatedUser = await User.findByIdAndUpdate(userId, { organizerStatus }, { new: true });
+  return { user: updatedUser, previousStatus: user.organizerStatus };
+};
+
+// Take a published event out of listings by returning it to draft. Its
+// bookings stay as they are. The organizer cannot publish it again until it
+// is reinstated.
+const unpublishEvent = async (eventId, reason) => {
+  const event = await Event.findOneAndUpdate(
+    { _id: eventId, status: 'published' },
+    { status: 'draft', moderatedAt: new Date(), moderationReason: reason, $inc: { sequence: 1 } },
+    { new: true }
+  );
+  if (event) {
+    return { event };
+  }
+
+  const exists = await Event.exists({ _id: eventId });
+  return exists
+    ? { status: 400, message: 'Only published events can be unpublished' }
+    : { status: 404, message: 'Event not found' };
+};
+
+// Let the organizer publish an unpublished event again. It stays a draft
+// until they do.
+const reinstateEvent = async (eventId) => {
+  const event = await Event.findOneAndUpdate(
+    { _id: eventId, moderatedAt: { $exists: true } },
+    { $unset: { moderatedAt: 1, moderationReason: 1 } },
+    { new: true }
+  );
+  if (event) {
+    return { event };
+  }
+
+  const exists = await Event.exists({ _id: eventId });
+  return exists
+    ? { status: 400, message: 'Event has not been unpublished by an admin' }
+    : { status: 404, message: 'Event not found' };
+};
+
+module.exports = {
+  setAccountStatus,
+  reviewOrganizer,
+  unpublishEvent,
+  reinstateEvent,
+};
@@ -0,0 +1,55 @@
+const Notification = require('../models/Notification');
+const { renderTemplate } = require('../notifications/templates');
+const { getTransport } = require('../notifications/transports');
+
+// Render a templated message, deliver it through the configured transport and
+// record the attempt. Rethrows delivery errors so the calling job can retry;
+// with a dedupeKey, a message that was already sent is skipped. Attachments are
+// [{ filename, contentType, content: Buffer }]. Deleted accounts are not sent anything.
+const sendNotification = async ({ type, recipient, data, booking, event, dedupeKey, attachments = [] }) => {
+  if (recipient.deletedAt) {
+    return null;
+  }
+
+  if (dedupeKey) {
+    const alreadySent = await Notification.exists({ dedupeKey, status: 'sent' });
+    if (alreadySent) {
+      return null;
+    }
+  }
+
+  const transport = getTransport();
+  const { subject, text, html } = renderTemplate(type, data);
+
+  const notification = await Notification.create({
+    recipient: recipient._id,
+    to: recipient.email,
+    type,
+    channel: transport.name,
+    subject,
+    booking,
+    event,
+    dedupeKey,
+    attachments: attachments.map(({ filename, contentType }) => ({ filename, contentType })),
+  });
+
+  try {
+    const { messageId } = await transport.send({ to: recipient.email, subject, text, html, type, attachments });
+
+    notification.status = 'sent';
+    notification.providerMessageId = messageId;
+    notification.sentAt = new Date();
+    await notification.save();
+
+    return notification;
+  } catch (error) {
+    notification.status = 'failed';
+    notification.error = error.message;
+    await notification.save();
+    throw error;
+  }
+};
+
+module.exports = {
+  sendNotification,
+};
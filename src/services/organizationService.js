@@ -0,0 +1,160 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const { jobQueue } = require('./jobQueueService');
+
+// Every organizer account has a team, with the organizer as its owner
+const createOrganization = (owner) => {
+  return Organization.create({
+    name: owner.name,
+    owner: owner._id,
+    members: [{ user: owner._id, role: 'owner' }],
+  });
+};
+
+// The teams the user is on, with their role on each
+const getUserOrganizations = async (userId) => {
+  const organizations = await Organization.find({ 'members.user': userId })
+    .select('name owner members')
+    .populate('owner', 'name email')
+    .sort('name');
+
+  return organizations.map((organization) => ({
+    id: organization._id,
+    name: organization.name,
+    organizer: organization.owner,
+    role: organization.members.find((member) => member.user.equals(userId)).role,
+  }));
+};
+
+// Invites waiting for the user to accept or decline
+const getUserInvites = async (userId) => {
+  const organizations = await Organization.find({ 'invites.user': userId })
+    .select('name owner invites')
+    .populate('owner', 'name email')
+    .populate('invites.invitedBy', 'name email');
+
+  return organizations.flatMap((organization) =>
+    organization.invites
+      .filter((invite) => invite.user.equals(userId))
+      .map((invite) => ({
+        id: invite._id,
+        organization: { id: organization._id, name: organization.name, organizer: organization.owner },
+        role: invite.role,
+        invitedBy: invite.invitedBy,
+        createdAt: invite.createdAt,
+      }))
+  );
+};
+
+// Invite an existing account to the team by its email address. The
+// conditional update keeps one invite per user, and none for members.
+// Returns { invite } or { status, message }.
+const inviteMember = async (organization, { email, role }, invitedBy) => {
+  const user = await User.findOne({ email: email.toLowerCase(), deletedAt: { $exists: false } }).select('_id');
+  if (!user) {
+    return { status: 404, message: 'No account with this email address. Ask them to sign up first' };
+  }
+
+  const updated = await Organization.findOneAndUpdate(
+    { _id: organization._id, 'members.user': { $ne: user._id }, 'invites.user': { $ne: user._id } },
+    { $push: { invites: { user: user._id, role, invitedBy } } },
+    { new: true }
+  );
+  if (!updated) {
+    return { status: 409, message: 'This user is already on the team or has been invited' };
+  }
+
+  const invite = updated.invites.find((entry) => entry.user.equals(user._id));
+  await jobQueue.addJob('team-invite', { organizationId: updated._id, inviteId: invite._id });
+  return { invite };
+};
+
+// Withdraw an invite before it is answered. Returns false if there is none.
+const revokeInvite = async (organization, inviteId) => {
+  const result = await Organization.updateOne(
+    { _id: organization._id, 'invites._id': inviteId },
+    { $pull: { invites: { _id: inviteId } } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Join the team with the role the user was invited with. Returns the
+// organization, or null if the invite is not the user's or no longer open.
+const acceptInvite = async (inviteId, userId) => {
+  const organization = await Organization.findOne({ invites: { $elemMatch: { _id: inviteId, user: userId } } });
+  if (!organization) {
+    return null;
+  }
+
+  const invite = organization.invites.id(inviteId);
+  return Organization.findOneAndUpdate(
+    { _id: organization._id, invites: { $elemMatch: { _id: inviteId, user: userId } } },
+    {
+      $pull: { invites: { _id: inviteId } },
+      $push: { members: { user: userId, role: invite.role } },
+    },
+    { new: true }
+  );
+};
+
+// Returns false if the invite is not the user's or no longer open
+const declineInvite = async (inviteId, userId) => {
+  const result = await Organization.updateOne(
+    { invites: { $elemMatch: { _id: inviteId, user: userId } } },
+    { $pull: { invites: { _id: inviteId } } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// The owner's role cannot be changed, nor the owner removed, since the
+// organizer account is theirs. Both return { status, message } on failure.
+const changeMemberRole = async (organization, userId, role) => {
+  const member = organization.members.find((entry) => entry.user.equals(userId));
+  if (!member) {
+    return { status: 404, message: 'Member not found' };
+  }
+  if (member.role === 'owner') {
+    return { status: 400, message: "The owner's role cannot be changed" };
+  }
+
+  await Organization.updateOne(
+    { _id: organization._id, 'members.user': userId },
+    { $set: { 'members.$.role': role } }
+  );
+  return null;
+};
+
+const removeMember = async (organization, userId) => {
+  const member = organization.members.find((entry) => entry.user.equals(userId));
+  if (!member) {
+    return { status: 404, message: 'Member not found' };
+  }
+  if (member.role === 'owner') {
+    return { status: 400, message: 'The owner cannot be removed from the team' };
+  }
+
+  await Organization.updateOne({ _id: organization._id }, { $pull: { members: { user: userId } } });
+  return null;
+};
+
+// For a deleted account: its own team is disbanded, and it leaves the others
+const removeUserFromOrganizations = async (userId) => {
+  await Organization.deleteOne({ owner: userId });
+  await Organization.updateMany(
+    { $or: [{ 'members.user': userId }, { 'invites.user': userId }] },
+    { $pull: { members: { user: userId }, invites: { user: userId } } }
+  );
+};
+
+module.exports = {
+  createOrganization,
+  getUserOrganizations,
+  getUserInvites,
+  inviteMember,
+  revokeInvite,
+  acceptInvite,
+  declineInvite,
+  changeMemberRole,
+  removeMember,
+  removeUserFromOrganizations,
+};
@@ -0,0 +1,169 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const { getPaymentProvider } = require('../payments/providers');
+const { confirmHold, failHold } = require('./bookingHoldService');
+
+const getCurrency = () => (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase();
+
+// Start a payment for a pending booking and link it to the booking. The
+// returned clientSecret is handed to the front end to authorize the payment.
+const createPaymentForBooking = async (booking) => {
+  const provider = getPaymentProvider();
+  const currency = getCurrency();
+
+  const intent = await provider.createPaymentIntent({
+    amount: booking.totalPrice,
+    currency,
+    metadata: {
+      bookingId: booking._id.toString(),
+      bookingReference: booking.bookingReference,
+    },
+    idempotencyKey: `payment-${booking._id}`,
+  });
+
+  const payment = await Payment.create({
+    booking: booking._id,
+    customer: booking.customer,
+    provider: provider.name,
+    providerPaymentId: intent.id,
+    amount: booking.totalPrice,
+    currency,
+  });
+
+  await Booking.updateOne({ _id: booking._id }, { payment: payment._id });
+
+  return { payment, clientSecret: intent.clientSecret };
+};
+
+// Refund the full amount of a payment whose booking could not be confirmed
+// (e.g. the hold expired while the customer was paying)
+const refundUnconfirmedPayment = async (payment) => {
+  const provider = getPaymentProvider();
+  const refund = await provider.refundPayment(payment.providerPaymentId, {
+    amount: payment.amount,
+    idempotencyKey: `refund-unconfirmed-${payment._id}`,
+  });
+
+  await Payment.updateOne(
+    { _id: payment._id },
+    {
+      status: 'refunded',
+      amountRefunded: payment.amount,
+      $push: { refunds: { providerRefundId: refund.id, amount: payment.amount, status: refund.status } },
+    }
+  );
+};
+
+// The payment went through: confirm the booking. If the booking can no longer
+// be confirmed the money is given back. Returns the confirmed booking or null.
+const handlePaymentSucceeded = async (payment) => {
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'requires_capture' },
+    { status: 'succeeded' },
+    { new: true }
+  );
+
+  if (!updated) {
+    // Already handled (e.g. by the webhook and the confirm endpoint both)
+    return Booking.findOne({ _id: payment.booking, status: 'confirmed' });
+  }
+
+  const booking = await confirmHold(payment.booking);
+  if (!booking) {
+    await refundUnconfirmedPayment(updated);
+  }
+  return booking;
+};
+
+// The payment was declined: fail the booking and release its tickets
+const handlePaymentFailed = async (payment, reason) => {
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'requires_capture' },
+    { status: 'failed', failureReason: reason },
+    { new: true }
+  );
+
+  if (updated) {
+    await failHold(payment.booking, reason || 'Payment failed');
+  }
+};
+
+// Charge an authorized payment. Returns { status, booking, failureReason }
+// where booking is the confirmed booking when the capture succeeded.
+const capturePayment = async (payment) => {
+  const provider = getPaymentProvider();
+  const result = await provider.capturePaymentIntent(payment.providerPaymentId);
+
+  if (result.status === 'succeeded') {
+    const booking = await handlePaymentSucceeded(payment);
+    return { status: 'succeeded', booking };
+  }
+
+  await handlePaymentFailed(payment, result.failureReason);
+  return { status: 'failed', booking: null, failureReason: result.failureReason };
+};
+
+// Give money back for a cancelled booking: uncaptured payments are voided,
+// captured ones are refunded by `amount`
+const refundBookingPayment = async (bookingId, amount) => {
+  const booking = await Booking.findById(bookingId);
+  if (!booking || !booking.payment) {
+    return null;
+  }
+
+  const payment = await Payment.findById(booking.payment);
+  const provider = getPaymentProvider();
+
+  if (payment.status === 'requires_capture') {
+    await provider.cancelPaymentIntent(payment.providerPaymentId);
+    payment.status = 'cancelled';
+    await payment.save();
+    return payment;
+  }
+
+  if (booking.refundStatus !== 'pending' || payment.status !== 'succeeded' || !amount) {
+    return null;
+  }
+
+  const refundAmount = Math.min(amount, payment.amount - payment.amountRefunded);
+  const refund = await provider.refundPayment(payment.providerPaymentId, {
+    amount: refundAmount,
+    idempotencyKey: `refund-${booking._id}`,
+  });
+
+  payment.refunds.push({ providerRefundId: refund.id, amount: refundAmount, status: refund.status });
+  payment.amountRefunded += refundAmount;
+  payment.status = payment.amountRefunded >= payment.amount ? 'refunded' : 'partially_refunded';
+  await payment.save();
+
+  await Booking.updateOne({ _id: booking._id, refundStatus: 'pending' }, { refundStatus: 'refunded' });
+
+  return payment;
+};
+
+// Apply a verified, normalized provider webhook event
+const handleWebhookEvent = async (event) => {
+  const payment = await Payment.findOne({ providerPaymentId: event.paymentId });
+  if (!payment) {
+    return { handled: false, message: 'Unknown payment' };
+  }
+
+  if (event.type === 'payment.succeeded') {
+    const booking = await handlePaymentSucceeded(payment);
+    return { handled: true, message: booking ? 'Booking confirmed' : 'Booking could not be confirmed; payment refunded' };
+  }
+
+  if (event.type === 'payment.failed') {
+    await handlePaymentFailed(payment, event.failureReason);
+    return { handled: true, message: 'Booking marked as failed' };
+  }
+
+  return { handled: false, message: `Ignored event type ${event.type}` };
+};
+
+module.exports = {
+  createPaymentForBooking,
+  capturePayment,
+  refundBookingPayment,
+  handleWebhookEvent,
+};
@@ -0,0 +1,109 @@
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+
+const normalizeCode = (code) => code.trim().toUpperCase();
+
+// Discount a code gives on a subtotal, rounded to cents and never more than
+// the subtotal itself
+const calculateDiscount = (promoCode, subtotal) => {
+  const discount =
+    promoCode.discountType === 'percentage' ? (subtotal * promoCode.discountValue) / 100 : promoCode.discountValue;
+  return Math.round(Math.min(discount, subtotal) * 100) / 100;
+};
+
+// The event organizer's code with this name, if it applies to the event
+const findPromoCodeForEvent = (code, event) => {
+  return PromoCode.findOne({
+    code: normalizeCode(code),
+    organizer: event.organizer,
+    $or: [{ events: { $size: 0 } }, { events: event._id }],
+  });
+};
+
+// Why a code cannot be used for a booking of `quantity` tickets right now,
+// leaving aside its usage limits
+const getIneligibilityReason = (promoCode, quantity, now) => {
+  if (!promoCode.active) {
+    return 'Promo code is no longer active';
+  }
+  if (promoCode.validFrom && promoCode.validFrom > now) {
+    return 'Promo code is not valid yet';
+  }
+  if (promoCode.validUntil && promoCode.validUntil < now) {
+    return 'Promo code has expired';
+  }
+  if (quantity < promoCode.minQuantity) {
+    return `Promo code requires at least ${promoCode.minQuantity} tickets`;
+  }
+  return null;
+};
+
+// Use a promo code for a booking. The redemption is recorded first and then
+// checked against the customer's limit, and the overall limit is checked and
+// counted in one conditional update; a redemption over either limit is
+// removed again. Concurrent bookings can therefore never redeem a code more
+// often than allowed. Returns { promoCode, discount } or { error }.
+const redeemPromoCode = async ({ code, event, customerId, bookingId, quantity, subtotal, now = new Date() }) => {
+  const promoCode = await findPromoCodeForEvent(code, event);
+  if (!promoCode) {
+    return { error: 'Invalid promo code' };
+  }
+
+  const reason = getIneligibilityReason(promoCode, quantity, now);
+  if (reason) {
+    return { error: reason };
+  }
+
+  const redemption = await PromoRedemption.create({ promo: promoCode._id, customer: customerId, booking: bookingId });
+  const undoRedemption = () => PromoRedemption.deleteOne({ _id: redemption._id });
+
+  if (promoCode.perCustomerLimit) {
+    const customerRedemptions = await PromoRedemption.countDocuments({ promo: promoCode._id, customer: customerId });
+    if (customerRedemptions > promoCode.perCustomerLimit) {
+      await undoRedemption();
+      return { error: 'You have already used this promo code the maximum number of times' };
+    }
+  }
+
+  const redeemed = await PromoCode.findOneAndUpdate(
+    {
+      _id: promoCode._id,
+      active: true,
+      $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }],
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+
+  if (!redeemed) {
+    await undoRedemption();
+    const current = await PromoCode.findById(promoCode._id);
+    if (!current || !current.active) {
+      return { error: 'Promo code is no longer active' };
+    }
+    return { error: 'Promo code has reached its usage limit' };
+  }
+
+  return { promoCode: redeemed, discount: calculateDiscount(redeemed, subtotal) };
+};
+
+// Give back the use of a promo code by a booking that did not go ahead.
+// Safe to call more than once: the count only goes down for the call that
+// removes the redemption.
+const releasePromoRedemption = async (booking) => {
+  if (!booking.promo) {
+    return;
+  }
+
+  const { deletedCount } = await PromoRedemption.deleteOne({ promo: booking.promo, booking: booking._id });
+  if (deletedCount > 0) {
+    await PromoCode.updateOne({ _id: booking.promo }, { $inc: { redemptionCount: -1 } });
+  }
+};
+
+module.exports = {
+  normalizeCode,
+  calculateDiscount,
+  redeemPromoCode,
+  releasePromoRedemption,
+};
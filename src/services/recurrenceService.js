@@ -0,0 +1,121 @@
+// Largest number of occurrences a series may have, so a rule can never
+// generate an unbounded number of events
+const MAX_SERIES_OCCURRENCES = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// RRULE weekday codes in getUTCDay() order
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const toDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Candidate dates of one period (day, week or month) of the rule, in order.
+// `period` counts periods from the one holding the start date.
+const getPeriodDates = (startDate, recurrence, period) => {
+  const start = new Date(startDate);
+  const interval = recurrence.interval || 1;
+
+  if (recurrence.frequency === 'daily') {
+    return [new Date(start.getTime() + period * interval * DAY_MS)];
+  }
+
+  if (recurrence.frequency === 'weekly') {
+    // Weeks start on Monday, as in RRULE's default WKST
+    const mondayOffset = (start.getUTCDay() + 6) % 7;
+    const weekStart = start.getTime() - mondayOffset * DAY_MS + period * interval * 7 * DAY_MS;
+    const weekdays = recurrence.byWeekday && recurrence.byWeekday.length > 0
+      ? recurrence.byWeekday
+      : [WEEKDAYS[start.getUTCDay()]];
+
+    return weekdays
+      .map((code) => (WEEKDAYS.indexOf(code) + 6) % 7)
+      .sort((a, b) => a - b)
+      .map((offset) => new Date(weekStart + offset * DAY_MS));
+  }
+
+  // Monthly: months without the day (e.g. the 31st) are skipped, as in RRULE
+  const monthIndex = start.getUTCMonth() + period * interval;
+  const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+  const month = monthIndex % 12;
+  const monthDays = recurrence.byMonthDay && recurrence.byMonthDay.length > 0
+    ? recurrence.byMonthDay
+    : [start.getUTCDate()];
+
+  return [...monthDays]
+    .sort((a, b) => a - b)
+    .filter((day) => day <= daysInMonth(year, month))
+    .map((day) => new Date(Date.UTC(
+      year,
+      month,
+      day,
+      start.getUTCHours(),
+      start.getUTCMinutes(),
+      start.getUTCSeconds()
+    )));
+};
+
+// Expand a recurrence rule into occurrence dates, starting at startDate. As in
+// RRULE, count includes the dates removed as exceptions. Returns { dates } or
+// { error }.
+const generateOccurrenceDates = (startDate, recurrence) => {
+  const start = new Date(startDate);
+  const until = recurrence.until ? new Date(recurrence.until) : null;
+  const exceptions = new Set((recurrence.exceptions || []).map(toDayKey));
+
+  const dates = [];
+  let generated = 0;
+
+  const finish = () => (dates.length > 0 ? { dates } : { error: 'The recurrence rule does not produce any occurrences' });
+
+  // Rules like "every year on February 30th" never produce a date, so the
+  // number of periods looked at is capped as well
+  for (let period = 0; period < MAX_SERIES_OCCURRENCES * 12; period += 1) {
+    const candidates = getPeriodDates(start, recurrence, period).filter((date) => date >= start);
+
+    for (const date of candidates) {
+      if ((until && date > until) || (recurrence.count && generated >= recurrence.count)) {
+        return finish();
+      }
+
+      generated += 1;
+      if (!exceptions.has(toDayKey(date))) {
+        dates.push(date);
+      }
+      if (generated > MAX_SERIES_OCCURRENCES) {
+        return { error: `A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences` };
+      }
+    }
+  }
+
+  return finish();
+};
+
+// The rule as an RRULE string, for calendar clients
+const formatRRule = (recurrence) => {
+  const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+  if (recurrence.interval && recurrence.interval > 1) {
+    parts.push(`INTERVAL=${recurrence.interval}`);
+  }
+  if (recurrence.byWeekday && recurrence.byWeekday.length > 0) {
+    parts.push(`BYDAY=${recurrence.byWeekday.join(',')}`);
+  }
+  if (recurrence.byMonthDay && recurrence.byMonthDay.length > 0) {
+    parts.push(`BYMONTHDAY=${recurrence.byMonthDay.join(',')}`);
+  }
+  if (recurrence.count) {
+    parts.push(`COUNT=${recurrence.count}`);
+  }
+  if (recurrence.until) {
+    parts.push(`UNTIL=${new Date(recurrence.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  }
+  return parts.join(';');
+};
+
+module.exports = {
+  MAX_SERIES_OCCURRENCES,
+  toDayKey,
+  generateOccurrenceDates,
+  formatRRule,
+};
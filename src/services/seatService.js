@@ -0,0 +1,132 @@
+const EventSeat = require('../models/EventSeat');
+
+const getSeatId = (section, row, seat) => `${section}-${row}-${seat}`;
+
+// Stored seat map from the venue request body; rows given as a seat count
+// are numbered from 1
+const buildSections = (sections) => {
+  return sections.map((section) => ({
+    name: section.name,
+    rows: section.rows.map((row) => ({
+      name: row.name,
+      seats: typeof row.seats === 'number' ? Array.from({ length: row.seats }, (_, i) => String(i + 1)) : row.seats,
+    })),
+  }));
+};
+
+const countSeats = (sections) => {
+  return sections.reduce(
+    (total, section) => total + section.rows.reduce((sum, row) => sum + row.seats.length, 0),
+    0
+  );
+};
+
+// Create the seats of an assigned-seating event: every seat in each ticket
+// type's sections, all available
+const createEventSeats = async (event, venue) => {
+  const seats = [];
+  event.ticketTypes.forEach((ticketType) => {
+    venue.sections
+      .filter((section) => ticketType.sections.includes(section.name))
+      .forEach((section) => {
+        section.rows.forEach((row) => {
+          row.seats.forEach((number) => {
+            seats.push({
+              event: event._id,
+              seatId: getSeatId(section.name, row.name, number),
+              section: section.name,
+              row: row.name,
+              number,
+              ticketType: ticketType._id,
+            });
+          });
+        });
+      });
+  });
+
+  await EventSeat.insertMany(seats);
+};
+
+// Lock seats for a booking. Every seat is taken with its own conditional
+// update; if another booking got any of them first, the seats taken here are
+// given back, so a booking gets all of its seats or none. Returns
+// { held: true } or { unavailable: [seatId] }.
+const holdSeats = async (eventId, seatIds, bookingId) => {
+  const result = await EventSeat.updateMany(
+    { event: eventId, seatId: { $in: seatIds }, status: 'available' },
+    { status: 'held', booking: bookingId }
+  );
+
+  if (result.modifiedCount === seatIds.length) {
+    return { held: true };
+  }
+
+  await EventSeat.updateMany(
+    { event: eventId, booking: bookingId, status: 'held' },
+    { status: 'available', $unset: { booking: 1 } }
+  );
+  const unavailable = await EventSeat.find({
+    event: eventId,
+    seatId: { $in: seatIds },
+    status: { $ne: 'available' },
+  }).distinct('seatId');
+
+  return { unavailable };
+};
+
+// Make a booking's seats available again
+const releaseSeats = async (eventId, seatIds) => {
+  await EventSeat.updateMany(
+    { event: eventId, seatId: { $in: seatIds }, status: { $ne: 'available' } },
+    { status: 'available', $unset: { booking: 1 } }
+  );
+};
+
+// Held seats become booked once their booking is confirmed
+const markSeatsBooked = async (bookingId) => {
+  await EventSeat.updateMany({ booking: bookingId, status: 'held' }, { status: 'booked' });
+};
+
+// Seat availability for rendering a seat map, in the venue's layout order
+const getSeatMap = async (event, venue) => {
+  const seats = await EventSeat.find({ event: event._id }).lean();
+  const seatsById = new Map(seats.map((seat) => [seat.seatId, seat]));
+
+  const sections = venue.sections
+    .map((section) => {
+      const ticketType = event.ticketTypes.find((t) => t.sections && t.sections.includes(section.name));
+      if (!ticketType) {
+        return null;
+      }
+
+      return {
+        name: section.name,
+        ticketType: { id: ticketType._id, name: ticketType.name, price: ticketType.price },
+        rows: section.rows.map((row) => ({
+          name: row.name,
+          seats: row.seats.map((number) => {
+            const seatId = getSeatId(section.name, row.name, number);
+            const seat = seatsById.get(seatId);
+            return { seatId, number, status: seat ? seat.status : 'unavailable' };
+          }),
+        })),
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    venue: { id: venue._id, name: venue.name },
+    availableSeats: seats.filter((seat) => seat.status === 'available').length,
+    sections,
+  };
+};
+
+module.exports = {
+  buildSections,
+  countSeats,
+  createEventSeats,
+  holdSeats,
+  releaseSeats,
+  markSeatsBooked,
+  getSeatMap,
+};
@@ -0,0 +1,186 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// Access tokens are short-lived; clients get new ones with the refresh token
+const DEFAULT_ACCESS_TOKEN_EXPIRY = '15m';
+const DEFAULT_REFRESH_TOKEN_EXPIRY_DAYS = 30;
+
+// Refresh tokens may have their own secret; JWT_SECRET is only a development
+// fallback. Either way they are told apart from access tokens by their type.
+const getRefreshSecret = () => process.env.REFRESH_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const getRefreshExpiry = () => {
+  const days = Number(process.env.REFRESH_TOKEN_EXPIRY_DAYS) || DEFAULT_REFRESH_TOKEN_EXPIRY_DAYS;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+const activeSessionFilter = () => ({ revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } });
+
+// Why a suspended or banned user may not use the account, or null if they may
+const getAccountRestriction = (user) => {
+  if (user.status === 'banned') {
+    return 'This account has been banned';
+  }
+  if (user.status === 'suspended' && !(user.suspendedUntil && user.suspendedUntil <= new Date())) {
+    return user.suspendedUntil
+      ? `This account is suspended until ${user.suspendedUntil.toISOString()}`
+      : 'This account is suspended';
+  }
+  return null;
+};
+
+const signTokens = (user, session) => ({
+  token: jwt.sign(
+    { id: user._id, email: user.email, role: user.role, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRY || DEFAULT_ACCESS_TOKEN_EXPIRY }
+  ),
+  refreshToken: jwt.sign(
+    { typ: 'refresh', gen: session.generation, exp: Math.floor(session.expiresAt.getTime() / 1000) },
+    getRefreshSecret(),
+    { subject: session._id.toString() }
+  ),
+});
+
+// Returns { sessionId, generation }, or null if the token was not signed by us
+const verifyRefreshToken = (refreshToken, { ignoreExpiration = false } = {}) => {
+  try {
+    const payload = jwt.verify(refreshToken, getRefreshSecret(), { algorithms: ['HS256'], ignoreExpiration });
+    if (payload.typ !== 'refresh') {
+      return null;
+    }
+    return { sessionId: payload.sub, generation: payload.gen };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Sign the user in on a new device. Returns { token, refreshToken }.
+const createSession = async (user, { userAgent, ip }) => {
+  const session = await Session.create({
+    user: user._id,
+    expiresAt: getRefreshExpiry(),
+    lastUsedAt: new Date(),
+    userAgent,
+    ip,
+  });
+  return signTokens(user, session);
+};
+
+// Swap a refresh token for a new pair. Each refresh token works once: the
+// session's generation is moved on with a conditional update, and a token
+// from an earlier generation revokes the session, since only a copy of the
+// token can still be holding it. Returns { tokens } or { status, message }.
+const refreshSession = async (refreshToken, { userAgent, ip }) => {
+  const payload = verifyRefreshToken(refreshToken);
+  if (!payload) {
+    return { status: 401, message: 'Invalid or expired refresh token' };
+  }
+
+  const now = new Date();
+  const session = await Session.findOneAndUpdate(
+    { _id: payload.sessionId, generation: payload.generation, ...activeSessionFilter() },
+    { $inc: { generation: 1 }, expiresAt: getRefreshExpiry(), lastUsedAt: now, userAgent, ip },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { _id: payload.sessionId, generation: { $gt: payload.generation }, revokedAt: { $exists: false } },
+      { revokedAt: now, revokedReason: 'reuse-detected' }
+    );
+    if (reused) {
+      return { status: 401, message: 'Refresh token has already been used. The session has been revoked' };
+    }
+    return { status: 401, message: 'Session has expired or been revoked' };
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    return { status: 401, message: 'Session has expired or been revoked' };
+  }
+
+  const restriction = getAccountRestriction(user);
+  if (restriction) {
+    return { status: 403, message: restriction };
+  }
+
+  return { tokens: signTokens(user, session) };
+};
+
+// Revoke one session, optionally only if it belongs to the user. Returns
+// false if there was no such active session.
+const revokeSession = async (sessionId, { reason, userId } = {}) => {
+  const filter = { _id: sessionId, revokedAt: { $exists: false } };
+  if (userId) {
+    filter.user = userId;
+  }
+  const result = await Session.updateOne(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount > 0;
+};
+
+// Log the holder of a refresh token out. Expired tokens still end their session.
+const revokeRefreshToken = async (refreshToken) => {
+  const payload = verifyRefreshToken(refreshToken, { ignoreExpiration: true });
+  if (!payload) {
+    return false;
+  }
+  await revokeSession(payload.sessionId, { reason: 'logout' });
+  return true;
+};
+
+// Revoke all of the user's sessions, except one if given. Returns how many
+// were revoked.
+const revokeUserSessions = async (userId, { reason, exceptSessionId } = {}) => {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+const getActiveSessions = (userId) => {
+  return Session.find({ user: userId, ...activeSessionFilter() })
+    .select('createdAt lastUsedAt expiresAt userAgent ip')
+    .sort('-lastUsedAt');
+};
+
+// Why an access token may no longer be used, as { status, message }, or null
+// if it still may: its session must be active, it must not predate the
+// user's last password change, and the account must not be suspended or banned
+const checkAccessToken = async (payload) => {
+  if (!payload.sid || payload.typ) {
+    return { status: 401, message: 'Session has expired. Please log in again' };
+  }
+
+  const [session, user] = await Promise.all([
+    Session.findOne({ _id: payload.sid, user: payload.id, ...activeSessionFilter() }).select('_id'),
+    User.findById(payload.id).select('passwordChangedAt status suspendedUntil'),
+  ]);
+
+  if (!session || !user) {
+    return { status: 401, message: 'Session has expired or been revoked. Please log in again' };
+  }
+  if (user.passwordChangedAt && payload.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+    return { status: 401, message: 'Password has been changed. Please log in again' };
+  }
+
+  const restriction = getAccountRestriction(user);
+  if (restriction) {
+    return { status: 403, message: restriction };
+  }
+  return null;
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeRefreshToken,
+  revokeUserSessions,
+  getActiveSessions,
+  getAccountRestriction,
+  checkAccessToken,
+};
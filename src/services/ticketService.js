@@ -0,0 +1,160 @@
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const Ticket = require('../models/Ticket');
+const Booking = require('../models/Booking');
+const { getBookingLines } = require('./inventoryService');
+
+// Tickets are signed with their own secret so that leaking it cannot be used
+// to forge login tokens. There is no default: anyone who knew it could forge
+// tickets for any event.
+const getSigningSecret = () => {
+  if (!process.env.TICKET_SIGNING_SECRET) {
+    throw new Error('TICKET_SIGNING_SECRET is not set');
+  }
+  return process.env.TICKET_SIGNING_SECRET;
+};
+
+// The QR payload: the ticket and event IDs, signed so that a ticket cannot be
+// forged or pointed at another event. It does not expire; whether it still
+// admits anyone is decided at check-in.
+const signTicket = (ticket) => {
+  return jwt.sign({ evt: ticket.event.toString() }, getSigningSecret(), {
+    subject: ticket._id.toString(),
+    noTimestamp: true,
+  });
+};
+
+// Returns { ticketId, eventId }, or null if the token was not signed by us
+const verifyTicketToken = (token) => {
+  // A missing secret is a configuration error, not a forged ticket
+  const secret = getSigningSecret();
+  try {
+    const payload = jwt.verify(token, secret, { algorithms: ['HS256'] });
+    return { ticketId: payload.sub, eventId: payload.evt };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Create a confirmed booking's tickets: one per seat, or one per ticket for
+// general admission. Safe to call more than once; existing tickets are
+// returned as they are.
+const issueTickets = async (booking) => {
+  const existing = await Ticket.find({ booking: booking._id }).sort('code');
+  if (existing.length > 0) {
+    return existing;
+  }
+
+  const tickets = [];
+  getBookingLines(booking).forEach((line) => {
+    const seats = line.seats && line.seats.length > 0 ? line.seats : Array(line.quantity).fill(undefined);
+    seats.forEach((seatId) => {
+      tickets.push({
+        booking: booking._id,
+        event: booking.event,
+        customer: booking.customer,
+        code: `${booking.bookingReference}-${String(tickets.length + 1).padStart(2, '0')}`,
+        ticketType: line.ticketType || undefined,
+        ticketTypeName: line.name,
+        seatId,
+      });
+    });
+  });
+
+  try {
+    await Ticket.insertMany(tickets);
+  } catch (error) {
+    // Issued at the same time by another request
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  return Ticket.find({ booking: booking._id }).sort('code');
+};
+
+// The token as a QR code: a PNG buffer or an SVG string
+const renderTicketQr = async (token, format) => {
+  if (format === 'svg') {
+    return QRCode.toString(token, { type: 'svg', errorCorrectionLevel: 'M', margin: 2 });
+  }
+  return QRCode.toBuffer(token, { type: 'png', errorCorrectionLevel: 'M', margin: 2, width: 320 });
+};
+
+// Admit the holder of a ticket token to an event. The token must be signed
+// for this event and belong to a confirmed booking, and each ticket can be
+// checked in once: the check-in time is set with a conditional update, so two
+// scanners can never admit the same ticket. Returns { ticket } or
+// { status, message, ticket }.
+const checkInTicket = async (event, token, checkedInBy) => {
+  const payload = verifyTicketToken(token);
+  if (!payload) {
+    return { status: 400, message: 'Invalid ticket' };
+  }
+
+  if (payload.eventId !== event._id.toString()) {
+    return { status: 400, message: 'This ticket is for a different event' };
+  }
+
+  const ticket = await Ticket.findOne({ _id: payload.ticketId, event: event._id });
+  if (!ticket) {
+    return { status: 404, message: 'Ticket not found' };
+  }
+
+  // Cancelled (or refunded) bookings no longer admit anyone
+  const booking = await Booking.findById(ticket.booking).select('status');
+  if (booking.status !== 'confirmed') {
+    return { status: 409, message: `Booking is ${booking.status}`, ticket };
+  }
+
+  const checkedIn = await Ticket.findOneAndUpdate(
+    { _id: ticket._id, checkedInAt: { $exists: false } },
+    { checkedInAt: new Date(), checkedInBy },
+    { new: true }
+  );
+  if (!checkedIn) {
+    const current = await Ticket.findById(ticket._id);
+    return { status: 409, message: 'Ticket has already been checked in', ticket: current };
+  }
+
+  return { ticket: checkedIn };
+};
+
+// How many people are in: checked-in tickets against the tickets sold, in
+// total and per ticket type
+const getAttendance = async (event) => {
+  const [sold, checkedIn] = await Promise.all([
+    Booking.aggregate([
+      { $match: { event: event._id, status: 'confirmed' } },
+      { $group: { _id: null, tickets: { $sum: '$quantity' } } },
+    ]),
+    Ticket.aggregate([
+      { $match: { event: event._id, checkedInAt: { $exists: true } } },
+      { $group: { _id: '$ticketTypeName', checkedIn: { $sum: 1 }, lastCheckInAt: { $max: '$checkedInAt' } } },
+    ]),
+  ]);
+
+  const ticketsSold = sold.length > 0 ? sold[0].tickets : 0;
+  const total = checkedIn.reduce((sum, group) => sum + group.checkedIn, 0);
+  const lastCheckInAt = checkedIn
+    .map((group) => group.lastCheckInAt)
+    .reduce((latest, date) => (latest && latest > date ? latest : date), null);
+
+  return {
+    eventId: event._id,
+    checkedIn: total,
+    ticketsSold,
+    notCheckedIn: Math.max(ticketsSold - total, 0),
+    lastCheckInAt,
+    byTicketType: checkedIn.map((group) => ({ name: group._id, checkedIn: group.checkedIn })),
+  };
+};
+
+module.exports = {
+  signTicket,
+  verifyTicketToken,
+  issueTickets,
+  renderTicketQr,
+  checkInTicket,
+  getAttendance,
+};
@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const { countSeats } = require('./seatService');
+
+const DEFAULT_TICKET_TYPE_NAME = 'General Admission';
+
+// Event-level totals derived from its ticket types
+const summarizeTicketTypes = (ticketTypes) => {
+  return {
+    totalTickets: ticketTypes.reduce((sum, t) => sum + t.totalTickets, 0),
+    availableTickets: ticketTypes.reduce((sum, t) => sum + t.availableTickets, 0),
+    ticketPrice: Math.min(...ticketTypes.map((t) => t.price)),
+  };
+};
+
+// Ticket types for a new event: either the ones given, or a single default
+// tier built from the legacy totalTickets/ticketPrice fields
+const buildTicketTypes = ({ ticketTypes, totalTickets, ticketPrice }) => {
+  const tiers = ticketTypes || [{ name: DEFAULT_TICKET_TYPE_NAME, price: ticketPrice, totalTickets }];
+  return tiers.map((tier) => ({ ...tier, availableTickets: tier.totalTickets }));
+};
+
+// Ticket types for an assigned-seating event. Each type sells the seats of its
+// venue sections, so its capacity is their seat count; a single ticketPrice
+// sells every section as one default type. Returns { ticketTypes } or { error }.
+const buildSeatedTicketTypes = ({ ticketTypes, ticketPrice }, venue) => {
+  const tiers = ticketTypes || [
+    { name: DEFAULT_TICKET_TYPE_NAME, price: ticketPrice, sections: venue.sections.map((section) => section.name) },
+  ];
+
+  const assigned = new Set();
+  for (const tier of tiers) {
+    for (const sectionName of tier.sections) {
+      if (!venue.sections.some((section) => section.name === sectionName)) {
+        return { error: `Section ${sectionName} does not exist in ${venue.name}` };
+      }
+      if (assigned.has(sectionName)) {
+        return { error: `Section ${sectionName} is assigned to more than one ticket type` };
+      }
+      assigned.add(sectionName);
+    }
+  }
+
+  return {
+    ticketTypes: tiers.map((tier) => {
+      const seats = countSeats(venue.sections.filter((section) => tier.sections.includes(section.name)));
+      return { ...tier, totalTickets: seats, availableTickets: seats };
+    }),
+  };
+};
+
+// Give a single-price event created before ticket types existed a default tier
+// holding its current inventory. The conditional update makes this safe to
+// run concurrently. Returns the up-to-date event.
+const ensureTicketTypes = async (event) => {
+  if (event.ticketTypes && event.ticketTypes.length > 0) {
+    return event;
+  }
+
+  await Event.updateOne(
+    { _id: event._id, 'ticketTypes.0': { $exists: false } },
+    {
+      $set: {
+        ticketTypes: [
+          {
+            name: DEFAULT_TICKET_TYPE_NAME,
+            price: event.ticketPrice,
+            totalTickets: event.totalTickets,
+            availableTickets: event.availableTickets,
+          },
+        ],
+      },
+    }
+  );
+
+  return Event.findById(event._id);
+};
+
+// Turn requested { ticketTypeId, quantity } lines into priced booking lines,
+// merging repeated tiers and checking each tier exists and is on sale.
+// Returns { lines } or { error }.
+const resolveBookingLines = (event, requested, now = new Date()) => {
+  const quantities = new Map();
+  requested.forEach(({ ticketTypeId, quantity }) => {
+    quantities.set(ticketTypeId, (quantities.get(ticketTypeId) || 0) + quantity);
+  });
+
+  const lines = [];
+  for (const [ticketTypeId, quantity] of quantities) {
+    const tier = event.ticketTypes.id(ticketTypeId);
+    if (!tier) {
+      return { error: `Ticket type ${ticketTypeId} not found for this event` };
+    }
+    if (tier.salesStart && tier.salesStart > now) {
+      return { error: `${tier.name} tickets are not on sale yet` };
+    }
+    if (tier.salesEnd && tier.salesEnd < now) {
+      return { error: `${tier.name} ticket sales have ended` };
+    }
+    lines.push({ ticketType: tier._id, name: tier.name, unitPrice: tier.price, quantity });
+  }
+
+  return { lines };
+};
+
+// The event's tiers with the edits merged in. Update pipelines are not cast
+// by mongoose, and strings starting with $ would be read as field paths, so
+// the edited values are passed as literals.
+const buildTierEdits = (edits) => {
+  if (edits.length === 0) {
+    return '$ticketTypes';
+  }
+
+  return {
+    $map: {
+      input: '$ticketTypes',
+      as: 'tier',
+      in: {
+        $mergeObjects: [
+          '$$tier',
+          {
+            $switch: {
+              branches: edits.map(({ tier, difference, fields }) => ({
+                case: { $eq: ['$$tier._id', tier._id] },
+                then: {
+                  ...Object.fromEntries(Object.entries(fields).map(([field, value]) => [field, { $literal: value }])),
+                  totalTickets: { $add: ['$$tier.totalTickets', difference] },
+                  availableTickets: { $add: ['$$tier.availableTickets', difference] },
+                },
+              })),
+              default: {},
+            },
+          },
+        ],
+      },
+    },
+  };
+};
+
+// Apply ticket type edits from updateEvent. Entries with an _id change that
+// tier; entries without one add a new tier. Every edit is checked first and
+// then applied in one conditional update, so either all of them are made or
+// none are. Capacity changes move the tier's available count by the same
+// amount, and the update only matches while each shrinking tier has that many
+// tickets unsold, so a tier can never drop below the tickets already sold.
+// Returns { event } or { error }.
+const applyTicketTypeUpdates = async (event, updates) => {
+  for (const update of updates) {
+    if (update._id && !event.ticketTypes.id(update._id)) {
+      return { error: `Ticket type ${update._id} not found for this event` };
+    }
+  }
+
+  const edits = updates
+    .filter((update) => update._id)
+    .map(({ _id, totalTickets, ...fields }) => {
+      const tier = event.ticketTypes.id(_id);
+      const difference = totalTickets === undefined ? 0 : totalTickets - tier.totalTickets;
+      return { tier, difference, fields };
+    });
+  const added = updates
+    .filter((update) => !update._id)
+    .map(({ totalTickets, ...fields }) => ({
+      _id: new mongoose.Types.ObjectId(),
+      ...fields,
+      totalTickets,
+      availableTickets: totalTickets,
+    }));
+
+  const capacityChecks = edits
+    .filter(({ difference }) => difference < 0)
+    .map(({ tier, difference }) => ({
+      ticketTypes: { $elemMatch: { _id: tier._id, availableTickets: { $gte: -difference } } },
+    }));
+
+  const updated = await Event.findOneAndUpdate(
+    { _id: event._id, ...(capacityChecks.length > 0 && { $and: capacityChecks }) },
+    [
+      { $set: { ticketTypes: { $concatArrays: [buildTierEdits(edits), { $literal: added }] } } },
+      // Event totals and the "from" price follow the tiers
+      {
+        $set: {
+          totalTickets: { $sum: '$ticketTypes.totalTickets' },
+          availableTickets: { $sum: '$ticketTypes.availableTickets' },
+          ticketPrice: { $min: '$ticketTypes.price' },
+        },
+      },
+    ],
+    { new: true }
+  );
+
+  if (!updated) {
+    const current = await Event.findById(event._id);
+    const blocked = edits.find(({ tier, difference }) => {
+      const currentTier = current && current.ticketTypes.id(tier._id);
+      return difference < 0 && currentTier && currentTier.availableTickets < -difference;
+    });
+    return {
+      error: blocked
+        ? `Cannot reduce ${blocked.tier.name} below the tickets already sold`
+        : 'The event changed while it was being updated. Try again',
+    };
+  }
+
+  return { event: updated };
+};
+
+module.exports = {
+  DEFAULT_TICKET_TYPE_NAME,
+  summarizeTicketTypes,
+  buildTicketTypes,
+  buildSeatedTicketTypes,
+  ensureTicketTypes,
+  resolveBookingLines,
+  applyTicketTypeUpdates,
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const AccountToken = require('../models/AccountToken');
+const Booking = require('../models/Booking');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const Notification = require('../models/Notification');
+const Payment = require('../models/Payment');
+const PromoCode = require('../models/PromoCode');
+const Session = require('../models/Session');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const Venue = require('../models/Venue');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { leaveWaitlist } = require('./waitlistService');
+const { getUserOrganizations, removeUserFromOrganizations } = require('./organizationService');
+
+// Everything stored about the user, for a data export. Organizers also get
+// what they have set up; their events' bookings are left out, since they
+// belong to the customers who made them.
+const exportUserData = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    return null;
+  }
+
+  const [sessions, bookings, tickets, payments, waitlistEntries, notifications, organizations] = await Promise.all([
+    Session.find({ user: userId }).sort('-createdAt'),
+    Booking.find({ customer: userId }).populate('event', 'title date location').sort('-createdAt'),
+    Ticket.find({ customer: userId }).sort('-createdAt'),
+    Payment.find({ customer: userId }).sort('-createdAt'),
+    WaitlistEntry.find({ customer: userId }).sort('-createdAt'),
+    Notification.find({ recipient: userId }).sort('-createdAt'),
+    getUserOrganizations(userId),
+  ]);
+
+  const data = {
+    exportedAt: new Date(),
+    profile: user,
+    sessions,
+    bookings,
+    tickets,
+    payments,
+    waitlistEntries,
+    notifications,
+    organizations,
+  };
+
+  if (user.role === 'organizer') {
+    const [events, series, venues, promoCodes] = await Promise.all([
+      Event.find({ organizer: userId }).sort('date'),
+      EventSeries.find({ organizer: userId }).sort('-createdAt'),
+      Venue.find({ organizer: userId }).sort('name'),
+      PromoCode.find({ organizer: userId }).sort('-createdAt'),
+    ]);
+    data.organizer = { events, series, venues, promoCodes };
+  }
+
+  return data;
+};
+
+// Delete the user's account by anonymizing it. Bookings, tickets and payments
+// are kept for the organizers' accounting, but no longer lead back to the
+// person. Organizers must first cancel their upcoming published events; their
+// team is disbanded.
+// Returns { status, message } if the account cannot be deleted.
+const deleteUserAccount = async (user) => {
+  if (user.role === 'organizer') {
+    const upcomingEvents = await Event.countDocuments({
+      organizer: user._id,
+      status: 'published',
+      date: { $gt: new Date() },
+    });
+    if (upcomingEvents > 0) {
+      return {
+        status: 409,
+        message: `You have ${upcomingEvents} upcoming published event(s). Cancel them before deleting your account`,
+      };
+    }
+  }
+
+  // Tickets offered from the waitlist go to the next person
+  const openEntries = await WaitlistEntry.find({ customer: user._id, status: { $in: ['waiting', 'offered'] } });
+  for (const entry of openEntries) {
+    await leaveWaitlist(entry.event, user._id);
+  }
+
+  // The email stays unique, and the random password cannot be logged in with
+  const anonymousEmail = `deleted-${user._id}@deleted.invalid`;
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        name: 'Deleted User',
+        email: anonymousEmail,
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+        deletedAt: new Date(),
+      },
+      $unset: {
+        phone: 1,
+        address: 1,
+        pendingEmail: 1,
+        emailVerifiedAt: 1,
+        calendarFeedTokenHash: 1,
+        calendarFeedTokenCreatedAt: 1,
+      },
+    }
+  );
+
+  await Notification.updateMany({ recipient: user._id }, { to: anonymousEmail });
+  await AccountToken.deleteMany({ user: user._id });
+  await removeUserFromOrganizations(user._id);
+  // Deleting the sessions logs every device out and erases their IP addresses
+  // and user agents; refresh tokens name a session, so none can be used again
+  await Session.deleteMany({ user: user._id });
+  return null;
+};
+
+module.exports = {
+  exportUserData,
+  deleteUserAccount,
+};
@@ -0,0 +1,132 @@
+const Event = require('../models/Event');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { reserveTickets, releaseTickets } = require('./inventoryService');
+const { jobQueue } = require('./jobQueueService');
+
+const DEFAULT_OFFER_TTL_MINUTES = 30;
+
+// How long tickets offered to a waitlisted customer are held for them
+const getOfferTtlMs = () => {
+  const minutes = Number(process.env.WAITLIST_OFFER_TTL_MINUTES) || DEFAULT_OFFER_TTL_MINUTES;
+  return minutes * 60 * 1000;
+};
+
+const getEntryLines = (entry) => [{ ticketType: entry.ticketType, quantity: entry.quantity }];
+
+// Queue a check of the event's waitlist after tickets were freed. Does nothing
+// when nobody is waiting.
+const queueWaitlistPromotion = async (eventId) => {
+  const waiting = await WaitlistEntry.exists({ event: eventId, status: 'waiting' });
+  if (!waiting) {
+    return;
+  }
+  await jobQueue.addJob('waitlist-promotion', { eventId });
+};
+
+// Offer freed tickets to waitlisted customers in the order they joined. Each
+// offer takes its tickets from inventory and holds them until it is claimed
+// or expires. Once a customer's request does not fit, nobody behind them
+// waiting for the same ticket type is served. Returns the new offers.
+const promoteWaitlist = async (eventId) => {
+  const offers = [];
+  const event = await Event.findById(eventId);
+  if (!event || event.status !== 'published') {
+    return offers;
+  }
+
+  const entries = await WaitlistEntry.find({ event: eventId, status: 'waiting' }).sort('createdAt');
+  const soldOutTypes = new Set();
+
+  for (const entry of entries) {
+    const ticketType = entry.ticketType.toString();
+    if (soldOutTypes.has(ticketType)) {
+      continue;
+    }
+
+    const reserved = await reserveTickets(eventId, getEntryLines(entry));
+    if (!reserved) {
+      soldOutTypes.add(ticketType);
+      continue;
+    }
+
+    const offerTtlMs = getOfferTtlMs();
+    const offered = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      { status: 'offered', offeredAt: new Date(), offerExpiresAt: new Date(Date.now() + offerTtlMs) },
+      { new: true }
+    );
+    if (!offered) {
+      // The customer left the waitlist in the meantime
+      await releaseTickets(eventId, getEntryLines(entry));
+      continue;
+    }
+
+    await jobQueue.addJob('waitlist-offer', { entryId: offered._id }, { jobId: `waitlist-offer-${offered._id}` });
+    await jobQueue.addJob(
+      'waitlist-offer-expiry',
+      { entryId: offered._id },
+      { delay: offerTtlMs, jobId: `waitlist-offer-expiry-${offered._id}` }
+    );
+    offers.push(offered);
+  }
+
+  return offers;
+};
+
+// Take back an offer that was not claimed in time and pass its tickets on to
+// the next person. Returns the expired entry, or null if the offer was
+// claimed, withdrawn or has not run out yet.
+const expireOffer = async (entryId) => {
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { _id: entryId, status: 'offered', offerExpiresAt: { $lte: new Date() } },
+    { status: 'expired' },
+    { new: true }
+  );
+
+  if (!entry) {
+    return null;
+  }
+
+  await releaseTickets(entry.event, getEntryLines(entry));
+  await queueWaitlistPromotion(entry.event);
+  return entry;
+};
+
+// Mark a customer's unexpired offer as claimed. The offer's tickets are
+// already out of inventory and become the customer's booking. Returns the
+// claimed entry or null.
+const claimOffer = async (eventId, customerId) => {
+  return WaitlistEntry.findOneAndUpdate(
+    { event: eventId, customer: customerId, status: 'offered', offerExpiresAt: { $gt: new Date() } },
+    { status: 'claimed' },
+    { new: true }
+  );
+};
+
+// Take a customer off the waitlist, passing on any tickets they were offered.
+// Returns the cancelled entry or null.
+const leaveWaitlist = async (eventId, customerId) => {
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { event: eventId, customer: customerId, status: { $in: ['waiting', 'offered'] } },
+    { status: 'cancelled' }
+  );
+
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.status === 'offered') {
+    await releaseTickets(entry.event, getEntryLines(entry));
+    await queueWaitlistPromotion(entry.event);
+  }
+  entry.status = 'cancelled';
+  return entry;
+};
+
+module.exports = {
+  queueWaitlistPromotion,
+  promoteWaitlist,
+  expireOffer,
+  claimOffer,
+  leaveWaitlist,
+};
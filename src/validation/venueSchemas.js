@@ -0,0 +1,52 @@
+const Joi = require('joi');
+
+// Shared by event venues and the Venue resource
+
+const addressSchema = Joi.object({
+  line1: Joi.string().required(),
+  line2: Joi.string().allow(''),
+  city: Joi.string().required(),
+  state: Joi.string().allow(''),
+  postalCode: Joi.string().allow(''),
+  country: Joi.string().required(),
+});
+
+// GeoJSON point, [longitude, latitude]
+const pointSchema = Joi.object({
+  type: Joi.string().valid('Point').required(),
+  coordinates: Joi.array()
+    .ordered(Joi.number().min(-180).max(180).required(), Joi.number().min(-90).max(90).required())
+    .length(2)
+    .required()
+    .messages({ 'array.length': '"coordinates" must be [longitude, latitude]' }),
+});
+
+const venueDetailsSchema = Joi.object({
+  name: Joi.string().trim().max(200).required(),
+  address: addressSchema.required(),
+  location: pointSchema.required(),
+});
+
+// Section and row names make up seat IDs ("<section>-<row>-<seat>"), so they
+// are kept to short codes
+const seatCodeSchema = Joi.string().pattern(/^[A-Za-z0-9_]+$/).max(20);
+
+// Rows give either a seat count (seats numbered from 1) or the seat labels
+const rowSchema = Joi.object({
+  name: seatCodeSchema.required(),
+  seats: Joi.alternatives()
+    .try(Joi.number().integer().min(1).max(500), Joi.array().items(seatCodeSchema).min(1).max(500).unique())
+    .required(),
+});
+
+const sectionSchema = Joi.object({
+  name: seatCodeSchema.required(),
+  rows: Joi.array().items(rowSchema).min(1).unique('name').required(),
+});
+
+module.exports = {
+  addressSchema,
+  pointSchema,
+  venueDetailsSchema,
+  sectionSchema,
+};
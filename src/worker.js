@@ -0,0 +1,145 @@
+require('dotenv').config();
+const { Worker, Queue } = require('bullmq');
+const mongoose = require('mongoose');
+const connectDB = require('./config/db');
+const { QUEUE_NAMES, createRedisConnection } = require('./config/redis');
+const { initJobQueues, waitForRedis } = require('./services/jobQueueService');
+const {
+  processBookingConfirmation,
+  processEventNotification,
+  processBookingExpiry,
+  processEventReminder,
+  processPaymentRefund,
+  processWaitlistPromotion,
+  processWaitlistOffer,
+  processWaitlistOfferExpiry,
+  processAccountEmail,
+  processTeamInvite,
+} = require('./jobs/jobProcessors');
+
+// Queue name -> processor, with how many jobs of that kind run in parallel
+const workerDefinitions = [
+  {
+    queueName: QUEUE_NAMES.BOOKING_CONFIRMATION,
+    processor: processBookingConfirmation,
+    concurrency: Number(process.env.BOOKING_CONFIRMATION_CONCURRENCY) || 5,
+  },
+  {
+    queueName: QUEUE_NAMES.EVENT_NOTIFICATION,
+    processor: processEventNotification,
+    concurrency: Number(process.env.EVENT_NOTIFICATION_CONCURRENCY) || 2,
+  },
+  {
+    queueName: QUEUE_NAMES.BOOKING_EXPIRY,
+    processor: processBookingExpiry,
+    concurrency: Number(process.env.BOOKING_EXPIRY_CONCURRENCY) || 5,
+  },
+  {
+    queueName: QUEUE_NAMES.EVENT_REMINDER,
+    processor: processEventReminder,
+    concurrency: Number(process.env.EVENT_REMINDER_CONCURRENCY) || 5,
+  },
+  {
+    queueName: QUEUE_NAMES.PAYMENT_REFUND,
+    processor: processPaymentRefund,
+    concurrency: Number(process.env.PAYMENT_REFUND_CONCURRENCY) || 2,
+  },
+  // Offers are made in waitlist order, so promotions run one at a time
+  {
+    queueName: QUEUE_NAMES.WAITLIST_PROMOTION,
+    processor: processWaitlistPromotion,
+    concurrency: 1,
+  },
+  {
+    queueName: QUEUE_NAMES.WAITLIST_OFFER,
+    processor: processWaitlistOffer,
+    concurrency: Number(process.env.WAITLIST_OFFER_CONCURRENCY) || 5,
+  },
+  {
+    queueName: QUEUE_NAMES.WAITLIST_OFFER_EXPIRY,
+    processor: processWaitlistOfferExpiry,
+    concurrency: Number(process.env.WAITLIST_OFFER_EXPIRY_CONCURRENCY) || 5,
+  },
+  {
+    queueName: QUEUE_NAMES.ACCOUNT_EMAIL,
+    processor: processAccountEmail,
+    concurrency: Number(process.env.ACCOUNT_EMAIL_CONCURRENCY) || 5,
+  },
+  {
+    queueName: QUEUE_NAMES.TEAM_INVITE,
+    processor: processTeamInvite,
+    concurrency: Number(process.env.TEAM_INVITE_CONCURRENCY) || 5,
+  },
+];
+
+const startWorkers = async () => {
+  await connectDB();
+
+  // Processors queue follow-up jobs of their own, which must go to Redis too
+  await initJobQueues();
+  await waitForRedis();
+  console.log('✓ Job queues initialized');
+
+  const connection = createRedisConnection();
+  const deadLetterQueue = new Queue(QUEUE_NAMES.DEAD_LETTER, { connection });
+
+  const workers = workerDefinitions.map(({ queueName, processor, concurrency }) => {
+    const worker = new Worker(queueName, processor, { connection, concurrency });
+
+    worker.on('completed', (job, result) => {
+      console.log(`[WORKER] ${queueName} job ${job.id} completed: ${result && result.message}`);
+    });
+
+    worker.on('failed', async (job, err) => {
+      if (!job) {
+        return;
+      }
+
+      const maxAttempts = job.opts.attempts || 1;
+      if (job.attemptsMade < maxAttempts) {
+        console.log(`[WORKER] ${queueName} job ${job.id} failed (attempt ${job.attemptsMade}/${maxAttempts}), retrying: ${err.message}`);
+        return;
+      }
+
+      // Out of retries: park a copy in the dead-letter queue for inspection
+      console.error(`[WORKER] ${queueName} job ${job.id} exhausted ${maxAttempts} attempts: ${err.message}`);
+      try {
+        await deadLetterQueue.add(queueName, {
+          queueName,
+          jobId: job.id,
+          jobName: job.name,
+          data: job.data,
+          failedReason: err.message,
+          attemptsMade: job.attemptsMade,
+          failedAt: new Date(),
+        });
+      } catch (dlqError) {
+        console.error('Error moving job to dead-letter queue:', dlqError.message);
+      }
+    });
+
+    worker.on('error', (err) => {
+      console.error(`[WORKER] ${queueName} error:`, err.message);
+    });
+
+    console.log(`✓ Worker listening on ${queueName} (concurrency ${concurrency})`);
+    return worker;
+  });
+
+  const shutdown = async (signal) => {
+    console.log(`${signal} received, closing workers...`);
+    await Promise.all(workers.map((worker) => worker.close()));
+    await deadLetterQueue.close();
+    await connection.quit();
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+};
+
+startWorkers().catch((error) => {
+  console.error('Error starting workers:', error);
+  process.exit(1);
+});
@@ -3,16 +3,31 @@
 /**
  * Event Booking System - Quick Test Script
  * Usage: node test-api.js
+ *
+ * The server must run with NOTIFICATION_TRANSPORT=outbox, since accounts are
+ * verified with the links in the emails it sends. The organizer is approved by
+ * an admin, created beforehand with:
+ *   npm run create-admin -- admin@example.com adminpassword
+ * (or set ADMIN_EMAIL and ADMIN_PASSWORD). Payment webhooks are signed with
+ * the server's PAYMENT_WEBHOOK_SECRET, read from the same .env file.
  */
 
+require('dotenv').config();
 const http = require('http');
+const { Queue } = require('bullmq');
+const { readOutbox } = require('./src/notifications/transports/outboxTransport');
+const { QUEUE_NAMES, createRedisConnection } = require('./src/config/redis');
+const { signWebhookPayload } = require('./src/payments/providers/mockProvider');
 
 const BASE_URL = 'http://localhost:3000/api';
 let customerToken = '';
 let organizerToken = '';
 let eventId = '';
 
-const request = (method, endpoint, data = null, token = null) => {
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'admin@example.com';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'adminpassword';
+
+const request = (method, endpoint, data = null, token = null, headers = {}) => {
   return new Promise((resolve, reject) => {
     const url = new URL(endpoint, BASE_URL);
     const options = {
@@ -22,6 +37,7 @@ const request = (method, endpoint, data = null, token = null) => {
       method: method,
       headers: {
         'Content-Type': 'application/json',
+        ...headers,
       },
     };
 
@@ -53,6 +69,25 @@ const request = (method, endpoint, data = null, token = null) => {
   });
 };
 
+// The latest email of the given type sent to the address. Emails are sent by
+// background jobs, so this waits for a few seconds.
+const readEmail = async (to, type) => {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const message = (await readOutbox()).reverse().find((m) => m.to === to && m.type === type);
+    if (message) {
+      return message;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+  throw new Error(`No ${type} email was sent to ${to}`);
+};
+
+// Token from the latest link of the given type sent to the address
+const readEmailToken = async (to, type) => {
+  const message = await readEmail(to, type);
+  return message.text.match(/token=([0-9a-f]+)/)[1];
+};
+
 const test = async () => {
   console.log('🚀 Starting Event Booking System API Tests\n');
 
@@ -66,6 +101,7 @@ const test = async () => {
       role: 'customer',
     });
     customerToken = res.data.token;
+    const customerEmail = res.data.user.email;
     console.log(`✓ Customer registered: ${res.data.user.email}`);
     console.log(`  Token: ${customerToken.substring(0, 20)}...\n`);
 
@@ -78,8 +114,35 @@ const test = async () => {
       role: 'organizer',
     });
     organizerToken = res.data.token;
+    const organizerEmail = res.data.user.email;
     console.log(`✓ Organizer registered: ${res.data.user.email}`);
-    console.log(`  Token: ${organizerToken.substring(0, 20)}...\n`);
+    console.log(`  Token: ${organizerToken.substring(0, 20)}...`);
+
+    // Unverified accounts cannot book or create events
+    res = await request('POST', '/events', { title: 'Too early' }, organizerToken);
+    if (res.status !== 403) {
+      throw new Error('An unverified organizer was allowed to create an event');
+    }
+    for (const email of [customerEmail, organizerEmail]) {
+      res = await request('POST', '/auth/verify-email', { token: await readEmailToken(email, 'email-verification') });
+      if (res.status !== 200) {
+        throw new Error(`Email verification failed: ${res.data.message}`);
+      }
+    }
+    console.log('✓ Both email addresses verified');
+
+    // Organizers need an admin to approve them before creating events
+    res = await request('POST', '/auth/login', { email: ADMIN_EMAIL, password: ADMIN_PASSWORD });
+    if (res.status !== 200) {
+      throw new Error(`Admin login failed (${res.data.message}). Create the admin with npm run create-admin`);
+    }
+    const adminToken = res.data.token;
+    const organizerId = (await request('GET', '/users/me', null, organizerToken)).data.id;
+    res = await request('POST', `/admin/organizer-applications/${organizerId}/approve`, {}, adminToken);
+    if (res.status !== 200) {
+      throw new Error(`Approving the organizer failed: ${res.data.message}`);
+    }
+    console.log('✓ Organizer approved by an admin\n');
 
     // Test 3: Create Event
     console.log('📝 Test 3: Create Event (as Organizer)');
@@ -105,10 +168,10 @@ const test = async () => {
 
     // Test 5: Get Events
     console.log('📝 Test 5: Get All Published Events');
-    res = await request('GET', '/events?status=published');
-    console.log(`✓ Found ${res.data.length} published events`);
-    if (res.data.length > 0) {
-      console.log(`  Event: ${res.data[0].title}`);
+    res = await request('GET', '/events?status=published&available=true&sort=date&limit=10');
+    console.log(`✓ Found ${res.data.pagination.total} published events`);
+    if (res.data.events.length > 0) {
+      console.log(`  Event: ${res.data.events[0].title}`);
     }
     console.log('');
 
@@ -123,7 +186,22 @@ const test = async () => {
     console.log(`  Quantity: ${res.data.booking.quantity} tickets`);
     console.log(`  Total Price: $${res.data.booking.totalPrice}`);
     console.log(`  Status: ${res.data.booking.status}`);
-    console.log(`\n  ⚠️ CHECK CONSOLE: Background job for booking confirmation should be logged\n`);
+    console.log(`  Hold expires at: ${res.data.booking.expiresAt}\n`);
+    const firstBookingId = res.data.booking.id;
+
+    // Test 6b: Confirm Booking
+    console.log('📝 Test 6b: Confirm Booking (as Customer)');
+    res = await request('POST', `/bookings/${res.data.booking.id}/confirm`, {}, customerToken);
+    console.log(`✓ ${res.data.message}`);
+    console.log(`  Status: ${res.data.booking.status}`);
+    const confirmationEmail = await readEmail(customerEmail, 'booking-confirmation');
+    if (
+      confirmationEmail.subject !== 'Booking Confirmation - Tech Conference 2026' ||
+      !confirmationEmail.text.includes(res.data.booking.bookingReference)
+    ) {
+      throw new Error(`Unexpected booking confirmation email: ${confirmationEmail.subject}`);
+    }
+    console.log(`✓ Confirmation emailed to ${confirmationEmail.to}: ${confirmationEmail.subject}\n`);
 
     // Test 7: Get My Bookings
     console.log('📝 Test 7: Get My Bookings (as Customer)');
@@ -168,19 +246,615 @@ const test = async () => {
     // Test 11: Process Jobs
     console.log('📝 Test 11: Process Background Jobs Manually');
     res = await request('POST', '/process-jobs', { jobType: 'booking-confirmations' });
+    if (res.status !== 401) {
+      throw new Error('Jobs were processed without logging in');
+    }
+    res = await request('POST', '/process-jobs', { jobType: 'booking-confirmations' }, adminToken);
     console.log(`✓ Booking confirmation jobs processed`);
     console.log(`  Message: ${res.data.message}\n`);
 
-    res = await request('POST', '/process-jobs', { jobType: 'event-notifications' });
-    console.log(`✓ Event notification jobs processed`);
+    // Test 12: Concurrent Bookings
+    console.log('📝 Test 12: Concurrent Bookings (no overselling)');
+    const smallEventTickets = 5;
+    const parallelRequests = 20;
+    res = await request('POST', '/events', {
+      title: 'Small Workshop',
+      description: 'Limited seats to exercise concurrent booking',
+      date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      location: 'Room 101',
+      totalTickets: smallEventTickets,
+      ticketPrice: 10,
+    }, organizerToken);
+    const smallEventId = res.data.event._id;
+    await request('POST', `/events/${smallEventId}/publish`, {}, organizerToken);
+
+    const results = await Promise.all(
+      Array.from({ length: parallelRequests }, () =>
+        request('POST', '/bookings', { eventId: smallEventId, quantity: 1 }, customerToken)
+      )
+    );
+    const succeeded = results.filter((r) => r.status === 201).length;
+    res = await request('GET', `/events/${smallEventId}`);
+    const remaining = res.data.availableTickets;
+
+    if (succeeded !== smallEventTickets || remaining !== 0) {
+      throw new Error(
+        `Oversell detected: ${succeeded} bookings succeeded, ${remaining} tickets remaining`
+      );
+    }
+    console.log(`✓ ${succeeded}/${parallelRequests} parallel bookings succeeded`);
+    console.log(`  Available tickets: ${remaining}\n`);
+
+    // Test 13: Ticket Types
+    console.log('📝 Test 13: Booking Several Ticket Types');
+    res = await request('POST', '/events', {
+      title: 'Tiered Concert',
+      description: 'General and VIP tickets',
+      date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      location: 'Arena',
+      ticketTypes: [
+        { name: 'General', price: 40, totalTickets: 10 },
+        { name: 'VIP', price: 120, totalTickets: 2 },
+      ],
+    }, organizerToken);
+    const tieredEventId = res.data.event._id;
+    const [generalTier, vipTier] = res.data.event.ticketTypes;
+    await request('POST', `/events/${tieredEventId}/publish`, {}, organizerToken);
+
+    res = await request('POST', '/bookings', {
+      eventId: tieredEventId,
+      items: [
+        { ticketTypeId: generalTier._id, quantity: 2 },
+        { ticketTypeId: vipTier._id, quantity: 1 },
+      ],
+    }, customerToken);
+    if (res.status !== 201 || res.data.booking.totalPrice !== 200) {
+      throw new Error(`Mixed ticket type booking failed: ${JSON.stringify(res.data)}`);
+    }
+    res = await request('POST', '/bookings', {
+      eventId: tieredEventId,
+      ticketTypeId: vipTier._id,
+      quantity: 2,
+    }, customerToken);
+    if (res.status !== 400) {
+      throw new Error('VIP tickets were oversold');
+    }
+    console.log(`✓ Mixed booking priced at $200, VIP oversell rejected`);
     console.log(`  Message: ${res.data.message}\n`);
 
+    // Test 14: Promo Codes
+    console.log('📝 Test 14: Promo Code Usage Limit Under Concurrency');
+    const promoLimit = 3;
+    res = await request('POST', '/promo-codes', {
+      code: `TEST${Date.now()}`,
+      events: [tieredEventId],
+      discountType: 'percentage',
+      discountValue: 25,
+      maxRedemptions: promoLimit,
+    }, organizerToken);
+    const promoCode = res.data.promoCode.code;
+
+    const promoResults = await Promise.all(
+      Array.from({ length: 10 }, () =>
+        request('POST', '/bookings', {
+          eventId: tieredEventId,
+          ticketTypeId: generalTier._id,
+          quantity: 1,
+          promoCode,
+        }, customerToken)
+      )
+    );
+    const discounted = promoResults.filter((r) => r.status === 201);
+    if (discounted.length !== promoLimit || discounted.some((r) => r.data.booking.totalPrice !== 30)) {
+      throw new Error(`Promo code redeemed ${discounted.length} times with a limit of ${promoLimit}`);
+    }
+    console.log(`✓ ${discounted.length}/10 parallel bookings redeemed the code at $30 instead of $40\n`);
+
+    // Test 15: Waitlist
+    console.log('📝 Test 15: Waitlist Offer After a Cancellation');
+    res = await request('POST', '/events', {
+      title: 'Sold Out Talk',
+      description: 'One seat only',
+      date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      location: 'Room 102',
+      totalTickets: 1,
+      ticketPrice: 0,
+    }, organizerToken);
+    const soldOutEventId = res.data.event._id;
+    await request('POST', `/events/${soldOutEventId}/publish`, {}, organizerToken);
+
+    res = await request('POST', '/bookings', { eventId: soldOutEventId, quantity: 1 }, customerToken);
+    const soldOutBookingId = res.data.booking.id;
+    res = await request('POST', `/events/${soldOutEventId}/waitlist`, { quantity: 1 }, customerToken);
+    if (res.status !== 201) {
+      throw new Error(`Joining the waitlist failed: ${res.data.message}`);
+    }
+    console.log(`✓ Joined waitlist at position ${res.data.position}`);
+    const waitlistEntryId = res.data.entry._id;
+
+    await request('PUT', `/bookings/${soldOutBookingId}/cancel`, {}, customerToken);
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+
+    res = await request('POST', `/events/${soldOutEventId}/waitlist/claim`, {}, customerToken);
+    if (res.status !== 201) {
+      throw new Error(`Claiming the waitlist offer failed: ${res.data.message}`);
+    }
+    console.log(`✓ Freed ticket offered and claimed as booking ${res.data.booking.bookingReference}`);
+
+    // The offer is made by the worker, so its expiry job is queued by a job
+    // processor. With Redis it must land in Redis, not the worker's memory.
+    res = await request('GET', '/jobs/status', null, adminToken);
+    if (res.data.backend === 'redis') {
+      const connection = createRedisConnection();
+      const offerExpiryQueue = new Queue(QUEUE_NAMES.WAITLIST_OFFER_EXPIRY, { connection });
+      const offerExpiryJob = await offerExpiryQueue.getJob(`waitlist-offer-expiry-${waitlistEntryId}`);
+      await offerExpiryQueue.close();
+      await connection.quit();
+      if (!offerExpiryJob) {
+        throw new Error('The offer expiry queued by the worker is not in Redis');
+      }
+      console.log('✓ Offer expiry queued by the worker was stored in Redis');
+    }
+    console.log('');
+
+    // Test 16: Assigned Seating
+    console.log('📝 Test 16: Assigned Seating');
+    res = await request('POST', '/venues', {
+      name: 'Test Theatre',
+      address: { line1: '1 Stage Road', city: 'Springfield', country: 'US' },
+      location: { type: 'Point', coordinates: [-89.65, 39.78] },
+      sections: [{ name: 'ORCH', rows: [{ name: 'A', seats: 3 }] }],
+    }, organizerToken);
+    res = await request('POST', '/events', {
+      title: 'Seated Play',
+      description: 'Three seats in one row',
+      date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      seatingVenue: res.data.venue._id,
+      ticketPrice: 20,
+    }, organizerToken);
+    const seatedEventId = res.data.event._id;
+    await request('POST', `/events/${seatedEventId}/publish`, {}, organizerToken);
+
+    res = await request('POST', '/bookings', { eventId: seatedEventId, seats: ['ORCH-A-1', 'ORCH-A-2'] }, customerToken);
+    if (res.status !== 201) {
+      throw new Error(`Booking seats failed: ${res.data.message}`);
+    }
+    res = await request('POST', '/bookings', { eventId: seatedEventId, seats: ['ORCH-A-2', 'ORCH-A-3'] }, customerToken);
+    if (res.status !== 409) {
+      throw new Error('A held seat was booked twice');
+    }
+    res = await request('GET', `/events/${seatedEventId}/seats`);
+    if (res.data.availableSeats !== 1) {
+      throw new Error(`Expected 1 available seat, found ${res.data.availableSeats}`);
+    }
+    console.log(`✓ Seats held, double booking rejected, ${res.data.availableSeats} seat left\n`);
+
+    // Test 17: Recurring Series
+    console.log('📝 Test 17: Recurring Event Series');
+    const seriesStart = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    seriesStart.setUTCHours(10, 0, 0, 0);
+    res = await request('POST', '/series', {
+      title: 'Weekly Workshop',
+      description: 'Three weekly sessions',
+      startDate: seriesStart.toISOString(),
+      location: 'Workshop Room',
+      recurrence: { frequency: 'weekly', count: 3 },
+      ticketPrice: 15,
+      totalTickets: 10,
+    }, organizerToken);
+    const seriesId = res.data.series._id;
+    await request('POST', `/series/${seriesId}/publish`, {}, organizerToken);
+
+    res = await request('PUT', `/series/${seriesId}`, { ticketPrice: 20 }, organizerToken);
+    if (res.data.occurrences.updated !== 3) {
+      throw new Error(`Expected 3 updated occurrences, got ${res.data.occurrences.updated}`);
+    }
+    res = await request('GET', `/events?series=${seriesId}`);
+    if (res.data.pagination.total !== 3 || res.data.events.some((e) => e.ticketPrice !== 20)) {
+      throw new Error('Series edit was not applied to every occurrence');
+    }
+    console.log(`✓ Series created with ${res.data.pagination.total} occurrences, price change applied to all`);
+
+    // A deleted occurrence stays deleted when the recurrence is replaced
+    const [, removedOccurrence] = res.data.events.sort((a, b) => new Date(a.date) - new Date(b.date));
+    await request('DELETE', `/events/${removedOccurrence._id}`, null, organizerToken);
+    await request('PUT', `/series/${seriesId}`, { recurrence: { frequency: 'weekly', count: 4 } }, organizerToken);
+    res = await request('GET', `/events?series=${seriesId}`);
+    if (res.data.pagination.total !== 3 || res.data.events.some((e) => e.date === removedOccurrence.date)) {
+      throw new Error('A deleted occurrence came back when the recurrence was replaced');
+    }
+    console.log('✓ Deleted occurrences stay deleted when the recurrence changes');
+
+    // A new start time moves the occurrences instead of replacing them
+    res = await request('POST', '/bookings', { eventId: res.data.events[0]._id, quantity: 1 }, customerToken);
+    const seriesBookingId = res.data.booking.id;
+    const movedStart = new Date(seriesStart.getTime() + 2 * 60 * 60 * 1000);
+    res = await request('PUT', `/series/${seriesId}`, { startDate: movedStart.toISOString() }, organizerToken);
+    if (res.data.occurrences.moved !== 3 || res.data.occurrences.removed !== 0) {
+      throw new Error(`Expected 3 moved and 0 removed occurrences, got ${JSON.stringify(res.data.occurrences)}`);
+    }
+    res = await request('GET', `/bookings/${seriesBookingId}`, null, customerToken);
+    if (res.data.status !== 'pending' || new Date(res.data.event.date).getUTCHours() !== 12) {
+      throw new Error('A booked occurrence was not moved to the new start time');
+    }
+    console.log('✓ A new start time moves occurrences and keeps their bookings\n');
+
+    // Test 18: Tickets and Check-in
+    console.log('📝 Test 18: QR Tickets and Door Check-in');
+    res = await request('POST', '/events', {
+      title: 'Check-in Night',
+      description: 'Doors open at seven',
+      date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      location: 'Main Hall',
+      totalTickets: 10,
+      ticketPrice: 10,
+    }, organizerToken);
+    const doorEventId = res.data.event._id;
+    await request('POST', `/events/${doorEventId}/publish`, {}, organizerToken);
+    res = await request('POST', '/bookings', { eventId: doorEventId, quantity: 2 }, customerToken);
+    const doorBookingId = res.data.booking.id;
+    await request('POST', `/bookings/${doorBookingId}/confirm`, {}, customerToken);
+
+    res = await request('GET', `/bookings/${doorBookingId}/tickets`, null, customerToken);
+    if (res.data.tickets.length !== 2) {
+      throw new Error(`Expected 2 tickets, got ${res.data.tickets.length}`);
+    }
+    const doorToken = res.data.tickets[0].token;
+
+    res = await request('POST', `/events/${doorEventId}/check-in`, { token: doorToken }, organizerToken);
+    if (res.status !== 200) {
+      throw new Error(`Check-in failed: ${res.data.message}`);
+    }
+    res = await request('POST', `/events/${doorEventId}/check-in`, { token: doorToken }, organizerToken);
+    if (res.status !== 409) {
+      throw new Error('A ticket was checked in twice');
+    }
+    res = await request('POST', `/events/${doorEventId}/check-in`, { token: `${doorToken}x` }, organizerToken);
+    if (res.status !== 400) {
+      throw new Error('A tampered ticket was accepted');
+    }
+    console.log(`✓ 2 tickets issued, duplicate and tampered scans rejected, ${res.data.attendance.checkedIn}/${res.data.attendance.ticketsSold} in\n`);
+
+    // Test 19: PDF Documents
+    console.log('📝 Test 19: Ticket and Invoice PDFs');
+    for (const document of ['ticket.pdf', 'invoice.pdf']) {
+      res = await request('GET', `/bookings/${doorBookingId}/${document}`, null, customerToken);
+      if (res.status !== 200 || !String(res.data).startsWith('%PDF')) {
+        throw new Error(`Downloading ${document} failed`);
+      }
+    }
+    res = await request('GET', `/bookings/${doorBookingId}/ticket.pdf`, null, organizerToken);
+    if (res.status !== 403) {
+      throw new Error('The organizer could download the customer\'s ticket QR codes');
+    }
+    res = await request('GET', `/bookings/${doorBookingId}/invoice.pdf`, null, organizerToken);
+    if (res.status !== 200) {
+      throw new Error('The organizer could not download the invoice');
+    }
+    console.log('✓ Ticket and invoice PDFs generated, tickets kept from the organizer\n');
+
+    // Test 20: Calendar Export
+    console.log('📝 Test 20: Calendar Export and Feeds');
+    res = await request('GET', `/bookings/${doorBookingId}/calendar.ics`, null, customerToken);
+    if (res.status !== 200 || !String(res.data).includes(`UID:event-${doorEventId}@`)) {
+      throw new Error('Downloading the booking calendar failed');
+    }
+    res = await request('POST', '/calendar/feed-token', {}, customerToken);
+    const feedPath = `/calendar/feeds/${res.data.url.split('/feeds/')[1]}`;
+    await request('PUT', `/events/${doorEventId}`, {
+      date: new Date(Date.now() + 31 * 24 * 60 * 60 * 1000).toISOString(),
+    }, organizerToken);
+    res = await request('GET', feedPath);
+    if (!String(res.data).includes('SEQUENCE:2')) {
+      throw new Error('The rescheduled event did not get a new SEQUENCE in the feed');
+    }
+    await request('DELETE', '/calendar/feed-token', null, customerToken);
+    res = await request('GET', feedPath);
+    if (res.status !== 404) {
+      throw new Error('A revoked calendar feed was still served');
+    }
+    console.log('✓ Booking .ics downloaded, rescheduling bumped the SEQUENCE, revoked feed refused\n');
+
+    // Test 21: Organizer Analytics
+    console.log('📝 Test 21: Organizer Analytics');
+    res = await request('GET', `/analytics/sales?interval=day&eventId=${doorEventId}`, null, organizerToken);
+    const doorTicketsSold = res.data.buckets.reduce((sum, bucket) => sum + bucket.ticketsSold, 0);
+    if (doorTicketsSold !== 2) {
+      throw new Error(`Expected 2 tickets in the sales buckets, got ${doorTicketsSold}`);
+    }
+    res = await request('GET', '/analytics/summary', null, organizerToken);
+    console.log(`✓ ${res.data.ticketsSold} tickets sold across ${res.data.events} events, revenue $${res.data.revenue}, cancellation rate ${res.data.cancellationRate}`);
+    res = await request('GET', '/analytics/sales', null, customerToken);
+    if (res.status !== 403) {
+      throw new Error('A customer could read organizer analytics');
+    }
+    console.log('✓ Analytics restricted to organizers\n');
+
+    // Test 22: Booking Exports
+    console.log('📝 Test 22: Attendee List Exports');
+    res = await request(
+      'GET',
+      `/bookings/event/${doorEventId}/bookings?format=csv&columns=name,email,reference,quantity&status=confirmed`,
+      null,
+      organizerToken
+    );
+    const csvLines = String(res.data).trim().split('\r\n');
+    if (res.status !== 200 || csvLines.length !== 2 || !csvLines[0].endsWith('Customer Name,Email,Booking Reference,Quantity')) {
+      throw new Error('The attendee CSV did not have the expected header and row');
+    }
+    res = await request('GET', `/bookings/event/${doorEventId}/bookings?format=csv&columns=password`, null, organizerToken);
+    if (res.status !== 400) {
+      throw new Error('An unknown export column was accepted');
+    }
+    res = await request('GET', '/bookings/export?format=xlsx', null, organizerToken);
+    if (res.status !== 200 || !String(res.data).startsWith('PK')) {
+      throw new Error('The organizer XLSX export failed');
+    }
+    console.log('✓ Attendee CSV and organizer XLSX exported\n');
+
+    // Test 23: Sessions
+    console.log('📝 Test 23: Refresh Token Rotation and Logout');
+    res = await request('POST', '/auth/login', { email: customerEmail, password: 'password123' });
+    const firstRefreshToken = res.data.refreshToken;
+    res = await request('POST', '/auth/refresh', { refreshToken: firstRefreshToken });
+    const rotatedAccessToken = res.data.token;
+    if (res.status !== 200 || res.data.refreshToken === firstRefreshToken) {
+      throw new Error('The refresh token was not rotated');
+    }
+    res = await request('POST', '/auth/refresh', { refreshToken: firstRefreshToken });
+    if (res.status !== 401) {
+      throw new Error('A used refresh token was accepted again');
+    }
+    res = await request('GET', '/bookings', null, rotatedAccessToken);
+    if (res.status !== 401) {
+      throw new Error('The session survived refresh token reuse');
+    }
+    res = await request('POST', '/auth/login', { email: customerEmail, password: 'password123' });
+    const laptopToken = res.data.token;
+    await request('POST', '/auth/logout', { refreshToken: res.data.refreshToken });
+    res = await request('GET', '/bookings', null, laptopToken);
+    if (res.status !== 401) {
+      throw new Error('An access token still worked after logout');
+    }
+    console.log('✓ Refresh tokens rotate, reuse revokes the session, logout takes effect immediately\n');
+
+    // Test 24: Passwords
+    console.log('📝 Test 24: Change and Reset Password');
+    res = await request('POST', '/auth/login', { email: customerEmail, password: 'password123' });
+    const oldDeviceToken = res.data.token;
+    res = await request('PUT', '/auth/password', {
+      currentPassword: 'password123',
+      newPassword: 'password456',
+    }, customerToken);
+    if (res.status !== 200) {
+      throw new Error(`Changing the password failed: ${res.data.message}`);
+    }
+    customerToken = res.data.token;
+    res = await request('GET', '/bookings', null, oldDeviceToken);
+    if (res.status !== 401) {
+      throw new Error('Another device stayed logged in after the password changed');
+    }
+    await request('POST', '/auth/forgot-password', { email: customerEmail });
+    const resetToken = await readEmailToken(customerEmail, 'password-reset');
+    res = await request('POST', '/auth/reset-password', { token: resetToken, password: 'password789' });
+    if (res.status !== 200) {
+      throw new Error(`Resetting the password failed: ${res.data.message}`);
+    }
+    res = await request('POST', '/auth/reset-password', { token: resetToken, password: 'password000' });
+    if (res.status !== 400) {
+      throw new Error('A reset token was accepted twice');
+    }
+    res = await request('POST', '/auth/login', { email: customerEmail, password: 'password789' });
+    if (res.status !== 200) {
+      throw new Error('Could not log in with the reset password');
+    }
+    customerToken = res.data.token;
+    console.log('✓ Password change logs other devices out; reset links work once\n');
+
+    // Test 25: Profile and Account Deletion
+    console.log('📝 Test 25: Profile, Data Export and Account Deletion');
+    res = await request('PUT', '/users/me', { phone: '+1 555 0100', address: '1 Main Street' }, customerToken);
+    if (res.status !== 200 || res.data.user.phone !== '+1 555 0100') {
+      throw new Error(`Updating the profile failed: ${res.data.message}`);
+    }
+    const newCustomerEmail = `john.new${Date.now()}@example.com`;
+    res = await request('PUT', '/users/me', { email: newCustomerEmail, currentPassword: 'password789' }, customerToken);
+    if (res.status !== 200 || res.data.user.email !== customerEmail) {
+      throw new Error('The email changed before the new address was verified');
+    }
+    await request('POST', '/auth/verify-email', { token: await readEmailToken(newCustomerEmail, 'email-verification') });
+    res = await request('GET', '/users/me', null, customerToken);
+    if (res.data.email !== newCustomerEmail) {
+      throw new Error('The email did not change after the new address was verified');
+    }
+    res = await request('GET', '/users/me/export', null, customerToken);
+    if (res.status !== 200 || res.data.bookings.length === 0) {
+      throw new Error('The data export is missing the customer\'s bookings');
+    }
+    res = await request('DELETE', '/users/me', { password: 'password123' }, organizerToken);
+    if (res.status !== 409) {
+      throw new Error('An organizer with upcoming events was allowed to delete their account');
+    }
+    res = await request('DELETE', '/users/me', { password: 'password789' }, customerToken);
+    if (res.status !== 200) {
+      throw new Error(`Deleting the account failed: ${res.data.message}`);
+    }
+    res = await request('POST', '/auth/login', { email: newCustomerEmail, password: 'password789' });
+    if (res.status !== 401) {
+      throw new Error('A deleted account could still log in');
+    }
+    console.log('✓ Email changes wait for verification; deleted accounts are anonymized\n');
+
+    // Test 26: Admin Moderation
+    console.log('📝 Test 26: Admin Moderation and Audit Trail');
+    res = await request('GET', `/admin/bookings/${firstBookingId}`, null, adminToken);
+    if (res.status !== 200) {
+      throw new Error(`An admin could not view a booking: ${res.data.message}`);
+    }
+    await request('POST', `/admin/users/${organizerId}/suspend`, { reason: 'Test suspension' }, adminToken);
+    res = await request('GET', '/analytics/summary', null, organizerToken);
+    if (res.status !== 403) {
+      throw new Error('A suspended organizer could still use their session');
+    }
+    await request('POST', `/admin/users/${organizerId}/reinstate`, {}, adminToken);
+    res = await request('GET', '/analytics/summary', null, organizerToken);
+    if (res.status !== 200) {
+      throw new Error('A reinstated organizer could not use their session');
+    }
+    await request('POST', `/admin/events/${doorEventId}/unpublish`, { reason: 'Test moderation' }, adminToken);
+    res = await request('POST', `/events/${doorEventId}/publish`, {}, organizerToken);
+    if (res.status !== 403) {
+      throw new Error('An organizer republished an event an admin had unpublished');
+    }
+    await request('POST', `/admin/events/${doorEventId}/reinstate`, {}, adminToken);
+    res = await request('POST', `/events/${doorEventId}/publish`, {}, organizerToken);
+    if (res.status !== 200) {
+      throw new Error(`A reinstated event could not be published: ${res.data.message}`);
+    }
+    res = await request('POST', `/admin/events/${eventId}/cancel`, { reason: 'Test moderation' }, adminToken);
+    if (res.status !== 200 || res.data.event.status !== 'cancelled') {
+      throw new Error(`An admin could not cancel the event: ${res.data.message}`);
+    }
+    res = await request('GET', `/admin/audit-log?target=${organizerId}`, null, adminToken);
+    if (res.data.pagination.total < 3) {
+      throw new Error('Admin actions are missing from the audit log');
+    }
+    console.log('✓ Suspensions take effect immediately; admin actions are audited\n');
+
+    // Test 27: Organizer Team Members
+    console.log('📝 Test 27: Organizer Team Members and Permissions');
+    res = await request('POST', '/auth/signup', {
+      name: 'Sam Staff',
+      email: `sam${Date.now()}@example.com`,
+      password: 'password123',
+      role: 'customer',
+    });
+    const staffToken = res.data.token;
+    const staffEmail = res.data.user.email;
+    const staffId = res.data.user.id;
+    res = await request('GET', '/organizations', null, organizerToken);
+    const organizationId = res.data[0].id;
+    const invite = { email: staffEmail, role: 'check-in' };
+    res = await request('POST', `/organizations/${organizationId}/invites`, invite, organizerToken);
+    if (res.status !== 201) {
+      throw new Error(`Inviting a team member failed: ${res.data.message}`);
+    }
+    res = await request('GET', '/organizations/invites', null, staffToken);
+    await request('POST', `/organizations/invites/${res.data[0].id}/accept`, {}, staffToken);
+    res = await request('GET', `/analytics/summary?organizer=${organizerId}`, null, staffToken);
+    if (res.status !== 403) {
+      throw new Error('Check-in staff could see the organizer\'s analytics');
+    }
+    await request('PUT', `/organizations/${organizationId}/members/${staffId}`, { role: 'finance' }, organizerToken);
+    res = await request('GET', `/analytics/summary?organizer=${organizerId}`, null, staffToken);
+    if (res.status !== 200) {
+      throw new Error(`Finance staff could not see the organizer's analytics: ${res.data.message}`);
+    }
+    await request('DELETE', `/organizations/${organizationId}/members/${staffId}`, null, organizerToken);
+    res = await request('GET', `/analytics/summary?organizer=${organizerId}`, null, staffToken);
+    if (res.status !== 403) {
+      throw new Error('A removed team member could still see the organizer\'s analytics');
+    }
+    console.log('✓ Team members act for the organizer as far as their role allows\n');
+
+    // Test 28: Payments
+    console.log('📝 Test 28: Payment Webhooks and Refund Policy');
+    const HOUR_MS = 60 * 60 * 1000;
+    const createPaidEvent = async (hoursAhead) => {
+      res = await request('POST', '/events', {
+        title: `Paid Night in ${hoursAhead}h`,
+        description: 'Tickets are charged',
+        date: new Date(Date.now() + hoursAhead * HOUR_MS).toISOString(),
+        location: 'Main Hall',
+        totalTickets: 10,
+        ticketPrice: 40,
+      }, organizerToken);
+      await request('POST', `/events/${res.data.event._id}/publish`, {}, organizerToken);
+      return res.data.event._id;
+    };
+    const holdPaidTickets = async (paidEventId) => {
+      res = await request('POST', '/bookings', { eventId: paidEventId, quantity: 1 }, customerToken);
+      return {
+        bookingId: res.data.booking.id,
+        providerPaymentId: res.data.payment.clientSecret.replace(/_secret$/, ''),
+      };
+    };
+    const sendWebhook = (payload, signature) => {
+      return request('POST', '/payments/webhook', payload, null, { 'x-mock-signature': signature });
+    };
+
+    const webhookEventId = await createPaidEvent(30 * 24);
+    const webhookHold = await holdPaidTickets(webhookEventId);
+    const paymentSucceeded = {
+      id: `evt_${Date.now()}`,
+      type: 'payment.succeeded',
+      paymentId: webhookHold.providerPaymentId,
+    };
+    const tampered = { ...paymentSucceeded, type: 'payment.failed' };
+    res = await sendWebhook(tampered, signWebhookPayload(JSON.stringify(paymentSucceeded)));
+    if (res.status !== 400) {
+      throw new Error('A webhook with a tampered body was accepted');
+    }
+    const staleTimestamp = Math.floor(Date.now() / 1000) - 600;
+    res = await sendWebhook(paymentSucceeded, signWebhookPayload(JSON.stringify(paymentSucceeded), staleTimestamp));
+    if (res.status !== 400) {
+      throw new Error('A webhook with a stale timestamp was accepted');
+    }
+    res = await sendWebhook(paymentSucceeded, signWebhookPayload(JSON.stringify(paymentSucceeded)));
+    if (res.status !== 200 || !res.data.handled) {
+      throw new Error(`A correctly signed webhook was rejected: ${res.data.message}`);
+    }
+    res = await request('GET', `/bookings/${webhookHold.bookingId}`, null, customerToken);
+    if (res.data.status !== 'confirmed') {
+      throw new Error('The payment webhook did not confirm the booking');
+    }
+    console.log('✓ Signed webhook confirmed the booking; tampered and stale webhooks rejected');
+
+    // Customers get everything back 72h or more ahead, half from 24h, nothing later
+    for (const [hoursAhead, expectedAmount] of [[30 * 24, 40], [48, 20], [12, 0]]) {
+      const { bookingId } = await holdPaidTickets(await createPaidEvent(hoursAhead));
+      await request('POST', `/bookings/${bookingId}/confirm`, {}, customerToken);
+      res = await request('PUT', `/bookings/${bookingId}/cancel`, {}, customerToken);
+      const { refundAmount, refundStatus } = res.data.booking;
+      if (refundAmount !== expectedAmount || refundStatus !== (expectedAmount > 0 ? 'pending' : 'none')) {
+        throw new Error(`Cancelling ${hoursAhead}h ahead refunded ${refundAmount} (${refundStatus})`);
+      }
+    }
+
+    // Organizer cancellations refund in full, even close to the event
+    const lateEventId = await createPaidEvent(12);
+    const lateHold = await holdPaidTickets(lateEventId);
+    await request('POST', `/bookings/${lateHold.bookingId}/confirm`, {}, customerToken);
+    await request('POST', `/events/${lateEventId}/cancel`, { reason: 'Venue unavailable' }, organizerToken);
+    res = await request('GET', `/bookings/${lateHold.bookingId}`, null, customerToken);
+    if (res.data.status !== 'cancelled' || res.data.refundAmount !== 40) {
+      throw new Error(`Organizer cancellation refunded ${res.data.refundAmount} instead of 40`);
+    }
+    console.log('✓ Refunds follow the cancellation policy windows; organizer cancellations refund in full\n');
+
     console.log('✅ All tests completed successfully!');
     console.log('\n📊 Summary:');
     console.log('  ✓ User authentication (signup)');
     console.log('  ✓ Role-based access control');
     console.log('  ✓ Event creation and management');
     console.log('  ✓ Ticket booking system');
+    console.log('  ✓ Concurrent booking safety');
+    console.log('  ✓ Ticket types');
+    console.log('  ✓ Promo code usage limits');
+    console.log('  ✓ Waitlist offers');
+    console.log('  ✓ Assigned seating');
+    console.log('  ✓ Recurring event series');
+    console.log('  ✓ Ticket check-in');
+    console.log('  ✓ PDF tickets and invoices');
+    console.log('  ✓ Calendar export');
+    console.log('  ✓ Organizer analytics');
+    console.log('  ✓ Booking exports');
+    console.log('  ✓ Session revocation');
+    console.log('  ✓ Email verification and password reset');
+    console.log('  ✓ Profile, data export and account deletion');
+    console.log('  ✓ Admin moderation');
+    console.log('  ✓ Organizer teams');
+    console.log('  ✓ Payment webhooks and refunds');
     console.log('  ✓ Background job processing');
     console.log('  ✓ Authorization enforcement');
     console.log('\n💡 Check the server console output for background job notifications!');